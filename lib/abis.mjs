@@ -0,0 +1,75 @@
+/**
+ * abis.mjs — Human-readable ABIs for the contracts the treasury talks to
+ */
+
+import { parseAbi } from "viem";
+
+export const SAFE_ABI = parseAbi([
+  "function setup(address[] calldata _owners, uint256 _threshold, address to, bytes calldata data, address fallbackHandler, address paymentToken, uint256 payment, address payable paymentReceiver)",
+  "function VERSION() view returns (string)",
+  "function nonce() view returns (uint256)",
+  "function getThreshold() view returns (uint256)",
+  "function getOwners() view returns (address[])",
+  "function domainSeparator() view returns (bytes32)",
+  "function approvedHashes(address owner, bytes32 hash) view returns (uint256)",
+  "function enableModule(address module)",
+  "function disableModule(address prevModule, address module)",
+  "function setGuard(address guard)",
+  "function setFallbackHandler(address handler)",
+  "function isModuleEnabled(address module) view returns (bool)",
+  "function changeThreshold(uint256 _threshold)",
+  "function addOwnerWithThreshold(address owner, uint256 _threshold)",
+  "function removeOwner(address prevOwner, address owner, uint256 _threshold)",
+  "function swapOwner(address prevOwner, address oldOwner, address newOwner)",
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)",
+  "event ExecutionSuccess(bytes32 indexed txHash, uint256 payment)",
+  "event ExecutionFailure(bytes32 indexed txHash, uint256 payment)",
+  "event SafeMultiSigTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures, bytes additionalInfo)",
+  "event AddedOwner(address indexed owner)",
+  "event RemovedOwner(address indexed owner)",
+  "event ChangedThreshold(uint256 threshold)",
+  "event EnabledModule(address indexed module)",
+  "event DisabledModule(address indexed module)",
+  "event ChangedGuard(address indexed guard)",
+  "event ChangedFallbackHandler(address indexed handler)",
+  "event SafeReceived(address indexed sender, uint256 value)",
+]);
+
+export const PROXY_FACTORY_ABI = parseAbi([
+  "function createProxyWithNonce(address _singleton, bytes initializer, uint256 saltNonce) returns (address proxy)",
+  "function proxyCreationCode() pure returns (bytes)",
+  "event ProxyCreation(address indexed proxy, address singleton)",
+]);
+
+export const ALLOWANCE_MODULE_ABI = parseAbi([
+  "function addDelegate(address delegate)",
+  "function removeDelegate(address delegate, bool removeAllowances)",
+  "function setAllowance(address delegate, address token, uint96 allowanceAmount, uint16 resetTimeMin, uint32 resetBaseMin)",
+  "function resetAllowance(address delegate, address token)",
+  "function deleteAllowance(address delegate, address token)",
+  "function executeAllowanceTransfer(address safe, address token, address payable to, uint96 amount, address paymentToken, uint96 payment, address delegate, bytes signature)",
+  "function getTokenAllowance(address safe, address delegate, address token) view returns (uint256[5])",
+  "function getDelegates(address safe, uint48 start, uint8 pageSize) view returns (address[] results, uint48 next)",
+  "function getTokens(address safe, address delegate) view returns (address[])",
+]);
+
+// Contract owners: Safe v1.4.1 checkSignatures calls the legacy (bytes, bytes) form
+export const SIGNATURE_VALIDATOR_ABI = parseAbi([
+  "function isValidSignature(bytes _data, bytes _signature) view returns (bytes4)",
+]);
+
+// MultiSend and MultiSendCallOnly share this entry point (delegatecall only)
+export const MULTISEND_ABI = parseAbi([
+  "function multiSend(bytes transactions) payable",
+]);
+
+export const ERC20_ABI = parseAbi([
+  "function balanceOf(address) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+]);
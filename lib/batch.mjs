@@ -0,0 +1,156 @@
+/**
+ * batch.mjs — Batch files for `agent-treasury-propose.mjs batch`
+ *
+ * A batch file lists payouts and/or raw calls that are proposed together as
+ * one MultiSendCallOnly delegatecall (one signature per owner for all of them).
+ *
+ * JSON: an array, or { "calls": [...] }, of
+ *   { "token": "MOR"|"ETH"|"0xToken", "to": "0x...", "amount": "12.5" }   payout
+ *   { "to": "0x...", "value": "0", "data": "0x..." }                       raw call (value in wei)
+ *
+ * CSV: a header row, then one entry per line. Columns are the JSON keys
+ * (`recipient` is accepted for `to`), e.g.
+ *   token,recipient,amount
+ *   MOR,0xAbc...,100
+ *   ETH,0xDef...,0.25
+ */
+
+import { readFileSync } from "node:fs";
+import { encodeFunctionData, formatUnits, getAddress, parseUnits, zeroAddress } from "viem";
+import { ERC20_ABI } from "./abis.mjs";
+import { TreasuryError } from "./errors.mjs";
+
+/**
+ * @typedef {object} BatchEntry
+ * @property {string} to
+ * @property {string} [token]    Payout token (MOR, ETH or address)
+ * @property {string} [amount]   Payout amount in token units (decimal string)
+ * @property {string} [value]    Raw call value in wei
+ * @property {string} [data]     Raw call data
+ *
+ * @typedef {object} ResolvedBatch
+ * @property {import("./multisend.mjs").BatchCall[]} calls
+ * @property {string[]} descriptions  One line per call
+ */
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+  if (lines.length < 2) {
+    throw new TreasuryError("CSV batch needs a header row and at least one entry.");
+  }
+  const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+  return lines.slice(1).map((line, i) => {
+    const cells = line.split(",").map((c) => c.trim());
+    if (cells.length !== header.length) {
+      throw new TreasuryError(`CSV line ${i + 2}: expected ${header.length} columns, got ${cells.length}.`);
+    }
+    return Object.fromEntries(header.map((h, j) => [h, cells[j]]));
+  });
+}
+
+/**
+ * Read a JSON or CSV batch file (by extension, falling back to content sniffing).
+ * @param {string} path
+ * @returns {BatchEntry[]}
+ */
+export function loadBatchFile(path) {
+  let text;
+  try {
+    text = readFileSync(path, "utf-8");
+  } catch (e) {
+    throw new TreasuryError(`Could not read batch file ${path}: ${e.message}`);
+  }
+
+  let entries;
+  if (path.endsWith(".json") || /^\s*[[{]/.test(text)) {
+    try {
+      entries = JSON.parse(text);
+    } catch (e) {
+      throw new TreasuryError(`Batch file ${path} is not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(entries)) entries = entries?.calls;
+  } else {
+    entries = parseCsv(text);
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new TreasuryError(`Batch file ${path} has no entries.`);
+  }
+  return entries.map(({ recipient, ...entry }) => ({ to: recipient, ...entry }));
+}
+
+/**
+ * Turn batch entries into Safe calls. Tokens are resolved with
+ * SafeTreasury.resolveToken() (decimals read on-chain for token addresses).
+ *
+ * @param {import("./treasury.mjs").SafeTreasury} treasury
+ * @param {BatchEntry[]} entries
+ * @returns {Promise<ResolvedBatch>}
+ */
+export async function resolveBatch(treasury, entries) {
+  const calls = [];
+  const descriptions = [];
+
+  for (const [i, entry] of entries.entries()) {
+    const where = `Batch entry ${i + 1}`;
+    let to;
+    try {
+      to = getAddress(entry.to);
+    } catch {
+      throw new TreasuryError(`${where}: invalid recipient "${entry.to}".`);
+    }
+
+    // --- Raw call ---
+    if (!entry.token) {
+      const data = entry.data || "0x";
+      // SECURITY: Validate hex data format
+      if (!/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+        throw new TreasuryError(`${where}: data must be '0x' followed by an even number of hex characters.`);
+      }
+      let value;
+      try {
+        value = BigInt(entry.value || 0);
+      } catch {
+        throw new TreasuryError(`${where}: value must be an integer amount of wei.`);
+      }
+      if (value < 0n) {
+        throw new TreasuryError(`${where}: value must be a non-negative amount of wei.`);
+      }
+      calls.push({ to, value, data });
+      descriptions.push(`call ${to} value ${value} wei data ${data.length > 2 ? data.slice(0, 10) + "..." : "(none)"}`);
+      continue;
+    }
+
+    // --- Payout ---
+    let token;
+    try {
+      token = await treasury.resolveToken(entry.token);
+    } catch (e) {
+      throw new TreasuryError(`${where}: ${e.message}`);
+    }
+    const { decimals, label } = token;
+
+    let amount;
+    try {
+      amount = parseUnits(String(entry.amount), decimals);
+    } catch {
+      throw new TreasuryError(`${where}: amount "${entry.amount}" is not a decimal number.`);
+    }
+    if (amount <= 0n) {
+      throw new TreasuryError(`${where}: amount must be greater than 0.`);
+    }
+
+    if (token.address === zeroAddress) {
+      calls.push({ to, value: amount, data: "0x" });
+    } else {
+      calls.push({
+        to: token.address,
+        value: 0n,
+        data: encodeFunctionData({ abi: ERC20_ABI, functionName: "transfer", args: [to, amount] }),
+      });
+    }
+    descriptions.push(`pay ${formatUnits(amount, decimals)} ${label} to ${to}`);
+  }
+
+  return { calls, descriptions };
+}
@@ -0,0 +1,119 @@
+/**
+ * chains.mjs — Chain registry: contracts, Transaction Service and explorer per chain
+ *
+ * Selected with --chain or SAFE_CHAIN (default: base). ALLOWANCE_MODULE and
+ * SAFE_TX_SERVICE in .env still override the registry values.
+ */
+
+import { mainnet, arbitrum, optimism, base, baseSepolia } from "viem/chains";
+import { TreasuryError } from "./errors.mjs";
+
+// Safe v1.4.1 canonical deployments (same addresses on every chain below)
+export const SAFE_V141 = {
+  version: "1.4.1",
+  proxyFactory: "0x4e1DCf7AD4e460CfD30791CCC4F9c8a4f820ec67",
+  singletonL2: "0x29fcB43b46531BcA003ddC8FCB67FFE91900C762",
+  fallbackHandler: "0xfd0732Dc9E303f09fCEf3a7388Ad10A83459Ec99",
+  multiSend: "0x38869bf66a61cF6bDB996A6aE40D5853Fd43B526",
+  multiSendCallOnly: "0x9641d764fc13c8B624c04430C7356C1C7C8102e2",
+};
+
+// AllowanceModule deployments (safe-modules-deployments)
+const ALLOWANCE_MODULE_V010 = "0xCFbFaC74C26F8647cBDb8c5caf80BB5b32E43134";
+const ALLOWANCE_MODULE_V011 = "0xAA46724893dedD72658219405185Fb0Fc91e091C";
+
+/**
+ * @typedef {object} ChainConfig
+ * @property {string} key               Registry key (--chain value)
+ * @property {string} name              Display name
+ * @property {import("viem").Chain} chain  viem chain definition
+ * @property {string} shortName         EIP-3770 prefix used by app.safe.global
+ * @property {string} txServiceUrl      Safe Transaction Service base URL
+ * @property {string} allowanceModule   AllowanceModule address
+ * @property {string|null} morToken     MOR ERC-20 address (null where MOR isn't deployed)
+ * @property {typeof SAFE_V141} safe    Safe factory/singleton/handler addresses
+ */
+
+/** @type {Record<string, ChainConfig>} */
+export const CHAINS = {
+  ethereum: {
+    key: "ethereum",
+    name: "Ethereum",
+    chain: mainnet,
+    shortName: "eth",
+    txServiceUrl: "https://safe-transaction-mainnet.safe.global",
+    allowanceModule: ALLOWANCE_MODULE_V010,
+    morToken: "0xcBB8f1BDA10b9696c57E13BC128Fe674769DCEc0",
+    safe: SAFE_V141,
+  },
+  arbitrum: {
+    key: "arbitrum",
+    name: "Arbitrum One",
+    chain: arbitrum,
+    shortName: "arb1",
+    txServiceUrl: "https://safe-transaction-arbitrum.safe.global",
+    allowanceModule: ALLOWANCE_MODULE_V010,
+    morToken: "0x092bAaDB7DEf4C3981454dD9c0A0D7FF07bCFc86",
+    safe: SAFE_V141,
+  },
+  optimism: {
+    key: "optimism",
+    name: "OP Mainnet",
+    chain: optimism,
+    shortName: "oeth",
+    txServiceUrl: "https://safe-transaction-optimism.safe.global",
+    allowanceModule: ALLOWANCE_MODULE_V010,
+    morToken: null,
+    safe: SAFE_V141,
+  },
+  base: {
+    key: "base",
+    name: "Base",
+    chain: base,
+    shortName: "base",
+    txServiceUrl: "https://safe-transaction-base.safe.global",
+    allowanceModule: ALLOWANCE_MODULE_V010,
+    morToken: "0x7431aDa8a591C955a994a21710752EF9b882b8e3",
+    safe: SAFE_V141,
+  },
+  "base-sepolia": {
+    key: "base-sepolia",
+    name: "Base Sepolia",
+    chain: baseSepolia,
+    shortName: "basesep",
+    txServiceUrl: "https://safe-transaction-base-sepolia.safe.global",
+    allowanceModule: ALLOWANCE_MODULE_V011,
+    morToken: null,
+    safe: SAFE_V141,
+  },
+};
+
+export const DEFAULT_CHAIN = "base";
+
+/**
+ * Look up a chain by registry key or numeric chain ID.
+ * @returns {ChainConfig}
+ */
+export function getChainConfig(keyOrId = DEFAULT_CHAIN) {
+  const key = String(keyOrId).toLowerCase();
+  const config =
+    CHAINS[key] || Object.values(CHAINS).find((c) => String(c.chain.id) === key);
+  if (!config) {
+    throw new TreasuryError(`Unknown chain "${keyOrId}".`, {
+      hints: [`Supported: ${Object.keys(CHAINS).join(", ")}`],
+    });
+  }
+  return config;
+}
+
+export function explorerAddressUrl(chainConfig, address) {
+  return `${chainConfig.chain.blockExplorers.default.url}/address/${address}`;
+}
+
+export function explorerTxUrl(chainConfig, txHash) {
+  return `${chainConfig.chain.blockExplorers.default.url}/tx/${txHash}`;
+}
+
+export function safeAppQueueUrl(chainConfig, safeAddress) {
+  return `https://app.safe.global/transactions/queue?safe=${chainConfig.shortName}:${safeAddress}`;
+}
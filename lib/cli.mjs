@@ -0,0 +1,56 @@
+/**
+ * cli.mjs — Helpers shared by the scripts/agent-treasury-*.mjs entry points
+ */
+
+import { createInterface } from "node:readline/promises";
+import { TreasuryError } from "./errors.mjs";
+
+export function log(msg) {
+  console.log(`[${new Date().toISOString()}] ${msg}`);
+}
+
+/**
+ * Print an error (plus TreasuryError hint lines) and exit non-zero.
+ */
+export function exitWithError(e, logger = log) {
+  if (e instanceof TreasuryError) {
+    logger(`ERROR: ${e.message}`);
+    for (const hint of e.hints) {
+      logger(hint ? `  ${hint}` : "");
+    }
+  } else {
+    logger(`FATAL: ${e.message}`);
+  }
+  process.exit(1);
+}
+
+/**
+ * Parse `--key value` pairs after a subcommand. Bare flags become "true".
+ */
+export function parseCommandArgs(argv) {
+  const cmdArgs = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const key = argv[i].slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[i + 1] : "true";
+      cmdArgs[key] = value;
+      if (value !== "true") i++;
+    }
+  }
+  return cmdArgs;
+}
+
+/**
+ * Ask a question on the terminal; returns the trimmed, lower-cased answer.
+ */
+export async function ask(question) {
+  if (!process.stdin.isTTY) {
+    throw new TreasuryError("This command is interactive but stdin is not a terminal.");
+  }
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return (await rl.question(question)).trim().toLowerCase();
+  } finally {
+    rl.close();
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * constants.mjs — Protocol limits shared across modules
+ *
+ * Per-chain contract addresses live in chains.mjs.
+ */
+
+// AllowanceModule stores amounts as uint96 and reset intervals as uint16 minutes
+export const UINT96_MAX = 2n ** 96n - 1n;
+export const UINT16_MAX = 65535;
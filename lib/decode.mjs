@@ -0,0 +1,220 @@
+/**
+ * decode.mjs — Human-readable decoding of Safe transaction calldata
+ *
+ * A registry maps 4-byte selectors to known functions (ERC-20, Safe owner/
+ * threshold/module management, AllowanceModule, MultiSend). Decoding yields
+ * the function name, labeled arguments and token amounts with the token's
+ * decimals; MultiSend batches are unpacked and decoded call by call.
+ *
+ * SECURITY: Decoding is done locally from the raw calldata. The Transaction
+ * Service's own `dataDecoded` field is never used.
+ */
+
+import {
+  decodeFunctionData,
+  formatEther,
+  formatUnits,
+  getAddress,
+  hexToBigInt,
+  hexToNumber,
+  slice,
+  toFunctionSelector,
+} from "viem";
+import { SAFE_ABI, ALLOWANCE_MODULE_ABI, MULTISEND_ABI, ERC20_ABI } from "./abis.mjs";
+import { TreasuryError } from "./errors.mjs";
+
+// Nested MultiSend batches deeper than this are shown undecoded
+const MAX_DEPTH = 3;
+
+/**
+ * @typedef {object} DecodedArg
+ * @property {string} name
+ * @property {string} type
+ * @property {string|string[]|boolean} value  Raw value (integers as decimal strings)
+ * @property {string} [display]              Token amount with symbol, e.g. "12.5 MOR"
+ *
+ * @typedef {object} DecodedCall
+ * @property {string} to
+ * @property {string} value                  Wei, decimal string
+ * @property {number} operation              0 = call, 1 = delegatecall
+ * @property {string} [contract]             Registry group (ERC20, Safe, AllowanceModule, MultiSend)
+ * @property {string} [method]               Function name; absent when unknown
+ * @property {DecodedArg[]} [args]
+ * @property {DecodedCall[]} [calls]         Inner calls of a MultiSend batch
+ * @property {string} [selector]             Unknown selector (method absent)
+ * @property {string} [error]
+ *
+ * @typedef {(token: string) => Promise<{ label: string, decimals: number }>} TokenResolver
+ */
+
+/** selector -> { contract, abiItem, amounts } */
+export const DECODERS = new Map();
+
+/**
+ * Add the state-changing functions of an ABI to the registry.
+ * `amounts` names the arguments that are token amounts, per function:
+ *   { transfer: { amount: "target" } }      token = the called contract
+ *   { setAllowance: { allowanceAmount: "token" } }  token = another argument
+ *
+ * @param {string} contract
+ * @param {import("viem").Abi} abi
+ * @param {Record<string, Record<string, string>>} [amounts]
+ */
+export function registerDecoder(contract, abi, amounts = {}) {
+  for (const abiItem of abi) {
+    if (abiItem.type !== "function" || ["view", "pure"].includes(abiItem.stateMutability)) continue;
+    DECODERS.set(toFunctionSelector(abiItem), { contract, abiItem, amounts: amounts[abiItem.name] || {} });
+  }
+}
+
+registerDecoder("ERC20", ERC20_ABI, {
+  transfer: { amount: "target" },
+  approve: { amount: "target" },
+  transferFrom: { amount: "target" },
+});
+registerDecoder("Safe", SAFE_ABI);
+registerDecoder("AllowanceModule", ALLOWANCE_MODULE_ABI, {
+  setAllowance: { allowanceAmount: "token" },
+  executeAllowanceTransfer: { amount: "token", payment: "paymentToken" },
+});
+registerDecoder("MultiSend", MULTISEND_ABI);
+
+/**
+ * Unpack MultiSend `transactions` bytes into calls.
+ * @param {`0x${string}`} transactions
+ */
+export function decodeMultiSendTransactions(transactions) {
+  const calls = [];
+  const total = (transactions.length - 2) / 2;
+  let offset = 0;
+  while (offset < total) {
+    if (offset + 85 > total) {
+      throw new TreasuryError("Malformed MultiSend batch (truncated header).");
+    }
+    const operation = hexToNumber(slice(transactions, offset, offset + 1));
+    const to = getAddress(slice(transactions, offset + 1, offset + 21));
+    const value = hexToBigInt(slice(transactions, offset + 21, offset + 53));
+    const length = Number(hexToBigInt(slice(transactions, offset + 53, offset + 85)));
+    if (offset + 85 + length > total) {
+      throw new TreasuryError("Malformed MultiSend batch (truncated data).");
+    }
+    const data = length > 0 ? slice(transactions, offset + 85, offset + 85 + length) : "0x";
+    calls.push({ operation, to, value, data });
+    offset += 85 + length;
+  }
+  return calls;
+}
+
+function stringify(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(stringify);
+  return value;
+}
+
+async function formatAmount(amount, token, resolveToken) {
+  if (/^0x0{40}$/i.test(token)) {
+    return `${formatEther(amount)} ETH`;
+  }
+  try {
+    const { label, decimals } = await resolveToken(token);
+    return `${formatUnits(amount, decimals)} ${label}`;
+  } catch {
+    return `${amount} (raw units of ${token})`;
+  }
+}
+
+/**
+ * Decode one Safe transaction (or inner call).
+ *
+ * @param {{ to: string, value?: bigint|string, data?: string|null, operation?: number }} tx
+ * @param {{ resolveToken?: TokenResolver }} [options]
+ * @returns {Promise<DecodedCall>}
+ */
+export async function decodeTransaction(tx, { resolveToken = async () => { throw new Error("no resolver"); } } = {}, depth = 0) {
+  const data = tx.data || "0x";
+  const decoded = {
+    to: getAddress(tx.to),
+    value: BigInt(tx.value ?? 0).toString(),
+    operation: Number(tx.operation ?? 0),
+  };
+  if (data === "0x") {
+    return decoded;
+  }
+
+  const entry = DECODERS.get(data.slice(0, 10).toLowerCase());
+  if (!entry) {
+    decoded.selector = data.slice(0, 10);
+    return decoded;
+  }
+
+  let args;
+  try {
+    ({ args } = decodeFunctionData({ abi: [entry.abiItem], data }));
+  } catch (e) {
+    decoded.selector = data.slice(0, 10);
+    decoded.error = `Could not decode ${entry.abiItem.name}: ${e.shortMessage || e.message}`;
+    return decoded;
+  }
+
+  decoded.contract = entry.contract;
+  decoded.method = entry.abiItem.name;
+  decoded.args = [];
+  for (const [i, input] of entry.abiItem.inputs.entries()) {
+    const arg = { name: input.name || `arg${i}`, type: input.type, value: stringify(args[i]) };
+    const tokenSource = entry.amounts[arg.name];
+    if (tokenSource) {
+      const token = tokenSource === "target"
+        ? decoded.to
+        : args[entry.abiItem.inputs.findIndex((p) => p.name === tokenSource)];
+      arg.display = await formatAmount(args[i], token, resolveToken);
+    }
+    decoded.args.push(arg);
+  }
+
+  if (entry.contract === "MultiSend") {
+    if (depth >= MAX_DEPTH) {
+      decoded.error = "Nested MultiSend too deep; inner calls not decoded.";
+      return decoded;
+    }
+    try {
+      decoded.calls = await Promise.all(
+        decodeMultiSendTransactions(args[0]).map((call) => decodeTransaction(call, { resolveToken }, depth + 1))
+      );
+    } catch (e) {
+      decoded.error = e.message;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Text lines for a decoded call (indented for nesting).
+ * @param {DecodedCall} decoded
+ * @returns {string[]}
+ */
+export function formatDecoded(decoded, indent = "") {
+  const lines = [];
+  const operation = decoded.operation === 1 ? " [DELEGATECALL]" : "";
+  const value = BigInt(decoded.value) > 0n ? ` with ${formatEther(BigInt(decoded.value))} ETH` : "";
+
+  if (!decoded.method) {
+    const what = decoded.selector ? `unknown function ${decoded.selector}` : "plain transfer";
+    lines.push(`${indent}${what} to ${decoded.to}${value}${operation}`);
+  } else if (decoded.calls) {
+    lines.push(`${indent}MultiSend batch of ${decoded.calls.length} call(s) via ${decoded.to}${value}${operation}:`);
+    for (const [i, call] of decoded.calls.entries()) {
+      const [first, ...rest] = formatDecoded(call, `${indent}     `);
+      lines.push(`${indent}  ${String(i + 1).padStart(2)}. ${first.trimStart()}`, ...rest);
+    }
+  } else {
+    lines.push(`${indent}${decoded.contract}.${decoded.method} on ${decoded.to}${value}${operation}`);
+    for (const arg of decoded.args) {
+      const shown = arg.display ?? (Array.isArray(arg.value) ? arg.value.join(", ") : String(arg.value));
+      lines.push(`${indent}  ${arg.name}: ${shown}`);
+    }
+  }
+  if (decoded.error) {
+    lines.push(`${indent}  WARNING: ${decoded.error}`);
+  }
+  return lines;
+}
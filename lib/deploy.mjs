@@ -0,0 +1,715 @@
+/**
+ * deploy.mjs — Deploy a Safe v1.4.1 (L2) through the canonical proxy factory
+ *
+ * Owners are the human wallet(s) plus the agent hot wallet, which pays for
+ * gas. The proxy is created with CREATE2, so the same owners, threshold and
+ * salt nonce give the same Safe address on every registry chain (see
+ * deploySafeMultiChain).
+ *
+ * With `bootstrap`, setup() also delegatecalls MultiSendCallOnly to enable the
+ * AllowanceModule, add the agent as delegate and set its allowances, so the
+ * Safe is fully configured by the deployment transaction itself.
+ */
+
+import {
+  createPublicClient,
+  createWalletClient,
+  http,
+  formatEther,
+  encodeFunctionData,
+  encodePacked,
+  keccak256,
+  getContractAddress,
+  getAddress,
+  zeroAddress,
+} from "viem";
+import { SAFE_ABI, PROXY_FACTORY_ABI, ALLOWANCE_MODULE_ABI } from "./abis.mjs";
+import { getChainConfig, explorerTxUrl } from "./chains.mjs";
+import { requireRpcUrl } from "./env.mjs";
+import { TreasuryError } from "./errors.mjs";
+import { loadSignerAccount } from "./signer.mjs";
+import { encodeMultiSend } from "./multisend.mjs";
+import { UINT96_MAX, UINT16_MAX } from "./constants.mjs";
+
+// keccak256("ProxyCreation(address,address)")
+const PROXY_CREATION_TOPIC = "0x4f51faf6c4561ff95f067657e43439f0f856d97c04d9ec9070a6199ad418e235";
+
+// Post-deploy verification polling (RPC nodes can lag behind the receipt)
+const VERIFY_ATTEMPTS = 10;
+const VERIFY_INTERVAL_MS = 3000;
+
+/**
+ * @typedef {object} DeployOptions
+ * @property {string} rpcUrl
+ * @property {string} [chain]             Chain registry key or ID (default: base)
+ * @property {string|string[]} owner     Human co-owner address(es); a string may be comma-separated
+ * @property {string} [agent]             Agent address without a key (dry-run only)
+ * @property {import("viem").Account} [account]  Agent account (skips the signer backend)
+ * @property {object} [signer]            Agent signer config (see resolveSignerConfig())
+ * @property {number} [threshold]         Initial threshold (default 1)
+ * @property {BootstrapOptions} [bootstrap]  Configure the AllowanceModule inside setup()
+ * @property {bigint} [saltNonce]         CREATE2 salt nonce (default random)
+ * @property {boolean} [dryRun]
+ * @property {(msg: string) => void} [logger]
+ *
+ * @typedef {object} BootstrapOptions
+ * @property {bigint} morAllowance        MOR per reset interval (0 or no MOR on the chain: skipped)
+ * @property {bigint} ethAllowance        ETH per reset interval (0: skipped)
+ * @property {number} resetMinutes        Allowance reset interval (uint16 minutes)
+ * @property {string} [allowanceModule]   Override the registry AllowanceModule
+ *
+ * @typedef {object} DeployResult
+ * @property {boolean} dryRun
+ * @property {string} chain               Chain registry key
+ * @property {number} chainId
+ * @property {string} agent               Agent (deployer) address
+ * @property {string[]} owners
+ * @property {number} threshold
+ * @property {bigint} saltNonce
+ * @property {`0x${string}`} initializer
+ * @property {string} predictedAddress    CREATE2 address computed before sending
+ * @property {boolean} [alreadyDeployed]  A contract already exists at predictedAddress
+ * @property {string} [safeAddress]
+ * @property {`0x${string}`} [txHash]
+ * @property {bigint} [blockNumber]
+ * @property {{ allowanceModule: string, calls: string[] }} [bootstrap]  Calls made inside setup()
+ * @property {{ version: string, owners: string[], threshold: bigint, moduleEnabled?: boolean, allowances?: Record<string, bigint> }|null} [verification]
+ * @property {string} [verificationError]
+ *
+ * @typedef {object} ChainDeployResult
+ * @property {string} chain
+ * @property {number} chainId
+ * @property {"predicted"|"exists"|"deployed"|"mismatch"|"failed"} status
+ * @property {string} [predictedAddress]
+ * @property {string} [safeAddress]
+ * @property {`0x${string}`} [txHash]
+ * @property {bigint} [blockNumber]
+ * @property {{ version: string, owners: string[], threshold: bigint }|null} [verification]
+ * @property {string} [error]
+ *
+ * @typedef {object} MultiChainDeployResult
+ * @property {boolean} dryRun
+ * @property {string} agent
+ * @property {string[]} owners
+ * @property {number} threshold
+ * @property {bigint} saltNonce
+ * @property {`0x${string}`} initializer
+ * @property {{ allowanceModule: string, calls: string[] }} [bootstrap]
+ * @property {string|null} expectedAddress  Address predicted on the first reachable chain
+ * @property {ChainDeployResult[]} chains
+ */
+
+function randomSaltNonce() {
+  return BigInt(`0x${[...crypto.getRandomValues(new Uint8Array(32))].map(b => b.toString(16).padStart(2, "0")).join("")}`);
+}
+
+/**
+ * Safe.setup() calldata. `to`/`data` is the optional setup delegatecall
+ * (see encodeBootstrap()); there is never a deployment payment.
+ */
+export function encodeSafeSetup({ owners, threshold, fallbackHandler, to = zeroAddress, data = "0x" }) {
+  return encodeFunctionData({
+    abi: SAFE_ABI,
+    functionName: "setup",
+    args: [
+      owners,           // _owners
+      BigInt(threshold), // _threshold
+      to,               // to (setup delegatecall target, zero = none)
+      data,             // data (setup delegatecall data)
+      fallbackHandler,  // fallbackHandler
+      zeroAddress,      // paymentToken (no payment)
+      0n,               // payment (no payment)
+      zeroAddress,      // paymentReceiver (no payment)
+    ],
+  });
+}
+
+/**
+ * Setup delegatecall that configures the AllowanceModule for the agent:
+ * enableModule, addDelegate and one setAllowance per non-zero allowance,
+ * batched through MultiSendCallOnly.
+ *
+ * The Safe's own address is not known while the initializer is built (it
+ * depends on the initializer), so enableModule targets address(0), which
+ * v1.4.1 MultiSend resolves to the calling Safe. The AllowanceModule keys
+ * state by msg.sender, which inside setup() is the new Safe.
+ *
+ * @param {import("./chains.mjs").ChainConfig} chainConfig
+ * @param {string} delegate
+ * @param {BootstrapOptions} bootstrap
+ * @returns {{ to: string, data: `0x${string}`, allowanceModule: string, calls: string[] }}
+ */
+export function encodeBootstrap(chainConfig, delegate, { morAllowance, ethAllowance, resetMinutes, allowanceModule }) {
+  // SECURITY: Validate bounds for uint96 (allowance amounts) and uint16 (reset minutes)
+  for (const [label, amount] of [["MOR", morAllowance], ["ETH", ethAllowance]]) {
+    if (amount < 0n || amount > UINT96_MAX) {
+      throw new TreasuryError(`${label} allowance must be between 0 and uint96 max (${formatEther(UINT96_MAX)})`);
+    }
+  }
+  if (!Number.isInteger(resetMinutes) || resetMinutes < 1 || resetMinutes > UINT16_MAX) {
+    throw new TreasuryError(`--reset-minutes must be between 1 and ${UINT16_MAX}`);
+  }
+
+  const module = getAddress(allowanceModule || chainConfig.allowanceModule);
+  const moduleCall = (functionName, args) => ({
+    to: module,
+    data: encodeFunctionData({ abi: ALLOWANCE_MODULE_ABI, functionName, args }),
+  });
+
+  const calls = [
+    {
+      to: zeroAddress, // the Safe itself (see above)
+      data: encodeFunctionData({ abi: SAFE_ABI, functionName: "enableModule", args: [module] }),
+    },
+    moduleCall("addDelegate", [delegate]),
+  ];
+  const described = ["enableModule(AllowanceModule)", `addDelegate(${delegate})`];
+
+  const allowances = [["ETH", zeroAddress, ethAllowance]];
+  if (chainConfig.morToken) allowances.unshift(["MOR", chainConfig.morToken, morAllowance]);
+  for (const [label, token, amount] of allowances) {
+    if (amount === 0n) continue;
+    calls.push(moduleCall("setAllowance", [delegate, token, amount, resetMinutes, 0]));
+    described.push(`setAllowance(agent, ${label}, ${formatEther(amount)}, ${resetMinutes}min)`);
+  }
+
+  return {
+    to: chainConfig.safe.multiSendCallOnly,
+    data: encodeMultiSend(calls),
+    allowanceModule: module,
+    calls: described,
+  };
+}
+
+/**
+ * CREATE2 address createProxyWithNonce() will deploy to. Reads the proxy
+ * creation code from the factory so a chain with a different proxy shows up
+ * as a different prediction.
+ */
+export async function predictSafeAddress(publicClient, safe, initializer, saltNonce) {
+  const proxyCreationCode = await publicClient.readContract({
+    address: safe.proxyFactory,
+    abi: PROXY_FACTORY_ABI,
+    functionName: "proxyCreationCode",
+  });
+  // SafeProxyFactory: salt = keccak256(keccak256(initializer) ++ saltNonce)
+  const salt = keccak256(
+    encodePacked(["bytes32", "uint256"], [keccak256(initializer), saltNonce])
+  );
+  return getContractAddress({
+    opcode: "CREATE2",
+    from: safe.proxyFactory,
+    salt,
+    bytecode: encodePacked(["bytes", "uint256"], [proxyCreationCode, BigInt(safe.singletonL2)]),
+  });
+}
+
+function parseOwners(owner) {
+  const list = (Array.isArray(owner) ? owner : String(owner || "").split(","))
+    .map((o) => o.trim())
+    .filter(Boolean);
+  if (list.length === 0) {
+    throw new TreasuryError("--owner 0xAddress required (owner's personal wallet)", {
+      hints: ["Usage: node scripts/agent-treasury-deploy.mjs --owner 0xYourAddress"],
+    });
+  }
+  return list.map((o) => {
+    try {
+      return getAddress(o);
+    } catch {
+      throw new TreasuryError(`Invalid address: ${o}`);
+    }
+  });
+}
+
+/**
+ * Agent account from the signer backend, or a bare --agent address for dry runs.
+ */
+async function resolveAgent({ agent, account, signer, dryRun }) {
+  if (agent) {
+    // Use provided agent address (for dry-run or remote execution)
+    let agentAddress;
+    try {
+      agentAddress = getAddress(agent);
+    } catch {
+      throw new TreasuryError(`Invalid agent address: ${agent}`);
+    }
+    if (!dryRun) {
+      throw new TreasuryError("--agent flag only works with --dry-run. For real deployment, use the configured signer.");
+    }
+    return { account: undefined, agentAddress };
+  }
+  account = account || (await loadSignerAccount(signer));
+  return { account, agentAddress: account.address };
+}
+
+function sortOwners(ownerAddresses, agentAddress, threshold) {
+  // Sort owners deterministically (Safe requires sorted owner list for some operations)
+  const owners = [...ownerAddresses, agentAddress].sort((a, b) =>
+    a.toLowerCase().localeCompare(b.toLowerCase())
+  );
+  const duplicate = owners.find((o, i) => i > 0 && o === owners[i - 1]);
+  if (duplicate) {
+    throw new TreasuryError(`Duplicate owner: ${duplicate}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > owners.length) {
+    throw new TreasuryError(`Threshold must be a number between 1 and ${owners.length}`);
+  }
+  return owners;
+}
+
+/**
+ * setup() calldata for these owners on one chain, with the optional bootstrap batch.
+ */
+function buildInitializer(chainConfig, { owners, agentAddress, threshold, bootstrap }) {
+  const { fallbackHandler } = chainConfig.safe;
+  if (!bootstrap) {
+    return { initializer: encodeSafeSetup({ owners, threshold, fallbackHandler }) };
+  }
+  const { to, data, allowanceModule, calls } = encodeBootstrap(chainConfig, agentAddress, bootstrap);
+  return {
+    initializer: encodeSafeSetup({ owners, threshold, fallbackHandler, to, data }),
+    bootstrap: { allowanceModule, calls },
+  };
+}
+
+/**
+ * Public client for the chain. SECURITY: refuse an RPC that serves a
+ * different chain, or predictions and balances would come from the wrong network.
+ */
+async function connectChain(chainConfig, rpcUrl) {
+  requireRpcUrl(rpcUrl);
+  const publicClient = createPublicClient({
+    chain: chainConfig.chain,
+    transport: http(rpcUrl),
+  });
+  const chainId = await publicClient.getChainId();
+  if (chainId !== chainConfig.chain.id) {
+    throw new TreasuryError(
+      `RPC for ${chainConfig.key} serves chain ${chainId}, expected ${chainConfig.chain.id}.`
+    );
+  }
+  return publicClient;
+}
+
+async function isDeployed(publicClient, address) {
+  const code = await publicClient.getCode({ address });
+  return Boolean(code && code !== "0x");
+}
+
+/**
+ * Send createProxyWithNonce and read the Safe address back from ProxyCreation.
+ */
+async function sendDeployment({ chainConfig, rpcUrl, publicClient, account, initializer, saltNonce, predictedAddress, logger }) {
+  const { proxyFactory, singletonL2 } = chainConfig.safe;
+  const walletClient = createWalletClient({
+    account,
+    chain: chainConfig.chain,
+    transport: http(rpcUrl),
+  });
+
+  const sent = {};
+  let receipt;
+  try {
+    sent.txHash = await walletClient.writeContract({
+      address: proxyFactory,
+      abi: PROXY_FACTORY_ABI,
+      functionName: "createProxyWithNonce",
+      args: [singletonL2, initializer, saltNonce],
+    });
+
+    logger(`Transaction sent: ${sent.txHash}`);
+    logger("Waiting for confirmation...");
+
+    receipt = await publicClient.waitForTransactionReceipt({
+      hash: sent.txHash,
+    });
+  } catch (e) {
+    throw new TreasuryError(`Deployment failed: ${e.shortMessage || e.message}`, { cause: e });
+  }
+
+  if (receipt.status !== "success") {
+    throw new TreasuryError("Transaction reverted!", {
+      hints: [`Receipt: ${JSON.stringify(receipt, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2)}`],
+    });
+  }
+
+  sent.blockNumber = receipt.blockNumber;
+
+  // Extract Safe address from ProxyCreation event
+  const creationLog = receipt.logs.find(
+    (l) => l.topics[0] === PROXY_CREATION_TOPIC
+  );
+  if (creationLog && creationLog.topics[1]) {
+    // Address is in topic[1], zero-padded to 32 bytes
+    sent.safeAddress = getAddress("0x" + creationLog.topics[1].slice(26));
+  } else {
+    // Some RPCs drop or trim logs; the CREATE2 prediction is just as exact
+    logger(`ProxyCreation event not found in receipt. Using predicted address ${predictedAddress}.`);
+    sent.safeAddress = predictedAddress;
+  }
+
+  Object.assign(sent, await waitForSafe(publicClient, sent.safeAddress, logger));
+  if (!sent.verification && !creationLog) {
+    throw new TreasuryError(`No ProxyCreation event and no Safe found at ${predictedAddress}.`, {
+      hints: [
+        ...receipt.logs.map((l) => `Log: ${l.address} topics=${l.topics.length}`),
+        `Check ${explorerTxUrl(chainConfig, sent.txHash)} for the deployed Safe address.`,
+      ],
+    });
+  }
+
+  return sent;
+}
+
+/**
+ * Poll the new Safe until the RPC serves its state. Gives up after
+ * VERIFY_ATTEMPTS and returns the last error instead of throwing.
+ */
+async function waitForSafe(publicClient, safeAddress, logger) {
+  let lastError;
+  for (let attempt = 1; attempt <= VERIFY_ATTEMPTS; attempt++) {
+    try {
+      const [version, deployedOwners, deployedThreshold] = await Promise.all([
+        publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "VERSION" }),
+        publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getOwners" }),
+        publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "getThreshold" }),
+      ]);
+      return { verification: { version, owners: deployedOwners, threshold: deployedThreshold } };
+    } catch (e) {
+      lastError = e.shortMessage || e.message;
+      if (attempt < VERIFY_ATTEMPTS) {
+        logger(`  Safe not readable yet (attempt ${attempt}/${VERIFY_ATTEMPTS}). Retrying in ${VERIFY_INTERVAL_MS / 1000}s...`);
+        await new Promise((r) => setTimeout(r, VERIFY_INTERVAL_MS));
+      }
+    }
+  }
+  return { verification: null, verificationError: lastError };
+}
+
+/**
+ * Resolve owners, encode the initializer and compute the CREATE2 address.
+ * Shared by predictSafe() and deploySafe(); sends nothing.
+ */
+async function prepareDeployment({ rpcUrl, chain, owner, agent, account, signer, threshold, bootstrap, saltNonce, dryRun, logger }) {
+  requireRpcUrl(rpcUrl);
+  const chainConfig = getChainConfig(chain);
+  const ownerAddresses = parseOwners(owner);
+  const { singletonL2, proxyFactory, fallbackHandler } = chainConfig.safe;
+
+  logger("--- Safe deployment ---");
+  logger(`Chain: ${chainConfig.name} (${chainConfig.chain.id})`);
+  logger(`Safe singleton: ${singletonL2} (v${chainConfig.safe.version} L2)`);
+  logger(`Proxy factory: ${proxyFactory}`);
+  logger(`Fallback handler: ${fallbackHandler}`);
+
+  let agentAddress;
+  ({ account, agentAddress } = await resolveAgent({ agent, account, signer, dryRun }));
+
+  ownerAddresses.forEach((o, i) => logger(`Owner ${i + 1} (human): ${o}`));
+  logger(`Owner ${ownerAddresses.length + 1} (Agent): ${agentAddress}`);
+  logger(`Threshold: ${threshold}-of-${ownerAddresses.length + 1}`);
+
+  const owners = sortOwners(ownerAddresses, agentAddress, threshold);
+  const built = buildInitializer(chainConfig, { owners, agentAddress, threshold, bootstrap });
+
+  if (built.bootstrap) {
+    logger(`Bootstrap (in setup, via MultiSendCallOnly ${chainConfig.safe.multiSendCallOnly}):`);
+    for (const call of built.bootstrap.calls) logger(`  ${call}`);
+  }
+  logger(`Salt nonce: ${saltNonce}`);
+
+  const result = {
+    dryRun,
+    chain: chainConfig.key,
+    chainId: chainConfig.chain.id,
+    agent: agentAddress,
+    owners,
+    threshold,
+    saltNonce,
+    initializer: built.initializer,
+  };
+  if (built.bootstrap) result.bootstrap = built.bootstrap;
+
+  const publicClient = await connectChain(chainConfig, rpcUrl);
+
+  result.predictedAddress = await predictSafeAddress(publicClient, chainConfig.safe, result.initializer, saltNonce);
+  logger(`Predicted Safe address: ${result.predictedAddress}`);
+
+  if (await isDeployed(publicClient, result.predictedAddress)) {
+    result.alreadyDeployed = true;
+    result.safeAddress = result.predictedAddress;
+  }
+
+  return { result, chainConfig, publicClient, account };
+}
+
+/**
+ * Counterfactual address of the Safe deploySafe() would create with the same
+ * options. Needs no key when `agent` is given, and no gas.
+ * @param {Omit<DeployOptions, "dryRun">} options
+ * @returns {Promise<DeployResult>}
+ */
+export async function predictSafe({
+  saltNonce = randomSaltNonce(),
+  threshold = 1,
+  logger = () => {},
+  ...options
+}) {
+  const { result } = await prepareDeployment({ ...options, threshold, saltNonce, dryRun: true, logger });
+  return result;
+}
+
+/**
+ * Read back what the bootstrap batch should have configured. Read errors
+ * are reported in `bootstrapError`; the deployment itself already succeeded.
+ */
+async function verifyBootstrap(publicClient, chainConfig, safeAddress, agentAddress, bootstrap) {
+  const module = bootstrap.allowanceModule;
+  const tokens = [["ETH", zeroAddress]];
+  if (chainConfig.morToken) tokens.unshift(["MOR", chainConfig.morToken]);
+
+  let moduleEnabled, amounts;
+  try {
+    [moduleEnabled, ...amounts] = await Promise.all([
+      publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "isModuleEnabled", args: [module] }),
+      ...tokens.map(([, token]) =>
+        publicClient.readContract({
+          address: module,
+          abi: ALLOWANCE_MODULE_ABI,
+          functionName: "getTokenAllowance",
+          args: [safeAddress, agentAddress, token],
+        })
+      ),
+    ]);
+  } catch (e) {
+    return { bootstrapError: e.shortMessage || e.message };
+  }
+  return {
+    moduleEnabled,
+    allowances: Object.fromEntries(tokens.map(([label], i) => [label, amounts[i][0]])),
+  };
+}
+
+/**
+ * Deploy (or with dryRun, just encode and predict) a new Safe.
+ * Returns without sending when the predicted address already holds a contract.
+ * @param {DeployOptions} options
+ * @returns {Promise<DeployResult>}
+ */
+export async function deploySafe({
+  rpcUrl,
+  chain,
+  owner,
+  agent,
+  account,
+  signer,
+  threshold = 1,
+  bootstrap,
+  saltNonce = randomSaltNonce(),
+  dryRun = false,
+  logger = () => {},
+}) {
+  const prepared = await prepareDeployment({
+    rpcUrl, chain, owner, agent, account, signer, threshold, bootstrap, saltNonce, dryRun, logger,
+  });
+  const { result, chainConfig, publicClient } = prepared;
+
+  if (result.alreadyDeployed) {
+    logger("A Safe already exists at the predicted address. Skipping deployment.");
+    return result;
+  }
+
+  // Check deployer balance
+  const ethBalance = await publicClient.getBalance({ address: result.agent });
+  logger(`Agent ETH balance: ${formatEther(ethBalance)}`);
+
+  if (ethBalance === 0n) {
+    throw new TreasuryError("Agent hot wallet has no ETH for gas. Fund it first.");
+  }
+
+  if (dryRun) {
+    return result;
+  }
+
+  // Deploy
+  logger("Deploying Safe...");
+  Object.assign(result, await sendDeployment({
+    chainConfig,
+    rpcUrl,
+    publicClient,
+    account: prepared.account,
+    initializer: result.initializer,
+    saltNonce,
+    predictedAddress: result.predictedAddress,
+    logger,
+  }));
+
+  if (result.safeAddress !== result.predictedAddress) {
+    logger(`WARNING: Safe deployed at ${result.safeAddress}, predicted ${result.predictedAddress}.`);
+  }
+
+  if (result.bootstrap && result.verification) {
+    Object.assign(result.verification, await verifyBootstrap(
+      publicClient, chainConfig, result.safeAddress, result.agent, result.bootstrap
+    ));
+  }
+
+  return result;
+}
+
+/**
+ * Deploy one Safe with an identical initializer and salt nonce on several
+ * chains so it has the same address everywhere.
+ *
+ * Every chain is checked before anything is sent: chains whose predicted
+ * address differs from the first chain's are reported as "mismatch" and
+ * skipped, and chains where the Safe already exists are reported as "exists".
+ * A failure on one chain does not stop the others.
+ *
+ * @param {Omit<DeployOptions, "rpcUrl" | "chain"> & { chains: string[], rpcUrls: Record<string, string> }} options
+ *   rpcUrls is keyed by chain registry key.
+ * @returns {Promise<MultiChainDeployResult>}
+ */
+export async function deploySafeMultiChain({
+  chains,
+  rpcUrls = {},
+  owner,
+  agent,
+  account,
+  signer,
+  threshold = 1,
+  bootstrap,
+  saltNonce = randomSaltNonce(),
+  dryRun = false,
+  logger = () => {},
+}) {
+  if (!chains || chains.length === 0) {
+    throw new TreasuryError("No chains given. Use --chains base,arbitrum,optimism");
+  }
+  const chainConfigs = [...new Set(chains.map((c) => getChainConfig(c)))];
+  const ownerAddresses = parseOwners(owner);
+
+  let agentAddress;
+  ({ account, agentAddress } = await resolveAgent({ agent, account, signer, dryRun }));
+
+  // The initializer is part of the CREATE2 salt, so it must be byte-identical
+  // everywhere. Plain setups are (shared v1.4.1 contracts); a bootstrap that
+  // sets a MOR allowance is not, since MOR has a different address per chain.
+  const owners = sortOwners(ownerAddresses, agentAddress, threshold);
+  const built = chainConfigs.map((c) => buildInitializer(c, { owners, agentAddress, threshold, bootstrap }));
+  const { initializer } = built[0];
+  const differing = chainConfigs.filter((_, i) => built[i].initializer !== initializer);
+  if (differing.length > 0) {
+    throw new TreasuryError(
+      `The setup initializer differs on ${differing.map((c) => c.key).join(", ")}, so the Safe address would too.`,
+      { hints: bootstrap ? ["Bootstrap only an ETH allowance (--mor-allowance 0) for multi-chain deploys, or configure MOR per chain afterwards."] : [] }
+    );
+  }
+
+  logger("--- Multi-chain Safe deployment ---");
+  logger(`Chains: ${chainConfigs.map((c) => c.key).join(", ")}`);
+  logger(`Owners: ${owners.join(", ")}`);
+  logger(`Threshold: ${threshold}-of-${owners.length}`);
+  if (built[0].bootstrap) {
+    logger(`Bootstrap: ${built[0].bootstrap.calls.join(", ")}`);
+  }
+  logger(`Salt nonce: ${saltNonce}`);
+
+  const result = {
+    dryRun,
+    agent: agentAddress,
+    owners,
+    threshold,
+    saltNonce,
+    initializer,
+    expectedAddress: null,
+    chains: [],
+  };
+  if (built[0].bootstrap) result.bootstrap = built[0].bootstrap;
+  const pending = [];
+
+  // --- Predict on every chain before sending anything ---
+  for (const chainConfig of chainConfigs) {
+    const entry = { chain: chainConfig.key, chainId: chainConfig.chain.id };
+    result.chains.push(entry);
+
+    try {
+      const rpcUrl = rpcUrls[chainConfig.key];
+      if (!rpcUrl) {
+        throw new TreasuryError(
+          `No RPC URL for ${chainConfig.key} (set SAFE_RPC_${chainConfig.key.toUpperCase().replace(/-/g, "_")}).`
+        );
+      }
+      const publicClient = await connectChain(chainConfig, rpcUrl);
+      entry.predictedAddress = await predictSafeAddress(publicClient, chainConfig.safe, initializer, saltNonce);
+      result.expectedAddress ??= entry.predictedAddress;
+
+      if (entry.predictedAddress !== result.expectedAddress) {
+        entry.status = "mismatch";
+        logger(`[${chainConfig.key}] MISMATCH: predicted ${entry.predictedAddress}, expected ${result.expectedAddress}. Skipping.`);
+        continue;
+      }
+
+      if (await isDeployed(publicClient, entry.predictedAddress)) {
+        entry.status = "exists";
+        entry.safeAddress = entry.predictedAddress;
+        logger(`[${chainConfig.key}] Safe already deployed at ${entry.safeAddress}. Skipping.`);
+        continue;
+      }
+
+      const ethBalance = await publicClient.getBalance({ address: agentAddress });
+      if (ethBalance === 0n) {
+        throw new TreasuryError(`Agent hot wallet has no ETH for gas on ${chainConfig.name}.`);
+      }
+
+      entry.status = "predicted";
+      logger(`[${chainConfig.key}] Predicted ${entry.predictedAddress} (agent balance ${formatEther(ethBalance)} ETH)`);
+      pending.push({ entry, chainConfig, rpcUrl, publicClient });
+    } catch (e) {
+      entry.status = "failed";
+      entry.error = e.shortMessage || e.message;
+      logger(`[${chainConfig.key}] FAILED: ${entry.error}`);
+    }
+  }
+
+  if (dryRun) {
+    return result;
+  }
+
+  // --- Deploy where needed ---
+  for (const { entry, chainConfig, rpcUrl, publicClient } of pending) {
+    logger(`[${chainConfig.key}] Deploying Safe...`);
+    try {
+      const sent = await sendDeployment({
+        chainConfig,
+        rpcUrl,
+        publicClient,
+        account,
+        initializer,
+        saltNonce,
+        predictedAddress: entry.predictedAddress,
+        logger: (msg) => logger(`[${chainConfig.key}] ${msg}`),
+      });
+      entry.txHash = sent.txHash;
+      entry.blockNumber = sent.blockNumber;
+      entry.safeAddress = sent.safeAddress;
+      entry.verification = sent.verification;
+      if (result.bootstrap && entry.verification) {
+        Object.assign(entry.verification, await verifyBootstrap(
+          publicClient, chainConfig, entry.safeAddress, agentAddress, result.bootstrap
+        ));
+      }
+      entry.status = sent.safeAddress === entry.predictedAddress ? "deployed" : "mismatch";
+      logger(entry.status === "deployed"
+        ? `[${chainConfig.key}] Deployed at ${entry.safeAddress}`
+        : `[${chainConfig.key}] MISMATCH: deployed at ${entry.safeAddress}, predicted ${entry.predictedAddress}`);
+    } catch (e) {
+      entry.status = "failed";
+      entry.error = e.message;
+      logger(`[${chainConfig.key}] FAILED: ${entry.error}`);
+    }
+  }
+
+  return result;
+}
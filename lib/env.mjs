@@ -0,0 +1,170 @@
+/**
+ * env.mjs — .env loading and environment-derived configuration
+ *
+ * All config lives in ~/morpheus/.env (or the directory named by SAFE_DIR).
+ * Values already present in process.env always win over the file.
+ */
+
+import { readFileSync, appendFileSync, mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+import { TreasuryError } from "./errors.mjs";
+import { getChainConfig } from "./chains.mjs";
+
+export const SAFE_DIR =
+  process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
+
+/**
+ * Load KEY=value pairs from a .env file into process.env (missing file is fine).
+ */
+export function loadEnv(filepath = `${SAFE_DIR}/.env`) {
+  try {
+    const content = readFileSync(filepath, "utf-8");
+    for (const line of content.split("\n")) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) continue;
+      const eqIdx = trimmed.indexOf("=");
+      if (eqIdx === -1) continue;
+      const key = trimmed.slice(0, eqIdx);
+      let value = trimmed.slice(eqIdx + 1);
+      if (
+        (value.startsWith('"') && value.endsWith('"')) ||
+        (value.startsWith("'") && value.endsWith("'"))
+      ) {
+        value = value.slice(1, -1);
+      }
+      if (!process.env[key]) {
+        process.env[key] = value;
+      }
+    }
+  } catch {
+    // .env is optional if all vars are set via environment
+  }
+}
+
+/**
+ * Append KEY=value to a .env file unless the file already sets KEY.
+ * An existing different value is never overwritten.
+ * @returns {"added"|"unchanged"|"conflict"}
+ */
+export function setEnvValue(key, value, filepath = `${SAFE_DIR}/.env`) {
+  let content = "";
+  try {
+    content = readFileSync(filepath, "utf-8");
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+
+  const line = content.split("\n").map((l) => l.trim()).find((l) => l.startsWith(`${key}=`));
+  if (line !== undefined) {
+    const current = line.slice(key.length + 1).replace(/^(["'])(.*)\1$/, "$2");
+    return current === String(value) ? "unchanged" : "conflict";
+  }
+
+  mkdirSync(dirname(filepath), { recursive: true });
+  const separator = content && !content.endsWith("\n") ? "\n" : "";
+  appendFileSync(filepath, `${separator}${key}=${value}\n`, { mode: 0o600 });
+  return "added";
+}
+
+/**
+ * Keychain entry holding the agent hot wallet key.
+ */
+export function resolveKeychainConfig() {
+  return {
+    account:
+      process.env.SAFE_KEYCHAIN_ACCOUNT || process.env.EVERCLAW_KEYCHAIN_ACCOUNT || "everclaw-agent",
+    service:
+      process.env.SAFE_KEYCHAIN_SERVICE || process.env.EVERCLAW_KEYCHAIN_SERVICE || "everclaw-wallet-key",
+    db:
+      process.env.SAFE_KEYCHAIN_DB || process.env.EVERCLAW_KEYCHAIN_DB ||
+      `${process.env.HOME}/Library/Keychains/everclaw.keychain-db`,
+    // KEYCHAIN_PASS_FILE removed - auto-unlock via CLI args exposed password in `ps aux`
+  };
+}
+
+/**
+ * Agent signer backend and the settings for each backend (see signer.mjs).
+ * The Secret Service entry uses the same service/account names as the Keychain.
+ */
+export function resolveSignerConfig() {
+  const keychain = resolveKeychainConfig();
+  return {
+    backend: process.env.SAFE_SIGNER || "keychain",
+    address: process.env.SAFE_AGENT_ADDRESS,
+    keychain,
+    keystore: {
+      path: process.env.SAFE_KEYSTORE,
+      passwordFd: process.env.SAFE_KEYSTORE_PASSWORD_FD,
+    },
+    secretService: {
+      service: keychain.service,
+      account: keychain.account,
+    },
+    remote: {
+      url: process.env.SAFE_REMOTE_SIGNER_URL,
+      address: process.env.SAFE_REMOTE_SIGNER_ADDRESS,
+    },
+  };
+}
+
+/**
+ * Human owner signer for `cosign` and `sign-file --owner` (see
+ * loadOwnerSignerAccount()). Separate SAFE_OWNER_* variables, so nothing the
+ * agent signer reads can select the owner key. Default: keystore, or remote
+ * when SAFE_OWNER_REMOTE_SIGNER_URL is set.
+ */
+export function resolveOwnerSignerConfig() {
+  return {
+    backend:
+      process.env.SAFE_OWNER_SIGNER || (process.env.SAFE_OWNER_REMOTE_SIGNER_URL ? "remote" : "keystore"),
+    keystore: {
+      path: process.env.SAFE_OWNER_KEYSTORE,
+      passwordFd: process.env.SAFE_OWNER_KEYSTORE_PASSWORD_FD,
+    },
+    remote: {
+      url: process.env.SAFE_OWNER_REMOTE_SIGNER_URL,
+      address: process.env.SAFE_OWNER_REMOTE_SIGNER_ADDRESS,
+    },
+  };
+}
+
+/**
+ * RPC URL for a chain: SAFE_RPC_<CHAIN> (e.g. SAFE_RPC_BASE_SEPOLIA) if set,
+ * otherwise SAFE_RPC. Multi-chain commands need the per-chain variables.
+ */
+export function resolveRpcUrl(chain) {
+  const { key } = getChainConfig(chain);
+  const perChain = process.env[`SAFE_RPC_${key.toUpperCase().replace(/-/g, "_")}`];
+  return perChain || process.env.SAFE_RPC || process.env.EVERCLAW_RPC;
+}
+
+/**
+ * SafeTreasury options as configured through the environment.
+ * @param {string} [chain]  Chain override (e.g. from --chain); default SAFE_CHAIN
+ */
+export function resolveConfig(chain = process.env.SAFE_CHAIN) {
+  return {
+    safeAddress: process.env.SAFE_ADDRESS,
+    chain,
+    rpcUrl: resolveRpcUrl(chain),
+    txServiceUrl: process.env.SAFE_TX_SERVICE,
+    allowanceModule: process.env.ALLOWANCE_MODULE,
+    signer: resolveSignerConfig(),
+    signatureType: process.env.SAFE_SIGNATURE_TYPE,
+  };
+}
+
+/**
+ * SECURITY: Require explicit RPC config. Public RPCs can return manipulated data.
+ */
+export function requireRpcUrl(rpcUrl) {
+  if (!rpcUrl) {
+    throw new TreasuryError("SAFE_RPC not configured in ~/morpheus/.env", {
+      hints: [
+        "Public RPCs are NOT secure for financial operations.",
+        "Use Alchemy, Infura, QuickNode, or your own node.",
+      ],
+    });
+  }
+  return rpcUrl;
+}
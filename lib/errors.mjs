@@ -0,0 +1,19 @@
+/**
+ * errors.mjs — Error type thrown by the safe-agent-treasury library
+ *
+ * Library code never calls process.exit(). It throws TreasuryError with a
+ * one-line message plus optional hint lines; the CLI scripts print both and
+ * exit non-zero.
+ */
+
+export class TreasuryError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ hints?: string[], cause?: unknown }} [options]
+   */
+  constructor(message, { hints = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "TreasuryError";
+    this.hints = hints;
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * safe-agent-treasury — importable API behind the agent-treasury-* scripts
+ *
+ *   import { SafeTreasury, loadEnv } from "safe-agent-treasury";
+ *   loadEnv();
+ *   const treasury = SafeTreasury.fromEnv();
+ */
+
+export { SafeTreasury } from "./treasury.mjs";
+export {
+  deploySafe,
+  deploySafeMultiChain,
+  predictSafe,
+  encodeSafeSetup,
+  encodeBootstrap,
+  predictSafeAddress,
+} from "./deploy.mjs";
+export { encodeMultiSend, encodeMultiSendTransactions, batchToSafeTx } from "./multisend.mjs";
+export {
+  SENTINEL_OWNERS,
+  computePrevOwner,
+  addOwnerCall,
+  removeOwnerCall,
+  swapOwnerCall,
+} from "./owners.mjs";
+export { loadBatchFile, resolveBatch } from "./batch.mjs";
+export {
+  DECODERS,
+  registerDecoder,
+  decodeTransaction,
+  decodeMultiSendTransactions,
+  formatDecoded,
+} from "./decode.mjs";
+export {
+  ROTATIONS_DIR,
+  provisionAgentKey,
+  buildRotationCalls,
+  startRotation,
+  checkRotation,
+  sweepToSafe,
+  finishRotation,
+  readRotationState,
+} from "./rotation.mjs";
+export { loadPolicy, parsePolicy, planPolicy, applyPolicy } from "./policy.mjs";
+export {
+  recoverSignature,
+  verifyConfirmations,
+  summarizeVerification,
+  formatVerification,
+  packSignatures,
+} from "./signatures.mjs";
+export { simulateSafeTx, formatSimulation, SAFE_THRESHOLD_SLOT } from "./simulate.mjs";
+export {
+  SAFE_TX_FILE_VERSION,
+  createSafeTxFile,
+  parseSafeTxFile,
+  readSafeTxFile,
+  writeSafeTxFile,
+  signSafeTxFile,
+  mergeSafeTxFiles,
+} from "./safe-tx-file.mjs";
+export { loadSigningPolicy, checkSigningPolicy, DEFAULT_BLOCKED_METHODS } from "./signing-policy.mjs";
+export { DEPLOYMENTS_DIR, buildDeploymentManifest, writeDeploymentManifest } from "./manifest.mjs";
+export { TreasuryError } from "./errors.mjs";
+export {
+  CHAINS,
+  DEFAULT_CHAIN,
+  SAFE_V141,
+  getChainConfig,
+  explorerAddressUrl,
+  explorerTxUrl,
+  safeAppQueueUrl,
+} from "./chains.mjs";
+export {
+  SAFE_DIR,
+  loadEnv,
+  setEnvValue,
+  resolveConfig,
+  resolveRpcUrl,
+  resolveSignerConfig,
+  resolveOwnerSignerConfig,
+} from "./env.mjs";
+export {
+  loadSignerAccount,
+  loadOwnerSignerAccount,
+  resolveAgentAddress,
+  SIGNER_BACKENDS,
+  OWNER_SIGNER_BACKENDS,
+  SIGNER_STORES,
+  storeSignerKey,
+} from "./signer.mjs";
+export { getPrivateKey, loadKeychainAccount, storePrivateKey } from "./keychain.mjs";
+export { decryptKeystore, encryptKeystore, loadKeystoreAccount, readKeystoreAddress } from "./keystore.mjs";
+export { loadSecretServiceAccount, storeSecretServiceKey } from "./secret-service.mjs";
+export { loadRemoteSignerAccount } from "./remote-signer.mjs";
+export {
+  SAFE_TX_TYPEHASH,
+  encodeSafeTxData,
+  SAFE_TX_TYPES,
+  SIGNATURE_TYPES,
+  computeSafeTxHash,
+  safeDomainSeparator,
+  signSafeTx,
+  signSafeTxHash,
+  execSafeTx,
+} from "./safe-tx.mjs";
+export {
+  submitToTxService,
+  submitConfirmation,
+  getPendingTransactions,
+  getQueuedTransactions,
+  getTransaction,
+  DELEGATE_TYPES,
+  delegateTypedData,
+  getTxServiceDelegates,
+  addTxServiceDelegate,
+  removeTxServiceDelegate,
+} from "./tx-service.mjs";
+export * from "./abis.mjs";
+export * from "./constants.mjs";
@@ -0,0 +1,79 @@
+/**
+ * keychain.mjs — Agent hot wallet key retrieval from the macOS Keychain
+ */
+
+import { execFileSync } from "node:child_process";
+import { privateKeyToAccount } from "viem/accounts";
+import { TreasuryError } from "./errors.mjs";
+
+/**
+ * Read the agent private key from the Keychain.
+ *
+ * SECURITY: Keychain must be pre-unlocked. We no longer auto-unlock via password file
+ * because passing passwords via command-line args exposes them in `ps aux` output.
+ * Before running: security unlock-keychain ~/Library/Keychains/everclaw.keychain-db
+ */
+export function getPrivateKey({ account, service, db }) {
+  try {
+    return execFileSync(
+      "security",
+      [
+        "find-generic-password",
+        "-a", account,
+        "-s", service,
+        "-w", db,
+      ],
+      { encoding: "utf-8", stdio: "pipe" }
+    ).trim();
+  } catch {
+    throw new TreasuryError("Could not retrieve wallet key from Keychain.", {
+      hints: [
+        `Account: ${account}, Service: ${service}`,
+        `DB: ${db}`,
+        `Unlock keychain first: security unlock-keychain "${db}"`,
+      ],
+    });
+  }
+}
+
+/**
+ * Build a viem account for the agent hot wallet from the Keychain entry.
+ */
+export function loadKeychainAccount(keychain) {
+  let privateKey = getPrivateKey(keychain);
+  if (!privateKey.startsWith("0x")) {
+    privateKey = `0x${privateKey}`;
+  }
+  return privateKeyToAccount(privateKey);
+}
+
+/**
+ * Store a private key as a new Keychain entry.
+ *
+ * SECURITY: The key is fed to `security -i` on stdin so it never appears in
+ * argv (`ps aux`). Refuses to overwrite an existing entry.
+ */
+export function storePrivateKey({ account, service, db }, privateKey) {
+  let exists = true;
+  try {
+    getPrivateKey({ account, service, db });
+  } catch {
+    exists = false;
+  }
+  if (exists) {
+    throw new TreasuryError(`Keychain entry ${service}/${account} already exists; pick another account name.`);
+  }
+
+  const quote = (v) => `"${String(v).replace(/(["\\])/g, "\\$1")}"`;
+  try {
+    execFileSync("security", ["-i"], {
+      input: `add-generic-password -a ${quote(account)} -s ${quote(service)} -w ${quote(privateKey)} ${quote(db)}\n`,
+      encoding: "utf-8",
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+  } catch (e) {
+    throw new TreasuryError(`Could not store the new key in the Keychain: ${e.message}`, {
+      hints: [`Unlock keychain first: security unlock-keychain "${db}"`],
+    });
+  }
+}
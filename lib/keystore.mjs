@@ -0,0 +1,179 @@
+/**
+ * keystore.mjs — Web3 Secret Storage (V3 keystore) signer backend
+ *
+ * Decrypts a geth/ethers-style encrypted JSON key file. The password is read
+ * from an inherited file descriptor (SAFE_KEYSTORE_PASSWORD_FD, e.g. `3<pass`)
+ * or prompted for on the terminal. It is never taken from argv or env values.
+ */
+
+import { readFileSync } from "node:fs";
+import { Writable } from "node:stream";
+import { createInterface } from "node:readline/promises";
+import {
+  scryptSync,
+  pbkdf2Sync,
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  randomUUID,
+  timingSafeEqual,
+} from "node:crypto";
+import { keccak256, concat, toHex, hexToBytes, getAddress } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { TreasuryError } from "./errors.mjs";
+
+function deriveKey(password, crypto) {
+  const { kdf, kdfparams } = crypto;
+  const salt = Buffer.from(kdfparams.salt, "hex");
+
+  if (kdf === "scrypt") {
+    const { n, r, p, dklen } = kdfparams;
+    return scryptSync(password, salt, dklen, { N: n, r, p, maxmem: 256 * n * r });
+  }
+  if (kdf === "pbkdf2") {
+    if (kdfparams.prf !== "hmac-sha256") {
+      throw new TreasuryError(`Unsupported keystore pbkdf2 prf: ${kdfparams.prf}`);
+    }
+    return pbkdf2Sync(password, salt, kdfparams.c, kdfparams.dklen, "sha256");
+  }
+  throw new TreasuryError(`Unsupported keystore kdf: ${kdf}`);
+}
+
+/**
+ * Decrypt a V3 keystore object and return the 0x-prefixed private key.
+ */
+export function decryptKeystore(keystore, password) {
+  if (keystore.version !== 3) {
+    throw new TreasuryError(`Unsupported keystore version: ${keystore.version}`);
+  }
+  // Some writers use "Crypto" (capitalized)
+  const crypto = keystore.crypto || keystore.Crypto;
+  if (crypto.cipher !== "aes-128-ctr") {
+    throw new TreasuryError(`Unsupported keystore cipher: ${crypto.cipher}`);
+  }
+
+  const derivedKey = deriveKey(password, crypto);
+  const ciphertext = Buffer.from(crypto.ciphertext, "hex");
+
+  // MAC = keccak256(derivedKey[16..32] ++ ciphertext)
+  const mac = hexToBytes(keccak256(concat([derivedKey.subarray(16, 32), ciphertext])));
+  if (!timingSafeEqual(mac, Buffer.from(crypto.mac, "hex"))) {
+    throw new TreasuryError("Keystore password is incorrect (MAC mismatch).");
+  }
+
+  const decipher = createDecipheriv(
+    "aes-128-ctr",
+    derivedKey.subarray(0, 16),
+    Buffer.from(crypto.cipherparams.iv, "hex")
+  );
+  const privateKey = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return toHex(privateKey);
+}
+
+/**
+ * Encrypt a private key as a V3 keystore object (scrypt, aes-128-ctr).
+ */
+export function encryptKeystore(privateKey, password) {
+  const kdfparams = { dklen: 32, n: 131072, r: 8, p: 1, salt: randomBytes(32).toString("hex") };
+  const crypto = { kdf: "scrypt", kdfparams };
+  const derivedKey = deriveKey(password, crypto);
+  const iv = randomBytes(16);
+
+  const cipher = createCipheriv("aes-128-ctr", derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(hexToBytes(privateKey)), cipher.final()]);
+  const mac = keccak256(concat([derivedKey.subarray(16, 32), ciphertext]));
+
+  return {
+    version: 3,
+    id: randomUUID(),
+    address: privateKeyToAccount(privateKey).address.slice(2).toLowerCase(),
+    crypto: {
+      ...crypto,
+      cipher: "aes-128-ctr",
+      cipherparams: { iv: iv.toString("hex") },
+      ciphertext: ciphertext.toString("hex"),
+      mac: mac.slice(2),
+    },
+  };
+}
+
+/**
+ * Read the keystore password from an inherited file descriptor.
+ */
+export function readPasswordFd(fd) {
+  try {
+    return readFileSync(Number(fd), "utf-8").replace(/\r?\n$/, "");
+  } catch (e) {
+    throw new TreasuryError(`Could not read keystore password from fd ${fd}: ${e.message}`);
+  }
+}
+
+/**
+ * Prompt for a password on the terminal without echoing it.
+ */
+export async function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    throw new TreasuryError("Keystore password required but stdin is not a terminal.", {
+      hints: ["Pass it on a file descriptor instead: SAFE_KEYSTORE_PASSWORD_FD=3 node ... 3<passfile"],
+    });
+  }
+  process.stderr.write(question);
+  const muted = new Writable({ write(_chunk, _enc, cb) { cb(); } });
+  const rl = createInterface({ input: process.stdin, output: muted, terminal: true });
+  try {
+    return await rl.question("");
+  } finally {
+    rl.close();
+    process.stderr.write("\n");
+  }
+}
+
+/**
+ * Address stored in a keystore file (unencrypted `address` field), or null
+ * when the file has none. Needs no password.
+ * @param {string} path
+ * @returns {string|null}
+ */
+export function readKeystoreAddress(path) {
+  let keystore;
+  try {
+    keystore = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new TreasuryError(`Could not read keystore ${path}: ${e.message}`);
+  }
+  if (!keystore.address) {
+    return null;
+  }
+  try {
+    return getAddress(`0x${String(keystore.address).replace(/^0x/, "")}`);
+  } catch {
+    throw new TreasuryError(`Keystore ${path} has an invalid address field.`);
+  }
+}
+
+/**
+ * Build a viem account from an encrypted keystore file.
+ */
+export async function loadKeystoreAccount({ path, passwordFd }) {
+  if (!path) {
+    throw new TreasuryError("SAFE_KEYSTORE not set (path to an encrypted V3 keystore JSON file).");
+  }
+
+  let keystore;
+  try {
+    keystore = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new TreasuryError(`Could not read keystore ${path}: ${e.message}`);
+  }
+
+  const password = passwordFd
+    ? readPasswordFd(passwordFd)
+    : await promptHidden(`Password for keystore ${path}: `);
+
+  const account = privateKeyToAccount(decryptKeystore(keystore, password));
+
+  if (keystore.address && account.address.toLowerCase() !== `0x${keystore.address.replace(/^0x/, "")}`.toLowerCase()) {
+    throw new TreasuryError(`Keystore address ${keystore.address} does not match decrypted key ${account.address}.`);
+  }
+  return account;
+}
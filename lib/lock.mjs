@@ -0,0 +1,36 @@
+/**
+ * lock.mjs — Lock files to prevent concurrent execution of a script
+ */
+
+import { openSync, closeSync, unlinkSync, constants } from "node:fs";
+
+/**
+ * Atomically create `lockFile` and remove it again when the process exits.
+ * Returns false if another instance already holds the lock.
+ */
+export function acquireLock(lockFile) {
+  try {
+    // O_EXCL fails if file exists - atomic check-and-create
+    const fd = openSync(lockFile, constants.O_CREAT | constants.O_EXCL | constants.O_RDWR);
+    closeSync(fd);
+  } catch (e) {
+    if (e.code === "EEXIST") {
+      return false;
+    }
+    throw e;
+  }
+
+  const releaseLock = () => {
+    try {
+      unlinkSync(lockFile);
+    } catch {
+      // Ignore - lock file may already be removed
+    }
+  };
+
+  // Release lock on exit (normal or error)
+  process.on("exit", releaseLock);
+  process.on("SIGINT", () => { releaseLock(); process.exit(130); });
+  process.on("SIGTERM", () => { releaseLock(); process.exit(143); });
+  return true;
+}
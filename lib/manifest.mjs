@@ -0,0 +1,60 @@
+/**
+ * manifest.mjs — JSON record of each Safe deployment
+ *
+ * Written by agent-treasury-deploy.mjs to ~/morpheus/data/deployments/
+ * (one file per chain and Safe), so the salt nonce and initializer needed to
+ * redeploy the same address elsewhere are never lost.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { getChainConfig } from "./chains.mjs";
+import { SAFE_DIR } from "./env.mjs";
+
+export const DEPLOYMENTS_DIR = `${SAFE_DIR}/data/deployments`;
+
+const PACKAGE_VERSION = JSON.parse(
+  readFileSync(new URL("../package.json", import.meta.url), "utf-8")
+).version;
+
+/**
+ * Manifest object for a deployed Safe. Accepts a DeployResult, or a
+ * MultiChainDeployResult spread with one of its chain entries.
+ */
+export function buildDeploymentManifest(deployment) {
+  const chainConfig = getChainConfig(deployment.chain);
+  return {
+    safeAddress: deployment.safeAddress,
+    chain: chainConfig.key,
+    chainId: chainConfig.chain.id,
+    owners: deployment.owners,
+    threshold: deployment.threshold,
+    agent: deployment.agent,
+    saltNonce: deployment.saltNonce.toString(),
+    initializer: deployment.initializer,
+    txHash: deployment.txHash ?? null,
+    blockNumber: deployment.blockNumber != null ? Number(deployment.blockNumber) : null,
+    contracts: {
+      proxyFactory: chainConfig.safe.proxyFactory,
+      singleton: chainConfig.safe.singletonL2,
+      fallbackHandler: chainConfig.safe.fallbackHandler,
+    },
+    versions: {
+      safe: deployment.verification?.version ?? chainConfig.safe.version,
+      safeAgentTreasury: PACKAGE_VERSION,
+    },
+    bootstrap: deployment.bootstrap ?? null,
+    verified: Boolean(deployment.verification),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Write the manifest and return its path.
+ */
+export function writeDeploymentManifest(deployment, dir = DEPLOYMENTS_DIR) {
+  const manifest = buildDeploymentManifest(deployment);
+  mkdirSync(dir, { recursive: true });
+  const path = `${dir}/${manifest.chain}-${manifest.safeAddress}.json`;
+  writeFileSync(path, JSON.stringify(manifest, null, 2) + "\n");
+  return path;
+}
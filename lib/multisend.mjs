@@ -0,0 +1,64 @@
+/**
+ * multisend.mjs — Encoding for Safe MultiSend / MultiSendCallOnly batches
+ *
+ * A batch is one delegatecall to MultiSend(CallOnly) whose `transactions`
+ * argument packs every call as:
+ *   uint8 operation | address to | uint256 value | uint256 dataLength | bytes data
+ */
+
+import { encodeFunctionData, encodePacked, getAddress, size } from "viem";
+import { MULTISEND_ABI } from "./abis.mjs";
+import { TreasuryError } from "./errors.mjs";
+
+/**
+ * @typedef {object} BatchCall
+ * @property {string} to        Target (v1.4.1: zeroAddress means the Safe itself)
+ * @property {bigint} [value]
+ * @property {`0x${string}`} [data]
+ * @property {0|1} [operation]  0 = call, 1 = delegatecall (MultiSend only)
+ */
+
+/**
+ * Pack calls into the `transactions` bytes MultiSend expects.
+ * @param {BatchCall[]} calls
+ */
+export function encodeMultiSendTransactions(calls) {
+  if (calls.length === 0) {
+    throw new TreasuryError("Batch is empty.");
+  }
+  return `0x${calls
+    .map(({ to, value = 0n, data = "0x", operation = 0 }) =>
+      encodePacked(
+        ["uint8", "address", "uint256", "uint256", "bytes"],
+        [operation, getAddress(to), value, BigInt(size(data)), data]
+      ).slice(2)
+    )
+    .join("")}`;
+}
+
+/**
+ * One Safe transaction for a list of calls: a single call as-is, several
+ * wrapped in a MultiSendCallOnly delegatecall.
+ * @param {BatchCall[]} calls
+ * @param {string} multiSendCallOnly
+ * @returns {{ to: string, value: bigint, data: `0x${string}`, operation: 0|1 }}
+ */
+export function batchToSafeTx(calls, multiSendCallOnly) {
+  if (calls.length === 1) {
+    const [{ to, value = 0n, data = "0x", operation = 0 }] = calls;
+    return { to, value, data, operation };
+  }
+  return { to: multiSendCallOnly, value: 0n, data: encodeMultiSend(calls), operation: 1 };
+}
+
+/**
+ * multiSend(transactions) calldata for a batch of calls.
+ * @param {BatchCall[]} calls
+ */
+export function encodeMultiSend(calls) {
+  return encodeFunctionData({
+    abi: MULTISEND_ABI,
+    functionName: "multiSend",
+    args: [encodeMultiSendTransactions(calls)],
+  });
+}
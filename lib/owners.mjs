@@ -0,0 +1,100 @@
+/**
+ * owners.mjs — Safe owner linked-list helpers
+ *
+ * Safe stores owners as a linked list starting at SENTINEL_OWNERS, in the
+ * order getOwners() returns them. removeOwner and swapOwner need the owner
+ * that points at the one being changed (`prevOwner`); addOwnerWithThreshold
+ * inserts at the head.
+ */
+
+import { encodeFunctionData, getAddress } from "viem";
+import { SAFE_ABI } from "./abis.mjs";
+import { TreasuryError } from "./errors.mjs";
+
+export const SENTINEL_OWNERS = "0x0000000000000000000000000000000000000001";
+
+function indexOfOwner(owners, owner) {
+  const index = owners.findIndex((o) => o.toLowerCase() === owner.toLowerCase());
+  if (index === -1) {
+    throw new TreasuryError(`${owner} is not a Safe owner.`);
+  }
+  return index;
+}
+
+/**
+ * The owner pointing at `owner` in the list (SENTINEL_OWNERS for the first).
+ * @param {string[]} owners  Current getOwners() result
+ */
+export function computePrevOwner(owners, owner) {
+  const index = indexOfOwner(owners, owner);
+  return index === 0 ? SENTINEL_OWNERS : getAddress(owners[index - 1]);
+}
+
+function checkThreshold(threshold, ownerCount) {
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > ownerCount) {
+    throw new TreasuryError(`Threshold must be between 1 and ${ownerCount} (owners after the change).`);
+  }
+}
+
+/**
+ * addOwnerWithThreshold call and the owner list it produces.
+ */
+export function addOwnerCall(safeAddress, owners, owner, threshold) {
+  owner = getAddress(owner);
+  if (owners.some((o) => o.toLowerCase() === owner.toLowerCase())) {
+    throw new TreasuryError(`${owner} is already an owner.`);
+  }
+  checkThreshold(threshold, owners.length + 1);
+  return {
+    call: {
+      to: safeAddress,
+      data: encodeFunctionData({
+        abi: SAFE_ABI,
+        functionName: "addOwnerWithThreshold",
+        args: [owner, BigInt(threshold)],
+      }),
+    },
+    owners: [owner, ...owners],
+  };
+}
+
+/**
+ * removeOwner call and the owner list it produces.
+ */
+export function removeOwnerCall(safeAddress, owners, owner, threshold) {
+  const index = indexOfOwner(owners, owner);
+  checkThreshold(threshold, owners.length - 1);
+  return {
+    call: {
+      to: safeAddress,
+      data: encodeFunctionData({
+        abi: SAFE_ABI,
+        functionName: "removeOwner",
+        args: [computePrevOwner(owners, owner), getAddress(owner), BigInt(threshold)],
+      }),
+    },
+    owners: owners.filter((_, i) => i !== index),
+  };
+}
+
+/**
+ * swapOwner call and the owner list it produces (the new owner takes the old one's slot).
+ */
+export function swapOwnerCall(safeAddress, owners, oldOwner, newOwner) {
+  const index = indexOfOwner(owners, oldOwner);
+  newOwner = getAddress(newOwner);
+  if (owners.some((o) => o.toLowerCase() === newOwner.toLowerCase())) {
+    throw new TreasuryError(`${newOwner} is already an owner.`);
+  }
+  return {
+    call: {
+      to: safeAddress,
+      data: encodeFunctionData({
+        abi: SAFE_ABI,
+        functionName: "swapOwner",
+        args: [computePrevOwner(owners, oldOwner), getAddress(oldOwner), newOwner],
+      }),
+    },
+    owners: owners.map((o, i) => (i === index ? newOwner : o)),
+  };
+}
@@ -0,0 +1,354 @@
+/**
+ * policy.mjs — Declarative treasury policy (treasury.json): parse, plan, apply
+ *
+ * A policy states the desired Safe configuration. Every top-level section is
+ * optional; a section that is left out is not managed:
+ *
+ *   {
+ *     "chain": "base",
+ *     "owners": ["0xHuman", "0xAgent"],
+ *     "threshold": 2,
+ *     "modules": ["AllowanceModule"],
+ *     "delegates": {
+ *       "0xAgent": {
+ *         "MOR": { "amount": "50", "resetMinutes": 1440 },
+ *         "ETH": { "amount": "0.05", "resetMinutes": 1440 },
+ *         "0xToken": { "amount": "100", "resetMinutes": 1440 }
+ *       }
+ *     }
+ *   }
+ *
+ * Token addresses without "decimals" get them from the token's decimals() when
+ * the plan is made.
+ *
+ * planPolicy() diffs the policy against getOwners/getThreshold/isModuleEnabled/
+ * getDelegates/getTokenAllowance and returns the Safe calls that close the gap.
+ * applyPolicy() submits them as one Safe transaction (see SafeTreasury.submitBatch).
+ * Modules are only ever enabled, never disabled.
+ */
+
+import { readFileSync } from "node:fs";
+import {
+  encodeFunctionData,
+  formatUnits,
+  getAddress,
+  parseUnits,
+  zeroAddress,
+} from "viem";
+import { SAFE_ABI, ALLOWANCE_MODULE_ABI, ERC20_ABI } from "./abis.mjs";
+import { UINT96_MAX, UINT16_MAX } from "./constants.mjs";
+import { TreasuryError } from "./errors.mjs";
+import { addOwnerCall, removeOwnerCall } from "./owners.mjs";
+
+/**
+ * @typedef {object} PolicyAllowance
+ * @property {string} token        Token address (zeroAddress = ETH)
+ * @property {string} label        As written in the policy (MOR, ETH or the address)
+ * @property {string} amountText   As written in the policy
+ * @property {bigint} [amount]     Absent until the token's decimals are known (see planPolicy())
+ * @property {number} [decimals]   From the policy; read from the token otherwise
+ * @property {number} resetMinutes
+ *
+ * @typedef {object} Policy
+ * @property {string[]} [owners]
+ * @property {number} [threshold]
+ * @property {string[]} [modules]
+ * @property {Record<string, PolicyAllowance[]>} [delegates]
+ *
+ * @typedef {object} PolicyChange
+ * @property {string} kind         enableModule | addOwner | removeOwner | changeThreshold | addDelegate | removeDelegate | setAllowance | deleteAllowance
+ * @property {string} description
+ * @property {{ to: string, data: `0x${string}` }} call
+ *
+ * @typedef {object} PolicyPlan
+ * @property {PolicyChange[]} changes
+ * @property {boolean} inSync
+ */
+
+function parseAddress(value, what) {
+  try {
+    return getAddress(value);
+  } catch {
+    throw new TreasuryError(`Policy: invalid ${what} address "${value}".`);
+  }
+}
+
+// Owners and delegates: the zero address is what templates/treasury.json ships with
+function parseAccount(value, what) {
+  const address = parseAddress(value, what);
+  if (address === zeroAddress) {
+    throw new TreasuryError(`Policy: ${what} is the zero address.`, {
+      hints: ["Replace the placeholder addresses from templates/treasury.json with real ones."],
+    });
+  }
+  return address;
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read and validate a policy file.
+ * @param {string} path
+ * @param {import("./chains.mjs").ChainConfig} chainConfig
+ */
+export function loadPolicy(path, chainConfig) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new TreasuryError(`Could not read policy ${path}: ${e.message}`, {
+      hints: ["See templates/treasury.json for the format."],
+    });
+  }
+  return parsePolicy(raw, chainConfig);
+}
+
+/**
+ * Validate a policy object and resolve token names and amounts for the chain.
+ * @param {object} raw
+ * @param {import("./chains.mjs").ChainConfig} chainConfig
+ * @returns {Policy}
+ */
+export function parsePolicy(raw, chainConfig) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new TreasuryError("Policy must be a JSON object.");
+  }
+  if (raw.chain && raw.chain !== chainConfig.key && Number(raw.chain) !== chainConfig.chain.id) {
+    throw new TreasuryError(`Policy is for chain "${raw.chain}", but the treasury is on ${chainConfig.key}.`);
+  }
+
+  const policy = {};
+
+  if (raw.owners !== undefined) {
+    if (!Array.isArray(raw.owners) || raw.owners.length === 0) {
+      throw new TreasuryError("Policy: owners must be a non-empty array.");
+    }
+    policy.owners = raw.owners.map((o) => parseAccount(o, "owner"));
+    if (new Set(policy.owners.map((o) => o.toLowerCase())).size !== policy.owners.length) {
+      throw new TreasuryError("Policy: owners contains duplicates.");
+    }
+  }
+
+  if (raw.threshold !== undefined) {
+    const ownerCount = policy.owners?.length ?? Infinity;
+    if (!Number.isInteger(raw.threshold) || raw.threshold < 1 || raw.threshold > ownerCount) {
+      throw new TreasuryError(`Policy: threshold must be an integer between 1 and the number of owners.`);
+    }
+    policy.threshold = raw.threshold;
+  }
+
+  if (raw.modules !== undefined) {
+    if (!Array.isArray(raw.modules)) {
+      throw new TreasuryError("Policy: modules must be an array.");
+    }
+    policy.modules = raw.modules.map((m) =>
+      m === "AllowanceModule" ? getAddress(chainConfig.allowanceModule) : parseAddress(m, "module")
+    );
+  }
+
+  if (raw.delegates !== undefined) {
+    if (!raw.delegates || typeof raw.delegates !== "object" || Array.isArray(raw.delegates)) {
+      throw new TreasuryError("Policy: delegates must be an object keyed by delegate address.");
+    }
+    policy.delegates = {};
+    for (const [delegate, tokens] of Object.entries(raw.delegates)) {
+      policy.delegates[parseAccount(delegate, "delegate")] = Object.entries(tokens || {}).map(
+        ([label, spec]) => parseAllowance(label, spec, chainConfig)
+      );
+    }
+  }
+
+  return policy;
+}
+
+function parseAllowance(label, spec, chainConfig) {
+  let token;
+  if (label.toUpperCase() === "ETH") {
+    token = zeroAddress;
+  } else if (label.toUpperCase() === "MOR") {
+    if (!chainConfig.morToken) {
+      throw new TreasuryError(`Policy: MOR is not deployed on ${chainConfig.name}.`);
+    }
+    token = chainConfig.morToken;
+  } else {
+    token = parseAddress(label, "token");
+  }
+
+  const amountText = String(spec?.amount);
+  if (!/^\d+(\.\d+)?$/.test(amountText)) {
+    throw new TreasuryError(`Policy: ${label} allowance needs a decimal "amount".`);
+  }
+  // MOR and ETH have 18 decimals; other tokens state theirs or have them read on-chain
+  let decimals = token === zeroAddress || sameAddress(token, chainConfig.morToken ?? zeroAddress) ? 18 : spec?.decimals;
+  if (decimals !== undefined && (!Number.isInteger(decimals) || decimals < 0 || decimals > 255)) {
+    throw new TreasuryError(`Policy: ${label} decimals must be an integer between 0 and 255.`);
+  }
+  const resetMinutes = spec?.resetMinutes ?? 1440;
+  if (!Number.isInteger(resetMinutes) || resetMinutes < 1 || resetMinutes > UINT16_MAX) {
+    throw new TreasuryError(`Policy: ${label} resetMinutes must be between 1 and ${UINT16_MAX}.`);
+  }
+
+  const allowance = { token, label, amountText, decimals, resetMinutes };
+  return decimals === undefined ? allowance : withAmount(allowance, decimals);
+}
+
+function withAmount(allowance, decimals) {
+  let amount;
+  try {
+    amount = parseUnits(allowance.amountText, decimals);
+  } catch {
+    throw new TreasuryError(`Policy: ${allowance.label} allowance needs a decimal "amount".`);
+  }
+  // SECURITY: Validate bounds for uint96 (allowance amounts) and uint16 (reset minutes)
+  if (amount <= 0n || amount > UINT96_MAX) {
+    throw new TreasuryError(`Policy: ${allowance.label} amount must be greater than 0 and fit in uint96.`);
+  }
+  return { ...allowance, amount, decimals };
+}
+
+/**
+ * Fill in amounts for tokens whose decimals the policy left out.
+ * SECURITY: Never assume 18 -- for a 6-decimal token that is a 10^12 times larger allowance.
+ */
+async function resolveAllowance(publicClient, allowance) {
+  if (allowance.amount !== undefined) {
+    return allowance;
+  }
+  let decimals;
+  try {
+    decimals = Number(await publicClient.readContract({ address: allowance.token, abi: ERC20_ABI, functionName: "decimals" }));
+  } catch (e) {
+    throw new TreasuryError(`Policy: could not read decimals() of ${allowance.label}: ${e.shortMessage || e.message}`, {
+      hints: [`Set "decimals" for ${allowance.label} in the policy.`],
+    });
+  }
+  return withAmount(allowance, decimals);
+}
+
+// --- Plan ---
+
+function safeCall(safeAddress, functionName, args) {
+  return { to: safeAddress, data: encodeFunctionData({ abi: SAFE_ABI, functionName, args }) };
+}
+
+function moduleCall(allowanceModule, functionName, args) {
+  return { to: allowanceModule, data: encodeFunctionData({ abi: ALLOWANCE_MODULE_ABI, functionName, args }) };
+}
+
+/**
+ * Diff the policy against on-chain state.
+ * @param {import("./treasury.mjs").SafeTreasury} treasury
+ * @param {Policy} policy
+ * @returns {Promise<PolicyPlan>}
+ */
+export async function planPolicy(treasury, policy) {
+  const { safeAddress, allowanceModule, publicClient } = treasury;
+  const changes = [];
+  const add = (kind, description, call) => changes.push({ kind, description, call });
+
+  const { threshold, owners } = await treasury.getOverview();
+
+  // --- Modules ---
+  for (const module of policy.modules ?? []) {
+    const enabled = await publicClient.readContract({
+      address: safeAddress,
+      abi: SAFE_ABI,
+      functionName: "isModuleEnabled",
+      args: [module],
+    });
+    if (!enabled) {
+      add("enableModule", `enableModule(${module})`, safeCall(safeAddress, "enableModule", [module]));
+    }
+  }
+
+  // --- Owners and threshold ---
+  // Additions first so the owner count never drops below the threshold
+  const targetThreshold = policy.threshold ?? Number(threshold);
+  let currentOwners = [...owners];
+  let currentThreshold = Number(threshold);
+
+  if (policy.owners) {
+    for (const owner of policy.owners.filter((o) => !currentOwners.some((c) => sameAddress(c, o)))) {
+      const next = Math.min(targetThreshold, currentOwners.length + 1);
+      const step = addOwnerCall(safeAddress, currentOwners, owner, next);
+      add("addOwner", `addOwnerWithThreshold(${owner}, ${next})`, step.call);
+      currentOwners = step.owners;
+      currentThreshold = next;
+    }
+    for (const owner of owners.filter((o) => !policy.owners.some((p) => sameAddress(p, o)))) {
+      const next = Math.min(targetThreshold, currentOwners.length - 1);
+      const step = removeOwnerCall(safeAddress, currentOwners, owner, next);
+      add("removeOwner", `removeOwner(${owner}, threshold ${next})`, step.call);
+      currentOwners = step.owners;
+      currentThreshold = next;
+    }
+  }
+
+  if (targetThreshold > currentOwners.length) {
+    throw new TreasuryError(`Policy threshold ${targetThreshold} exceeds the ${currentOwners.length} owner(s) the Safe would have.`);
+  }
+  if (currentThreshold !== targetThreshold) {
+    add(
+      "changeThreshold",
+      `changeThreshold(${targetThreshold})`,
+      safeCall(safeAddress, "changeThreshold", [BigInt(targetThreshold)])
+    );
+  }
+
+  // --- Delegates and allowances ---
+  if (policy.delegates) {
+    const onChainDelegates = await treasury.getDelegates();
+
+    for (const [delegate, allowances] of Object.entries(policy.delegates)) {
+      if (!onChainDelegates.some((d) => sameAddress(d, delegate))) {
+        add("addDelegate", `addDelegate(${delegate})`, moduleCall(allowanceModule, "addDelegate", [delegate]));
+      }
+
+      const knownTokens = await treasury.getAllowanceTokens(delegate);
+      for (const spec of allowances) {
+        const wanted = await resolveAllowance(publicClient, spec);
+        const current = await treasury.getAllowance(delegate, wanted.token);
+        if (current.amount === wanted.amount && current.resetTimeMin === wanted.resetMinutes) continue;
+        add(
+          "setAllowance",
+          `setAllowance(${delegate}, ${wanted.label}, ${formatUnits(current.amount, wanted.decimals)} -> ${formatUnits(wanted.amount, wanted.decimals)}, ${current.resetTimeMin} -> ${wanted.resetMinutes}min)`,
+          moduleCall(allowanceModule, "setAllowance", [delegate, wanted.token, wanted.amount, wanted.resetMinutes, 0])
+        );
+      }
+
+      for (const token of knownTokens.filter((t) => !allowances.some((a) => sameAddress(a.token, t)))) {
+        const current = await treasury.getAllowance(delegate, token);
+        if (current.amount === 0n && current.resetTimeMin === 0) continue;
+        add(
+          "deleteAllowance",
+          `deleteAllowance(${delegate}, ${token === zeroAddress ? "ETH" : token})`,
+          moduleCall(allowanceModule, "deleteAllowance", [delegate, token])
+        );
+      }
+    }
+
+    for (const delegate of onChainDelegates.filter((d) => !policy.delegates[getAddress(d)])) {
+      add(
+        "removeDelegate",
+        `removeDelegate(${delegate}) and its allowances`,
+        moduleCall(allowanceModule, "removeDelegate", [delegate, true])
+      );
+    }
+  }
+
+  return { changes, inSync: changes.length === 0 };
+}
+
+/**
+ * Submit a plan as one Safe transaction: executed at threshold 1, proposed otherwise.
+ * @param {import("./treasury.mjs").SafeTreasury} treasury
+ * @param {PolicyPlan} plan
+ */
+export async function applyPolicy(treasury, plan) {
+  if (plan.inSync) {
+    throw new TreasuryError("Nothing to apply: the Safe already matches the policy.");
+  }
+  return treasury.submitBatch(plan.changes.map((c) => c.call));
+}
@@ -0,0 +1,116 @@
+/**
+ * remote-signer.mjs — External JSON-RPC signer backend (Clef, web3signer, ...)
+ *
+ * The agent host never holds the key. Signing requests go to a local signer
+ * endpoint (SAFE_REMOTE_SIGNER_URL):
+ *   eth_signTypedData_v4   -- Safe transactions as SafeTx typed data (default)
+ *   eth_sign               -- Safe tx hashes (SAFE_SIGNATURE_TYPE=eth_sign, or typed data unsupported)
+ *   eth_signTransaction    -- wallet-client writes (deploy, configure, refill)
+ * Signed transactions are broadcast through SAFE_RPC as usual.
+ */
+
+import {
+  getAddress,
+  toHex,
+  formatTransactionRequest,
+  recoverMessageAddress,
+  recoverTypedDataAddress,
+} from "viem";
+import { toAccount } from "viem/accounts";
+import { TreasuryError } from "./errors.mjs";
+
+let rpcId = 0;
+
+/**
+ * Send one JSON-RPC request to the signer and return its result.
+ */
+async function signerRequest(url, method, params) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: ++rpcId, method, params }),
+    });
+  } catch (e) {
+    throw new TreasuryError(`Remote signer unreachable at ${url}: ${e.message}`, {
+      hints: ["Start the signer (e.g. clef, web3signer) or check SAFE_REMOTE_SIGNER_URL."],
+    });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new TreasuryError(`Remote signer error (${response.status}) on ${method}: ${errorText}`);
+  }
+
+  const body = await response.json();
+  if (body.error) {
+    throw new TreasuryError(`Remote signer rejected ${method}: ${body.error.message || JSON.stringify(body.error)}`);
+  }
+  return body.result;
+}
+
+function stringifyTypedData(typedData) {
+  return JSON.stringify(typedData, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+function messageToHex(message) {
+  if (typeof message === "string") return toHex(message);
+  return typeof message.raw === "string" ? message.raw : toHex(message.raw);
+}
+
+/**
+ * Build a viem account whose signing methods are forwarded to the remote signer.
+ */
+export async function loadRemoteSignerAccount({ url, address }) {
+  if (!url) {
+    throw new TreasuryError("SAFE_REMOTE_SIGNER_URL not set (JSON-RPC endpoint of the external signer).");
+  }
+
+  if (!address) {
+    // Fall back to the signer's only account
+    const accounts = await signerRequest(url, "eth_accounts", []);
+    if (!Array.isArray(accounts) || accounts.length !== 1) {
+      throw new TreasuryError(`Remote signer exposes ${accounts?.length ?? 0} accounts; set SAFE_REMOTE_SIGNER_ADDRESS.`);
+    }
+    address = accounts[0];
+  }
+  address = getAddress(address);
+
+  return toAccount({
+    address,
+
+    async signMessage({ message }) {
+      const signature = await signerRequest(url, "eth_sign", [address, messageToHex(message)]);
+
+      // SECURITY: Make sure the endpoint signed with the key we expect
+      const recovered = await recoverMessageAddress({ message, signature });
+      if (recovered !== address) {
+        throw new TreasuryError(`Remote signer returned a signature from ${recovered}, expected ${address}.`);
+      }
+      return signature;
+    },
+
+    async signTypedData(typedData) {
+      const signature = await signerRequest(url, "eth_signTypedData_v4", [address, stringifyTypedData(typedData)]);
+
+      // SECURITY: Same check as signMessage; delegate signatures are posted as-is
+      const recovered = await recoverTypedDataAddress({ ...typedData, signature });
+      if (recovered !== address) {
+        throw new TreasuryError(`Remote signer returned a typed-data signature from ${recovered}, expected ${address}.`);
+      }
+      return signature;
+    },
+
+    async signTransaction(transaction) {
+      const request = {
+        ...formatTransactionRequest(transaction),
+        from: address,
+        chainId: toHex(transaction.chainId),
+      };
+      const result = await signerRequest(url, "eth_signTransaction", [request]);
+      // web3signer returns the raw tx; Clef returns { raw, tx }
+      return typeof result === "string" ? result : result.raw;
+    },
+  });
+}
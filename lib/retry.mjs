@@ -0,0 +1,36 @@
+/**
+ * retry.mjs — Retry wrapper for RPC operations
+ */
+
+/**
+ * Retries on transient network failures with exponential backoff.
+ */
+export async function withRetry(
+  fn,
+  { maxRetries = 3, baseDelayMs = 1000, description = "RPC call", logger = () => {} } = {}
+) {
+  let lastError;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+      const isTransient =
+        error.message?.includes("fetch") ||
+        error.message?.includes("network") ||
+        error.message?.includes("timeout") ||
+        error.message?.includes("ECONNREFUSED") ||
+        error.message?.includes("ETIMEDOUT") ||
+        error.code === "ECONNRESET";
+
+      if (!isTransient || attempt === maxRetries) {
+        throw error;
+      }
+
+      const delayMs = baseDelayMs * Math.pow(2, attempt - 1);
+      logger(`  ${description} failed (attempt ${attempt}/${maxRetries}): ${error.message}. Retrying in ${delayMs}ms...`);
+      await new Promise(r => setTimeout(r, delayMs));
+    }
+  }
+  throw lastError;
+}
@@ -0,0 +1,370 @@
+/**
+ * rotation.mjs — Agent hot-wallet key rotation
+ *
+ * Two phases, because the Safe change may need co-signatures in between:
+ *
+ *   startRotation()   Simulate one batch: swapOwner(old -> new),
+ *                     addDelegate(new), setAllowance(new, ...) copying every
+ *                     allowance of the old delegate, removeDelegate(old).
+ *                     Then store the new key next to the old one (see
+ *                     SIGNER_STORES) and submit the batch: executed at
+ *                     threshold 1, proposed otherwise. If the submit fails,
+ *                     running it again resubmits for the stored key.
+ *   finishRotation()  Once the batch has executed: sweep the old wallet's MOR
+ *                     and ETH back to the Safe (signed with the old key) and
+ *                     check the new on-chain state.
+ *
+ * Progress is kept in ~/morpheus/data/rotations/<chain>-<safe>.json. The file
+ * holds addresses and .env values only, never key material.
+ */
+
+import { existsSync, mkdirSync, readFileSync, unlinkSync, writeFileSync } from "node:fs";
+import { encodeFunctionData, formatEther, getAddress, zeroAddress } from "viem";
+import { generatePrivateKey, privateKeyToAccount } from "viem/accounts";
+import { ALLOWANCE_MODULE_ABI, ERC20_ABI } from "./abis.mjs";
+import { SAFE_DIR } from "./env.mjs";
+import { TreasuryError } from "./errors.mjs";
+import { batchToSafeTx } from "./multisend.mjs";
+import { swapOwnerCall } from "./owners.mjs";
+import { storeSignerKey } from "./signer.mjs";
+
+export const ROTATIONS_DIR = `${SAFE_DIR}/data/rotations`;
+
+// ETH kept back when sweeping: this many times the transfer's gas limit at the
+// current max fee (covers the transfer plus the L1 data fee on rollups)
+const SWEEP_GAS_RESERVE_FACTOR = 3n;
+
+/**
+ * @typedef {object} RotationState
+ * @property {string} safeAddress
+ * @property {string} chain
+ * @property {string} oldAgent
+ * @property {string} newAgent
+ * @property {Record<string, string>} env       .env values that select the new key
+ * @property {boolean} wasOwner                 Old agent was a Safe owner (swapOwner)
+ * @property {boolean} wasDelegate              Old agent was an AllowanceModule delegate
+ * @property {{ token: string, amount: string, resetMinutes: number }[]} allowances  Copied to the new delegate
+ * @property {"executed"|"proposed"|null} mode   null until the batch is submitted
+ * @property {`0x${string}`|null} safeTxHash
+ * @property {string} startedAt
+ *
+ * @typedef {object} RotationCheck
+ * @property {boolean} newIsOwner
+ * @property {boolean} oldIsOwner
+ * @property {boolean} newIsDelegate
+ * @property {boolean} oldIsDelegate
+ * @property {boolean} allowancesCopied
+ * @property {boolean} done
+ */
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function checkPrivateKey(privateKey) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(privateKey)) {
+    throw new TreasuryError("Imported key must be 32 bytes of hex.");
+  }
+  return privateKey;
+}
+
+function statePath(treasury) {
+  return `${ROTATIONS_DIR}/${treasury.chainConfig.key}-${treasury.safeAddress}.json`;
+}
+
+/**
+ * The in-progress rotation for this Safe, or null.
+ * @returns {RotationState|null}
+ */
+export function readRotationState(treasury) {
+  const path = statePath(treasury);
+  return existsSync(path) ? JSON.parse(readFileSync(path, "utf-8")) : null;
+}
+
+/**
+ * Create (or import) the new agent key in the configured signer backend.
+ * `privateKey` imports an existing key; omit it to generate one. With the
+ * remote backend pass `address` instead (the key stays in the remote signer).
+ *
+ * @param {object} signer  Current signer config (see resolveSignerConfig())
+ * @param {{ privateKey?: `0x${string}`, address?: string, name?: string, password?: string }} options
+ * @returns {{ address: string, env: Record<string, string> }}
+ */
+export function provisionAgentKey(signer, { privateKey, address, name, password } = {}) {
+  if (address) {
+    if (signer.backend !== "remote") {
+      throw new TreasuryError("--new-agent is only for the remote signer; other backends store the new key themselves.");
+    }
+    return { address: getAddress(address), env: { SAFE_REMOTE_SIGNER_ADDRESS: getAddress(address) } };
+  }
+
+  privateKey = checkPrivateKey(privateKey ?? generatePrivateKey());
+  const { env } = storeSignerKey(signer, privateKey, { name, password });
+  return { address: privateKeyToAccount(privateKey).address, env };
+}
+
+/**
+ * Safe calls that hand the old agent's owner slot, delegate status and
+ * allowances to the new agent.
+ */
+export async function buildRotationCalls(treasury, oldAgent, newAgent) {
+  const { owners } = await treasury.getOverview();
+  const calls = [];
+  const descriptions = [];
+  const allowances = [];
+
+  if (owners.some((o) => sameAddress(o, newAgent))) {
+    throw new TreasuryError(`${newAgent} is already a Safe owner.`);
+  }
+  const wasOwner = owners.some((o) => sameAddress(o, oldAgent));
+  if (wasOwner) {
+    calls.push(swapOwnerCall(treasury.safeAddress, owners, oldAgent, newAgent).call);
+    descriptions.push(`swapOwner(${oldAgent} -> ${newAgent})`);
+  }
+
+  const wasDelegate = (await treasury.getDelegates()).some((d) => sameAddress(d, oldAgent));
+  if (wasDelegate) {
+    const moduleCall = (functionName, args) => ({
+      to: treasury.allowanceModule,
+      data: encodeFunctionData({ abi: ALLOWANCE_MODULE_ABI, functionName, args }),
+    });
+
+    calls.push(moduleCall("addDelegate", [newAgent]));
+    descriptions.push(`addDelegate(${newAgent})`);
+
+    for (const token of await treasury.getAllowanceTokens(oldAgent)) {
+      const { amount, resetTimeMin } = await treasury.getAllowance(oldAgent, token);
+      if (amount === 0n) continue;
+      calls.push(moduleCall("setAllowance", [newAgent, token, amount, resetTimeMin, 0]));
+      descriptions.push(`setAllowance(${newAgent}, ${token === zeroAddress ? "ETH" : token}, ${amount}, ${resetTimeMin}min)`);
+      allowances.push({ token, amount: amount.toString(), resetMinutes: resetTimeMin });
+    }
+
+    calls.push(moduleCall("removeDelegate", [oldAgent, true]));
+    descriptions.push(`removeDelegate(${oldAgent}) and its allowances`);
+  }
+
+  if (calls.length === 0) {
+    throw new TreasuryError(`${oldAgent} is neither an owner nor a delegate of this Safe; nothing to rotate.`);
+  }
+  return { calls, descriptions, allowances, wasOwner, wasDelegate };
+}
+
+function writeRotationState(treasury, state) {
+  mkdirSync(ROTATIONS_DIR, { recursive: true });
+  writeFileSync(statePath(treasury), JSON.stringify(state, null, 2) + "\n", { mode: 0o600 });
+}
+
+/**
+ * Phase 1: simulate the rotation batch, provision the new key and submit the
+ * batch. The state file is written as soon as the key is stored, so a failed
+ * submit leaves a record of the key; calling this again resubmits the batch
+ * for it (keyOptions are then ignored).
+ *
+ * @param {import("./treasury.mjs").SafeTreasury} treasury  Loaded with the current (old) agent key
+ * @param {Parameters<typeof provisionAgentKey>[1]} keyOptions
+ * @returns {Promise<RotationState & { descriptions: string[] }>}
+ */
+export async function startRotation(treasury, keyOptions) {
+  const existing = readRotationState(treasury);
+  if (existing?.safeTxHash) {
+    throw new TreasuryError(`A rotation to ${existing.newAgent} is already in progress.`, {
+      hints: ["Finish it with 'rotate-agent --finish', or delete " + statePath(treasury)],
+    });
+  }
+
+  const oldAgent = (await treasury.getAccount()).address;
+  if (existing && !sameAddress(existing.oldAgent, oldAgent)) {
+    throw new TreasuryError(`The unsubmitted rotation in ${statePath(treasury)} is for ${existing.oldAgent}, not ${oldAgent}.`);
+  }
+  const privateKey = existing || keyOptions.address ? undefined : (keyOptions.privateKey ?? generatePrivateKey());
+  const newAgent = existing
+    ? existing.newAgent
+    : keyOptions.address
+      ? getAddress(keyOptions.address)
+      : privateKeyToAccount(checkPrivateKey(privateKey)).address;
+
+  // Check the Safe side before anything is written to the signer store
+  const { calls, descriptions, allowances, wasOwner, wasDelegate } = await buildRotationCalls(treasury, oldAgent, newAgent);
+  const simulation = await treasury.simulate(batchToSafeTx(calls, treasury.chainConfig.safe.multiSendCallOnly));
+  if (!simulation.success) {
+    throw new TreasuryError(`Rotation batch would revert: ${simulation.innerRevertReason || simulation.revertReason}`, {
+      hints: [existing ? `The key for ${newAgent} stays stored; nothing was submitted.` : "No key was stored."],
+    });
+  }
+
+  let state = existing;
+  if (existing) {
+    treasury.logger(`Resubmitting the rotation to ${newAgent} (key already stored).`);
+  } else {
+    const { env } = provisionAgentKey(treasury.signer, { ...keyOptions, privateKey });
+    treasury.logger(`New agent key: ${newAgent}`);
+    state = {
+      safeAddress: treasury.safeAddress,
+      chain: treasury.chainConfig.key,
+      oldAgent,
+      newAgent,
+      env,
+      wasOwner,
+      wasDelegate,
+      allowances,
+      mode: null,
+      safeTxHash: null,
+      startedAt: new Date().toISOString(),
+    };
+    writeRotationState(treasury, state);
+  }
+  for (const line of descriptions) {
+    treasury.logger(`  - ${line}`);
+  }
+
+  let batch;
+  try {
+    batch = await treasury.submitBatch(calls);
+  } catch (e) {
+    const hint = `The new key for ${newAgent} is stored (${Object.entries(state.env).map(([k, v]) => `${k}=${v}`).join(", ")}); run 'rotate-agent' again to resubmit.`;
+    if (e instanceof TreasuryError) {
+      e.hints.push(hint);
+      throw e;
+    }
+    throw new TreasuryError(`Submitting the rotation batch failed: ${e.shortMessage || e.message}`, { hints: [hint], cause: e });
+  }
+
+  // The batch is rebuilt from the current on-chain state, so the copied allowances may have changed
+  state = { ...state, wasOwner, wasDelegate, allowances, mode: batch.mode, safeTxHash: batch.safeTxHash };
+  writeRotationState(treasury, state);
+  return { ...state, descriptions };
+}
+
+/**
+ * Compare on-chain owners, delegates and allowances with the rotation target.
+ * @param {import("./treasury.mjs").SafeTreasury} treasury
+ * @param {RotationState} state
+ * @returns {Promise<RotationCheck>}
+ */
+export async function checkRotation(treasury, state) {
+  const [{ owners }, delegates] = await Promise.all([treasury.getOverview(), treasury.getDelegates()]);
+  const check = {
+    newIsOwner: owners.some((o) => sameAddress(o, state.newAgent)),
+    oldIsOwner: owners.some((o) => sameAddress(o, state.oldAgent)),
+    newIsDelegate: delegates.some((d) => sameAddress(d, state.newAgent)),
+    oldIsDelegate: delegates.some((d) => sameAddress(d, state.oldAgent)),
+    allowancesCopied: true,
+  };
+  for (const { token, amount, resetMinutes } of state.allowances) {
+    const current = await treasury.getAllowance(state.newAgent, token);
+    if (current.amount !== BigInt(amount) || current.resetTimeMin !== resetMinutes) {
+      check.allowancesCopied = false;
+    }
+  }
+  check.done =
+    (!state.wasOwner || (check.newIsOwner && !check.oldIsOwner)) &&
+    (!state.wasDelegate || (check.newIsDelegate && !check.oldIsDelegate && check.allowancesCopied));
+  return check;
+}
+
+/**
+ * Send the old wallet's MOR and ETH back to the Safe, signed with the old key.
+ * A small ETH reserve stays behind to pay for the transfers.
+ *
+ * @param {import("./treasury.mjs").SafeTreasury} treasury  Loaded with the old agent key
+ * @returns {Promise<{ mor: { amount: bigint, txHash?: string }, eth: { amount: bigint, txHash?: string } }>}
+ */
+export async function sweepToSafe(treasury) {
+  const { publicClient, safeAddress, morToken } = treasury;
+  const walletClient = await treasury.getWalletClient();
+  const from = walletClient.account.address;
+  const result = { mor: { amount: 0n }, eth: { amount: 0n } };
+
+  if (morToken) {
+    const balance = await publicClient.readContract({
+      address: morToken,
+      abi: ERC20_ABI,
+      functionName: "balanceOf",
+      args: [from],
+    });
+    if (balance > 0n) {
+      treasury.logger(`Sweeping ${formatEther(balance)} MOR to the Safe...`);
+      const txHash = await walletClient.writeContract({
+        address: morToken,
+        abi: ERC20_ABI,
+        functionName: "transfer",
+        args: [safeAddress, balance],
+      });
+      const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
+      if (receipt.status !== "success") {
+        throw new TreasuryError(`MOR sweep reverted: ${txHash}`);
+      }
+      result.mor = { amount: balance, txHash };
+    }
+  }
+
+  // The Safe proxy runs its receive code, so this costs more than a plain 21000 transfer
+  const gas = (await publicClient.estimateGas({ account: from, to: safeAddress, value: 1n })) * 12n / 10n;
+  const { maxFeePerGas, maxPriorityFeePerGas } = await publicClient.estimateFeesPerGas();
+  const balance = await publicClient.getBalance({ address: from });
+  const amount = balance - gas * SWEEP_GAS_RESERVE_FACTOR * maxFeePerGas;
+  if (amount > 0n) {
+    treasury.logger(`Sweeping ${formatEther(amount)} ETH to the Safe...`);
+    const txHash = await walletClient.sendTransaction({
+      to: safeAddress,
+      value: amount,
+      gas,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+    });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
+    if (receipt.status !== "success") {
+      throw new TreasuryError(`ETH sweep reverted: ${txHash}`);
+    }
+    result.eth = { amount, txHash };
+  }
+  return result;
+}
+
+/**
+ * Phase 2: verify the executed batch, sweep the old wallet and clear the
+ * rotation state. Throws TreasuryError while the batch is still pending.
+ *
+ * @param {import("./treasury.mjs").SafeTreasury} treasury  Loaded with the old agent key
+ */
+export async function finishRotation(treasury) {
+  const state = readRotationState(treasury);
+  if (!state) {
+    throw new TreasuryError("No agent rotation in progress for this Safe.", {
+      hints: ["Start one with 'rotate-agent'."],
+    });
+  }
+
+  if (!state.safeTxHash) {
+    throw new TreasuryError(`The rotation batch for ${state.newAgent} was never submitted.`, {
+      hints: ["Its key is stored; run 'rotate-agent' again to resubmit the batch."],
+    });
+  }
+
+  const account = await treasury.getAccount();
+  if (!sameAddress(account.address, state.oldAgent)) {
+    throw new TreasuryError(`The configured signer is ${account.address}, but the sweep needs the old key ${state.oldAgent}.`, {
+      hints: ["Keep the old signer settings in ~/morpheus/.env until 'rotate-agent --finish' has run."],
+    });
+  }
+
+  const before = await checkRotation(treasury, state);
+  if (!before.done) {
+    throw new TreasuryError("The rotation batch has not executed yet (or executed only partly).", {
+      hints: [
+        `Safe TX hash: ${state.safeTxHash}`,
+        `new owner: ${before.newIsOwner}, old owner removed: ${!before.oldIsOwner}, ` +
+          `new delegate: ${before.newIsDelegate}, old delegate removed: ${!before.oldIsDelegate}`,
+      ],
+    });
+  }
+
+  const sweep = await sweepToSafe(treasury);
+  const check = await checkRotation(treasury, state);
+  const oldBalances = await treasury.getBalances(state.oldAgent);
+  unlinkSync(statePath(treasury));
+
+  return { state, sweep, check, oldBalances };
+}
+
@@ -0,0 +1,205 @@
+/**
+ * safe-tx-file.mjs — SafeTx files for offline (air-gapped) signing
+ *
+ * `propose --export tx.json` writes an unsigned Safe transaction; `sign-file`
+ * adds a signature on a machine with no RPC or network; `import-signatures`
+ * submits the collected signatures or executes the transaction.
+ *
+ *   {
+ *     "version": 1,
+ *     "chainId": 8453,
+ *     "safe": "0x...",
+ *     "safeTxHash": "0x...",
+ *     "tx": { "to", "value", "data", "operation", "safeTxGas", "baseGas",
+ *             "gasPrice", "gasToken", "refundReceiver", "nonce" },
+ *     "summary": ["Transfer 5 MOR to 0x..."],
+ *     "signatures": [{ "signer": "0x...", "signature": "0x...", "type": "eip712" }]
+ *   }
+ *
+ * SECURITY: The file is untrusted. Reading it recomputes the safeTxHash from
+ * the `tx` fields, chain ID and Safe address; `summary` is informational only
+ * (sign-file decodes the calldata itself).
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { getAddress, zeroAddress } from "viem";
+import { computeSafeTxHash, safeDomainSeparator, signSafeTx } from "./safe-tx.mjs";
+import { TreasuryError } from "./errors.mjs";
+
+export const SAFE_TX_FILE_VERSION = 1;
+
+/**
+ * @typedef {object} SafeTxFile
+ * @property {number} chainId
+ * @property {string} safeAddress
+ * @property {`0x${string}`} safeTxHash
+ * @property {{ to: string, value: bigint, data: string, operation: number, safeTxGas: bigint, baseGas: bigint, gasPrice: bigint, gasToken: string, refundReceiver: string, nonce: bigint }} txData
+ * @property {string[]} summary
+ * @property {Array<{ signer: string, signature: string, type: string }>} signatures
+ */
+
+/**
+ * Build a SafeTx file for an unsigned transaction.
+ * @param {{ chainId: number, safeAddress: string, txData: object, safeTxHash: string, summary?: string[] }} tx
+ * @returns {SafeTxFile}
+ */
+export function createSafeTxFile({ chainId, safeAddress, txData, safeTxHash, summary = [] }) {
+  return {
+    chainId,
+    safeAddress: getAddress(safeAddress),
+    safeTxHash,
+    txData: normalizeTxData(txData),
+    summary,
+    signatures: [],
+  };
+}
+
+function normalizeTxData(tx) {
+  return {
+    to: getAddress(tx.to),
+    value: BigInt(tx.value ?? 0),
+    data: tx.data || "0x",
+    operation: Number(tx.operation ?? 0),
+    safeTxGas: BigInt(tx.safeTxGas ?? 0),
+    baseGas: BigInt(tx.baseGas ?? 0),
+    gasPrice: BigInt(tx.gasPrice ?? 0),
+    gasToken: getAddress(tx.gasToken ?? zeroAddress),
+    refundReceiver: getAddress(tx.refundReceiver ?? zeroAddress),
+    nonce: BigInt(tx.nonce),
+  };
+}
+
+/**
+ * Validate parsed JSON and recompute its safeTxHash.
+ * @param {object} json
+ * @param {string} [source]  File name for error messages
+ * @returns {SafeTxFile}
+ */
+export function parseSafeTxFile(json, source = "SafeTx file") {
+  if (json?.version !== SAFE_TX_FILE_VERSION) {
+    throw new TreasuryError(`${source}: unsupported version ${json?.version} (expected ${SAFE_TX_FILE_VERSION}).`);
+  }
+  let file;
+  try {
+    file = {
+      chainId: Number(json.chainId),
+      safeAddress: getAddress(json.safe),
+      safeTxHash: json.safeTxHash,
+      txData: normalizeTxData(json.tx),
+      summary: Array.isArray(json.summary) ? json.summary.map(String) : [],
+      signatures: (json.signatures ?? []).map((s) => ({
+        signer: getAddress(s.signer),
+        signature: s.signature,
+        type: s.type,
+      })),
+    };
+  } catch (e) {
+    throw new TreasuryError(`${source}: malformed transaction: ${e.shortMessage || e.message}`);
+  }
+  if (!Number.isSafeInteger(file.chainId) || file.chainId <= 0) {
+    throw new TreasuryError(`${source}: invalid chainId ${json.chainId}.`);
+  }
+  if (!/^0x([0-9a-fA-F]{2})*$/.test(file.txData.data)) {
+    throw new TreasuryError(`${source}: tx.data is not hex.`);
+  }
+
+  // SECURITY: Never sign or submit a hash the fields do not produce
+  const computed = computeSafeTxHash(safeDomainSeparator(file.chainId, file.safeAddress), file.txData);
+  if (computed.toLowerCase() !== String(file.safeTxHash).toLowerCase()) {
+    throw new TreasuryError(`${source}: safeTxHash does not match the transaction fields.`, {
+      hints: [`File:     ${file.safeTxHash}`, `Computed: ${computed}`],
+    });
+  }
+  file.safeTxHash = computed;
+  return file;
+}
+
+/**
+ * @param {string} path
+ * @returns {SafeTxFile}
+ */
+export function readSafeTxFile(path) {
+  let json;
+  try {
+    json = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new TreasuryError(`Could not read SafeTx file ${path}: ${e.message}`);
+  }
+  return parseSafeTxFile(json, path);
+}
+
+/**
+ * @param {string} path
+ * @param {SafeTxFile} file
+ */
+export function writeSafeTxFile(path, file) {
+  const { txData } = file;
+  const json = {
+    version: SAFE_TX_FILE_VERSION,
+    chainId: file.chainId,
+    safe: file.safeAddress,
+    safeTxHash: file.safeTxHash,
+    tx: {
+      to: txData.to,
+      value: txData.value.toString(),
+      data: txData.data,
+      operation: txData.operation,
+      safeTxGas: txData.safeTxGas.toString(),
+      baseGas: txData.baseGas.toString(),
+      gasPrice: txData.gasPrice.toString(),
+      gasToken: txData.gasToken,
+      refundReceiver: txData.refundReceiver,
+      nonce: txData.nonce.toString(),
+    },
+    summary: file.summary,
+    signatures: file.signatures,
+  };
+  writeFileSync(path, JSON.stringify(json, null, 2) + "\n");
+}
+
+/**
+ * Sign a SafeTx file with any account and add (or replace) that signer's
+ * signature. Needs no RPC: the domain comes from the file's chain ID and Safe.
+ *
+ * @param {SafeTxFile} file
+ * @param {import("viem").Account} account
+ * @param {"eip712"|"eth_sign"} [signatureType]
+ * @returns {Promise<{ signer: string, signature: string, type: string }>}
+ */
+export async function signSafeTxFile(file, account, signatureType = "eip712") {
+  const { signature, type } = await signSafeTx(
+    account,
+    { chainId: file.chainId, safeAddress: file.safeAddress, txData: file.txData, safeTxHash: file.safeTxHash },
+    signatureType
+  );
+  const entry = { signer: getAddress(account.address), signature, type };
+  file.signatures = [
+    ...file.signatures.filter((s) => s.signer.toLowerCase() !== entry.signer.toLowerCase()),
+    entry,
+  ];
+  return entry;
+}
+
+/**
+ * Merge the signatures of several copies of one transaction (one per signer).
+ * @param {SafeTxFile[]} files
+ * @returns {SafeTxFile}
+ */
+export function mergeSafeTxFiles(files) {
+  if (files.length === 0) {
+    throw new TreasuryError("No SafeTx files given.");
+  }
+  const [first] = files;
+  const bySigner = new Map();
+  for (const file of files) {
+    if (file.safeTxHash !== first.safeTxHash) {
+      throw new TreasuryError("SafeTx files describe different transactions.", {
+        hints: [`${first.safeTxHash} vs ${file.safeTxHash}`],
+      });
+    }
+    for (const s of file.signatures) {
+      bySigner.set(s.signer.toLowerCase(), s);
+    }
+  }
+  return { ...first, signatures: [...bySigner.values()] };
+}
@@ -0,0 +1,234 @@
+/**
+ * safe-tx.mjs — Safe transaction hashing, signing (EIP-712 or eth_sign) and threshold-1 execution
+ */
+
+import {
+  zeroAddress,
+  keccak256,
+  encodeAbiParameters,
+  parseAbiParameters,
+  toBytes,
+  concat,
+  toHex,
+  recoverAddress,
+  hashDomain,
+} from "viem";
+import { SAFE_ABI } from "./abis.mjs";
+
+// Safe TX type hash (EIP-712)
+export const SAFE_TX_TYPEHASH = keccak256(
+  toBytes(
+    "SafeTx(address to,uint256 value,bytes data,uint8 operation,uint256 safeTxGas,uint256 baseGas,uint256 gasPrice,address gasToken,address refundReceiver,uint256 nonce)"
+  )
+);
+
+/**
+ * EIP-712 encoding of a Safe transaction (0x1901 || domainSeparator || structHash),
+ * the preimage of the safeTxHash. Contract owners (EIP-1271) validate this.
+ * Gas and refund fields default to zero (all transactions built by this tool);
+ * pass them to encode a transaction proposed elsewhere.
+ */
+export function encodeSafeTxData(domainSeparator, txData) {
+  return concat([
+    "0x1901",
+    domainSeparator,
+    keccak256(
+      encodeAbiParameters(
+        parseAbiParameters(
+          "bytes32, address, uint256, bytes32, uint8, uint256, uint256, uint256, address, address, uint256"
+        ),
+        [
+          SAFE_TX_TYPEHASH,
+          txData.to,
+          txData.value,
+          keccak256(txData.data),
+          txData.operation,
+          BigInt(txData.safeTxGas ?? 0n),
+          BigInt(txData.baseGas ?? 0n),
+          BigInt(txData.gasPrice ?? 0n),
+          txData.gasToken ?? zeroAddress,
+          txData.refundReceiver ?? zeroAddress,
+          txData.nonce,
+        ]
+      )
+    ),
+  ]);
+}
+
+/**
+ * Compute the Safe transaction hash (EIP-712).
+ */
+export function computeSafeTxHash(domainSeparator, txData) {
+  return keccak256(encodeSafeTxData(domainSeparator, txData));
+}
+
+/**
+ * Sign a Safe transaction hash with the agent key (eth_sign style).
+ */
+export async function signSafeTxHash(account, safeTxHash) {
+  const signature = await account.signMessage({
+    message: { raw: toBytes(safeTxHash) },
+  });
+
+  // Adjust v for eth_sign (Safe expects v + 4)
+  // Normalize v to 27/28 first if it's in recovery id format (0/1)
+  const sigBytes = toBytes(signature);
+  let v = sigBytes[64];
+  if (v < 27) {
+    v += 27; // Normalize 0/1 -> 27/28
+  }
+  sigBytes[64] = v + 4; // Add 4 for eth_sign style -> 31/32
+
+  // Sanity check: v should now be 31 or 32
+  if (sigBytes[64] !== 31 && sigBytes[64] !== 32) {
+    throw new Error(`Unexpected signature v value after adjustment: ${sigBytes[64]}`);
+  }
+
+  return toHex(sigBytes);
+}
+
+// SafeTx EIP-712 types (Safe v1.3.0+ domain: chainId and verifyingContract only)
+export const SAFE_TX_TYPES = {
+  EIP712Domain: [
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" },
+  ],
+  SafeTx: [
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" },
+    { name: "operation", type: "uint8" },
+    { name: "safeTxGas", type: "uint256" },
+    { name: "baseGas", type: "uint256" },
+    { name: "gasPrice", type: "uint256" },
+    { name: "gasToken", type: "address" },
+    { name: "refundReceiver", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+export const SIGNATURE_TYPES = ["eip712", "eth_sign"];
+
+/**
+ * Domain separator computed without an RPC (what Safe v1.3.0+ returns from
+ * domainSeparator()), for signing exported transactions offline.
+ */
+export function safeDomainSeparator(chainId, safeAddress) {
+  return hashDomain({
+    domain: { chainId, verifyingContract: safeAddress },
+    types: { EIP712Domain: SAFE_TX_TYPES.EIP712Domain },
+  });
+}
+
+/**
+ * Sign a Safe transaction with the agent key.
+ *
+ * "eip712" (default) signs the SafeTx typed data, so signers that display
+ * typed data show the actual fields (v = 27/28). Signers without typed-data
+ * support, or that reject it, fall back to eth_sign (signSafeTxHash, v + 4).
+ * "eth_sign" always signs the raw hash.
+ *
+ * @param {import("viem").Account} account
+ * @param {{ chainId: number, safeAddress: string, txData: object, safeTxHash: `0x${string}` }} tx
+ * @param {"eip712"|"eth_sign"} [signatureType]
+ * @returns {Promise<{ signature: `0x${string}`, type: "eip712"|"eth_sign" }>}
+ */
+export async function signSafeTx(account, { chainId, safeAddress, txData, safeTxHash }, signatureType = "eip712") {
+  if (!SIGNATURE_TYPES.includes(signatureType)) {
+    throw new Error(`Unknown signature type "${signatureType}" (use ${SIGNATURE_TYPES.join(" or ")}).`);
+  }
+  if (signatureType === "eth_sign" || typeof account.signTypedData !== "function") {
+    return { signature: await signSafeTxHash(account, safeTxHash), type: "eth_sign" };
+  }
+
+  let signature;
+  try {
+    signature = await account.signTypedData({
+      domain: { chainId, verifyingContract: safeAddress },
+      types: SAFE_TX_TYPES,
+      primaryType: "SafeTx",
+      message: {
+        to: txData.to,
+        value: BigInt(txData.value),
+        data: txData.data,
+        operation: txData.operation,
+        safeTxGas: BigInt(txData.safeTxGas ?? 0n),
+        baseGas: BigInt(txData.baseGas ?? 0n),
+        gasPrice: BigInt(txData.gasPrice ?? 0n),
+        gasToken: txData.gasToken ?? zeroAddress,
+        refundReceiver: txData.refundReceiver ?? zeroAddress,
+        nonce: BigInt(txData.nonce),
+      },
+    });
+  } catch {
+    return { signature: await signSafeTxHash(account, safeTxHash), type: "eth_sign" };
+  }
+
+  // SECURITY: The typed data must hash to the same safeTxHash (same domain and fields)
+  const signer = await recoverAddress({ hash: safeTxHash, signature });
+  if (signer.toLowerCase() !== account.address.toLowerCase()) {
+    throw new Error(`Typed-data signature recovers to ${signer}, not ${account.address}; domain or fields differ from the Safe TX hash.`);
+  }
+  return { signature, type: "eip712" };
+}
+
+/**
+ * Read the Safe's current nonce and EIP-712 domain separator.
+ */
+export async function readSafeTxContext(publicClient, safeAddress) {
+  const [nonce, domainSeparator] = await Promise.all([
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "nonce" }),
+    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
+  ]);
+  return { nonce, domainSeparator };
+}
+
+/**
+ * Sign and execute a Safe transaction (threshold 1 only).
+ * Returns the transaction hash, receipt and the Safe nonce that was used.
+ */
+export async function execSafeTx(
+  publicClient,
+  walletClient,
+  account,
+  safeAddress,
+  to,
+  data,
+  operation = 0, // 0 = Call, 1 = DelegateCall
+  value = 0n,
+  signatureType = "eip712"
+) {
+  const { nonce, domainSeparator } = await readSafeTxContext(publicClient, safeAddress);
+
+  const txData = { to, value, data, operation, nonce };
+  const safeTxHash = computeSafeTxHash(domainSeparator, txData);
+  const { signature } = await signSafeTx(
+    account,
+    { chainId: publicClient.chain.id, safeAddress, txData, safeTxHash },
+    signatureType
+  );
+
+  const txHash = await walletClient.writeContract({
+    address: safeAddress,
+    abi: SAFE_ABI,
+    functionName: "execTransaction",
+    args: [
+      to,
+      value,
+      data,
+      operation,
+      0n, // safeTxGas
+      0n, // baseGas
+      0n, // gasPrice
+      zeroAddress, // gasToken
+      zeroAddress, // refundReceiver
+      signature,
+    ],
+  });
+
+  const receipt = await publicClient.waitForTransactionReceipt({
+    hash: txHash,
+  });
+
+  return { txHash, receipt, nonce, safeTxHash };
+}
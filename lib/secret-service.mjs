@@ -0,0 +1,72 @@
+/**
+ * secret-service.mjs — Linux Secret Service signer backend (GNOME Keyring, KWallet)
+ *
+ * Looks the key up with `secret-tool lookup service <service> account <account>`.
+ * Store it once with:
+ *   secret-tool store --label="Agent wallet key" service everclaw-wallet-key account everclaw-agent
+ * (storeSecretServiceKey() does the same for key rotation.)
+ */
+
+import { execFileSync } from "node:child_process";
+import { privateKeyToAccount } from "viem/accounts";
+import { TreasuryError } from "./errors.mjs";
+
+/**
+ * Read the agent private key from the Secret Service (collection must be unlocked).
+ */
+export function getSecretServiceKey({ service, account }) {
+  try {
+    return execFileSync(
+      "secret-tool",
+      ["lookup", "service", service, "account", account],
+      { encoding: "utf-8", stdio: "pipe" }
+    ).trim();
+  } catch {
+    throw new TreasuryError("Could not retrieve wallet key from the Secret Service.", {
+      hints: [
+        `Account: ${account}, Service: ${service}`,
+        "Requires secret-tool (libsecret-tools) and an unlocked keyring.",
+        `Check with: secret-tool lookup service ${service} account ${account}`,
+      ],
+    });
+  }
+}
+
+/**
+ * Store a private key as a new Secret Service entry (secret on stdin, not argv).
+ * Refuses to overwrite an existing entry.
+ */
+export function storeSecretServiceKey({ service, account }, privateKey) {
+  let exists = true;
+  try {
+    exists = getSecretServiceKey({ service, account }) !== "";
+  } catch {
+    exists = false;
+  }
+  if (exists) {
+    throw new TreasuryError(`Secret Service entry ${service}/${account} already exists; pick another account name.`);
+  }
+
+  try {
+    execFileSync(
+      "secret-tool",
+      ["store", "--label=Agent wallet key", "service", service, "account", account],
+      { input: privateKey, encoding: "utf-8", stdio: ["pipe", "pipe", "pipe"] }
+    );
+  } catch (e) {
+    throw new TreasuryError(`Could not store the new key in the Secret Service: ${e.message}`, {
+      hints: ["Requires secret-tool (libsecret-tools) and an unlocked keyring."],
+    });
+  }
+}
+
+export function loadSecretServiceAccount(secretService) {
+  let privateKey = getSecretServiceKey(secretService);
+  if (!privateKey) {
+    throw new TreasuryError("Secret Service entry is empty.");
+  }
+  if (!privateKey.startsWith("0x")) {
+    privateKey = `0x${privateKey}`;
+  }
+  return privateKeyToAccount(privateKey);
+}
@@ -0,0 +1,212 @@
+/**
+ * signatures.mjs — Recover, check and pack Safe owner signatures
+ *
+ * The Transaction Service reports who confirmed a transaction, but that list
+ * is remote data. recoverSignature() works out the signer from the signature
+ * bytes themselves, using the encoding Safe's checkSignatures() expects:
+ *
+ *   v = 27/28   EIP-712: ecrecover(safeTxHash)
+ *   v = 31/32   eth_sign: ecrecover(keccak("\x19Ethereum Signed Message:\n32" || safeTxHash)), v - 4
+ *   v = 0       Contract signature: r = owner, s = offset of the EIP-1271 data;
+ *               checked with isValidSignature(encoded tx data, data)
+ *   v = 1       Approved hash: r = owner; checked with Safe.approvedHashes(owner, hash)
+ */
+
+import {
+  getAddress,
+  hexToBigInt,
+  numberToHex,
+  recoverAddress,
+  recoverMessageAddress,
+  size,
+  slice,
+  concat,
+} from "viem";
+import { SAFE_ABI, SIGNATURE_VALIDATOR_ABI } from "./abis.mjs";
+
+// bytes4(keccak256("isValidSignature(bytes,bytes)"))
+const EIP1271_LEGACY_MAGIC = "0x20c13b0b";
+
+/**
+ * @typedef {object} RecoveredSignature
+ * @property {"eip712"|"eth_sign"|"contract"|"approved_hash"|"unknown"} type
+ * @property {string|null} signer   Recovered (or, for contract/approved-hash, verified) address
+ * @property {boolean} valid        Signature checks out for `signer`
+ * @property {string} [error]
+ */
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Recover the signer of one 65-byte Safe signature (plus, for contract
+ * signatures, its dynamic part).
+ *
+ * @param {import("viem").PublicClient} publicClient  Needed for contract and approved-hash signatures
+ * @param {{ safeAddress: string, safeTxHash: `0x${string}`, txHashData: `0x${string}` }} context
+ *   `txHashData` is encodeSafeTxData() of the transaction
+ * @param {`0x${string}`} signature
+ * @returns {Promise<RecoveredSignature>}
+ */
+export async function recoverSignature(publicClient, { safeAddress, safeTxHash, txHashData }, signature) {
+  if (!/^0x[0-9a-fA-F]*$/.test(signature || "") || size(signature) < 65) {
+    return { type: "unknown", signer: null, valid: false, error: "Signature shorter than 65 bytes." };
+  }
+  const r = slice(signature, 0, 32);
+  const s = slice(signature, 32, 64);
+  const v = Number(hexToBigInt(slice(signature, 64, 65)));
+
+  try {
+    if (v === 27 || v === 28) {
+      const signer = await recoverAddress({ hash: safeTxHash, signature: slice(signature, 0, 65) });
+      return { type: "eip712", signer, valid: true };
+    }
+
+    if (v === 31 || v === 32) {
+      const signer = await recoverMessageAddress({
+        message: { raw: safeTxHash },
+        signature: concat([r, s, numberToHex(v - 4, { size: 1 })]),
+      });
+      return { type: "eth_sign", signer, valid: true };
+    }
+
+    const owner = getAddress(slice(r, 12, 32));
+
+    if (v === 1) {
+      const approved = await publicClient.readContract({
+        address: safeAddress,
+        abi: SAFE_ABI,
+        functionName: "approvedHashes",
+        args: [owner, safeTxHash],
+      });
+      // Safe also accepts a v=1 signature from msg.sender at execution time
+      return approved !== 0n
+        ? { type: "approved_hash", signer: owner, valid: true }
+        : { type: "approved_hash", signer: owner, valid: false, error: "Hash not approved on-chain (approveHash) yet." };
+    }
+
+    if (v === 0) {
+      const offset = Number(hexToBigInt(s));
+      if (offset < 65 || size(signature) < offset + 32) {
+        return { type: "contract", signer: owner, valid: false, error: "Contract signature data missing." };
+      }
+      const length = Number(hexToBigInt(slice(signature, offset, offset + 32)));
+      if (size(signature) < offset + 32 + length) {
+        return { type: "contract", signer: owner, valid: false, error: "Contract signature data truncated." };
+      }
+      const data = length === 0 ? "0x" : slice(signature, offset + 32, offset + 32 + length);
+      const magic = await publicClient.readContract({
+        address: owner,
+        abi: SIGNATURE_VALIDATOR_ABI,
+        functionName: "isValidSignature",
+        args: [txHashData, data],
+      });
+      return magic === EIP1271_LEGACY_MAGIC
+        ? { type: "contract", signer: owner, valid: true }
+        : { type: "contract", signer: owner, valid: false, error: "isValidSignature rejected the signature." };
+    }
+  } catch (e) {
+    return { type: "unknown", signer: null, valid: false, error: e.shortMessage || e.message };
+  }
+
+  return { type: "unknown", signer: null, valid: false, error: `Unsupported signature v=${v}.` };
+}
+
+/**
+ * Check Transaction Service confirmations against the signatures themselves
+ * and the Safe's current owners.
+ *
+ * @param {import("viem").PublicClient} publicClient
+ * @param {{ safeAddress: string, safeTxHash: `0x${string}`, txHashData: `0x${string}`, owners: string[] }} context
+ * @param {{ owner: string, signature: `0x${string}` }[]} confirmations
+ * @returns {Promise<Array<RecoveredSignature & { claimedOwner: string, signature: string, isOwner: boolean, problem?: string }>>}
+ *   `problem` is set for every confirmation that does not count towards the threshold
+ */
+export async function verifyConfirmations(publicClient, context, confirmations) {
+  const results = [];
+  for (const confirmation of confirmations) {
+    const recovered = await recoverSignature(publicClient, context, confirmation.signature);
+    const isOwner = recovered.signer !== null && context.owners.some((o) => sameAddress(o, recovered.signer));
+    const result = { claimedOwner: confirmation.owner, signature: confirmation.signature, ...recovered, isOwner };
+    if (!recovered.valid) {
+      result.problem = recovered.error;
+    } else if (!sameAddress(recovered.signer, confirmation.owner)) {
+      result.problem = `Signed by ${recovered.signer}, not ${confirmation.owner} as reported.`;
+    } else if (!isOwner) {
+      result.problem = `${recovered.signer} is not a current owner.`;
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * JSON-friendly summary of a TxVerification (see SafeTreasury.verifyTransaction()).
+ * @param {import("./treasury.mjs").TxVerification} verification
+ */
+export function summarizeVerification(verification) {
+  return {
+    hashMatches: verification.hashMatches,
+    computedHash: verification.computedHash,
+    validConfirmations: verification.validConfirmations,
+    flagged: verification.flagged,
+    confirmations: verification.confirmations.map((c) => ({
+      owner: c.claimedOwner,
+      signer: c.signer,
+      type: c.type,
+      problem: c.problem ?? null,
+    })),
+  };
+}
+
+/**
+ * Text lines for a verification summary: one per confirmation, problems flagged.
+ * @param {ReturnType<typeof summarizeVerification>} summary
+ * @returns {string[]}
+ */
+export function formatVerification(summary, indent = "") {
+  const lines = [];
+  if (!summary.hashMatches) {
+    lines.push(`${indent}WARNING: safeTxHash does not match the transaction fields (recomputed ${summary.computedHash}).`);
+  }
+  for (const c of summary.confirmations) {
+    lines.push(c.problem
+      ? `${indent}- ${c.owner}  FLAGGED: ${c.problem}`
+      : `${indent}- ${c.owner}  (${c.type}, verified)`);
+  }
+  return lines;
+}
+
+/**
+ * Pack owner signatures into the `signatures` argument of execTransaction:
+ * sorted by signer address (ascending, as checkSignatures requires), 65 bytes
+ * each, with contract signature data appended after the static parts and
+ * their `s` offsets rewritten to match.
+ *
+ * @param {{ signer: string, signature: `0x${string}` }[]} signatures
+ * @returns {`0x${string}`}
+ */
+export function packSignatures(signatures) {
+  const sorted = [...signatures].sort((a, b) =>
+    hexToBigInt(a.signer) < hexToBigInt(b.signer) ? -1 : 1
+  );
+  const staticParts = [];
+  const dynamicParts = [];
+  let dynamicOffset = sorted.length * 65;
+
+  for (const { signature } of sorted) {
+    const v = Number(hexToBigInt(slice(signature, 64, 65)));
+    if (v !== 0) {
+      staticParts.push(slice(signature, 0, 65));
+      continue;
+    }
+    const offset = Number(hexToBigInt(slice(signature, 32, 64)));
+    const length = Number(hexToBigInt(slice(signature, offset, offset + 32)));
+    const dynamic = slice(signature, offset, offset + 32 + length);
+    staticParts.push(concat([slice(signature, 0, 32), numberToHex(dynamicOffset, { size: 32 }), "0x00"]));
+    dynamicParts.push(dynamic);
+    dynamicOffset += size(dynamic);
+  }
+  return concat([...staticParts, ...dynamicParts]);
+}
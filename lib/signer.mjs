@@ -0,0 +1,174 @@
+/**
+ * signer.mjs — Agent signer selection
+ *
+ * SAFE_SIGNER picks where the agent key lives:
+ *   keychain        macOS Keychain via `security` (default)
+ *   keystore        Encrypted V3 keystore file (SAFE_KEYSTORE)
+ *   secret-service  Linux Secret Service via `secret-tool`
+ *   remote          External JSON-RPC signer (SAFE_REMOTE_SIGNER_URL); key never on this host
+ *
+ * Every backend resolves to a viem account, so callers never see the raw key.
+ * SIGNER_STORES writes a new key next to the current one (agent key rotation).
+ *
+ * The human owner key (cosign) is loaded separately with loadOwnerSignerAccount()
+ * from SAFE_OWNER_* settings: keystore or remote only, never the agent's entry.
+ * resolveAgentAddress() tells the two apart without unlocking the agent key.
+ */
+
+import { writeFileSync, existsSync } from "node:fs";
+import { resolve } from "node:path";
+import { getAddress } from "viem";
+import { TreasuryError } from "./errors.mjs";
+import { loadKeychainAccount, storePrivateKey } from "./keychain.mjs";
+import { loadKeystoreAccount, encryptKeystore, readKeystoreAddress } from "./keystore.mjs";
+import { loadSecretServiceAccount, storeSecretServiceKey } from "./secret-service.mjs";
+import { loadRemoteSignerAccount } from "./remote-signer.mjs";
+
+export const SIGNER_BACKENDS = {
+  keychain: (signer) => loadKeychainAccount(signer.keychain),
+  keystore: (signer) => loadKeystoreAccount(signer.keystore),
+  "secret-service": (signer) => loadSecretServiceAccount(signer.secretService),
+  remote: (signer) => loadRemoteSignerAccount(signer.remote),
+};
+
+/**
+ * Load the account for a signer config (see resolveSignerConfig()).
+ * @returns {Promise<import("viem").Account>}
+ */
+export async function loadSignerAccount(signer) {
+  const load = SIGNER_BACKENDS[signer.backend];
+  if (!load) {
+    throw new TreasuryError(`Unknown signer backend "${signer.backend}".`, {
+      hints: [`SAFE_SIGNER must be one of: ${Object.keys(SIGNER_BACKENDS).join(", ")}`],
+    });
+  }
+  const account = await load(signer);
+  if (signer.address && account.address.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new TreasuryError(`SAFE_AGENT_ADDRESS ${signer.address} does not match the agent key ${account.address}.`);
+  }
+  return account;
+}
+
+/**
+ * The agent's address without unlocking its key: SAFE_AGENT_ADDRESS, the
+ * keystore file's `address` field, or the remote signer's account. Keychain
+ * and Secret Service entries hold only the key, so they need SAFE_AGENT_ADDRESS.
+ *
+ * @param {object} signer  Agent signer config (see resolveSignerConfig())
+ * @returns {Promise<string>}
+ */
+export async function resolveAgentAddress(signer) {
+  if (signer?.address) {
+    try {
+      return getAddress(signer.address);
+    } catch {
+      throw new TreasuryError(`SAFE_AGENT_ADDRESS "${signer.address}" is not an address.`);
+    }
+  }
+  if (signer?.backend === "keystore" && signer.keystore.path) {
+    const address = readKeystoreAddress(signer.keystore.path);
+    if (address) return address;
+  }
+  if (signer?.backend === "remote" && signer.remote.url) {
+    return (await loadRemoteSignerAccount(signer.remote)).address;
+  }
+  throw new TreasuryError("The agent's address is unknown without unlocking its key.", {
+    hints: ["Set SAFE_AGENT_ADDRESS=0x... (the agent hot wallet) in ~/morpheus/.env."],
+  });
+}
+
+// Backends the human owner key may come from; the Keychain and Secret Service entries hold the agent key
+export const OWNER_SIGNER_BACKENDS = ["keystore", "remote"];
+
+/**
+ * Load the human owner's account (see resolveOwnerSignerConfig()).
+ *
+ * SECURITY: Refuses the Keychain/Secret Service backends (getPrivateKey() is
+ * the agent's path), the agent's keystore file, and any key whose address is
+ * the agent's (resolveAgentAddress(), resolved before the owner key is unlocked).
+ *
+ * @param {object} owner  Owner signer config
+ * @param {object} agent  Agent signer config (see resolveSignerConfig())
+ * @returns {Promise<import("viem").Account>}
+ */
+export async function loadOwnerSignerAccount(owner, agent) {
+  if (!OWNER_SIGNER_BACKENDS.includes(owner.backend)) {
+    throw new TreasuryError(`Owner signer "${owner.backend}" is not allowed.`, {
+      hints: [`SAFE_OWNER_SIGNER must be one of: ${OWNER_SIGNER_BACKENDS.join(", ")} (the Keychain holds the agent key).`],
+    });
+  }
+
+  if (owner.backend === "keystore") {
+    if (!owner.keystore.path) {
+      throw new TreasuryError("SAFE_OWNER_KEYSTORE not set (path to the owner's encrypted V3 keystore JSON file).");
+    }
+    if (agent.keystore?.path && resolve(agent.keystore.path) === resolve(owner.keystore.path)) {
+      throw new TreasuryError(`${owner.keystore.path} is the agent keystore (SAFE_KEYSTORE), not the owner's.`);
+    }
+  } else {
+    if (!owner.remote.url) {
+      throw new TreasuryError("SAFE_OWNER_REMOTE_SIGNER_URL not set (JSON-RPC endpoint of the owner's signer).");
+    }
+  }
+
+  const agentAddress = await resolveAgentAddress(agent);
+  const account = await SIGNER_BACKENDS[owner.backend](owner);
+  if (account.address.toLowerCase() === agentAddress.toLowerCase()) {
+    throw new TreasuryError(`${account.address} is the agent account, not the owner's.`, {
+      hints: ["The owner key must be separate from the agent signer (SAFE_SIGNER)."],
+    });
+  }
+  return account;
+}
+
+/**
+ * Store a new agent key in the same backend, under a new entry, and return
+ * the signer config that loads it plus the .env values that select it.
+ * `name` is the Keychain/Secret Service account name, or the keystore path.
+ * The remote backend cannot receive keys; register the new address there instead.
+ */
+export const SIGNER_STORES = {
+  keychain: (signer, privateKey, { name }) => {
+    const keychain = { ...signer.keychain, account: name };
+    storePrivateKey(keychain, privateKey);
+    return {
+      signer: { ...signer, keychain, secretService: { ...signer.secretService, account: name } },
+      env: { SAFE_KEYCHAIN_ACCOUNT: name },
+    };
+  },
+  "secret-service": (signer, privateKey, { name }) => {
+    const secretService = { ...signer.secretService, account: name };
+    storeSecretServiceKey(secretService, privateKey);
+    return {
+      signer: { ...signer, secretService, keychain: { ...signer.keychain, account: name } },
+      env: { SAFE_KEYCHAIN_ACCOUNT: name },
+    };
+  },
+  keystore: (signer, privateKey, { name, password }) => {
+    if (existsSync(name)) {
+      throw new TreasuryError(`Keystore ${name} already exists; pick another path.`);
+    }
+    writeFileSync(name, JSON.stringify(encryptKeystore(privateKey, password), null, 2) + "\n", { mode: 0o600 });
+    return {
+      signer: { ...signer, keystore: { ...signer.keystore, path: name } },
+      env: { SAFE_KEYSTORE: name },
+    };
+  },
+  remote: () => {
+    throw new TreasuryError("The remote signer holds its own keys.", {
+      hints: ["Create the new key in the remote signer and pass its address with --new-agent."],
+    });
+  },
+};
+
+/**
+ * Store `privateKey` with the configured backend (see SIGNER_STORES).
+ * @returns {{ signer: object, env: Record<string, string> }}
+ */
+export function storeSignerKey(signer, privateKey, options) {
+  const store = SIGNER_STORES[signer.backend];
+  if (!store) {
+    throw new TreasuryError(`Unknown signer backend "${signer.backend}".`);
+  }
+  return store(signer, privateKey, options);
+}
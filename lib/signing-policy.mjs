@@ -0,0 +1,184 @@
+/**
+ * signing-policy.mjs — Local rules a pending transaction must pass before the
+ * agent co-signs it (`confirm`)
+ *
+ * Built-in rules (always on unless relaxed in the policy file):
+ *   - delegatecall only to the chain's MultiSend / MultiSendCallOnly
+ *   - no calls the decoder does not recognise (allowUnknownCalls)
+ *   - no gas refunds: gasPrice, gasToken and refundReceiver zero (allowRefunds)
+ *   - no setGuard, setFallbackHandler or disableModule; enableModule only for
+ *     the AllowanceModule or `allowedModules` (blockedMethods)
+ *   - no owner or threshold changes and no new AllowanceModule delegates,
+ *     allowances or allowance resets (blockedMethods): each bypasses the
+ *     limits below in one step
+ *
+ * Optional limits, from the "signing" section of treasury.json:
+ *
+ *   "signing": {
+ *     "maxEth": "1",                         ETH sent per transaction (all calls)
+ *     "maxTransfer": { "MOR": "500" },       Per token label or address, per transaction
+ *                                            (transfers and approvals together)
+ *     "allowedRecipients": ["0x..."],        ETH/ERC-20 recipients and approve spenders
+ *                                            (the Safe is always allowed)
+ *     "allowedModules": ["0x..."],
+ *     "blockedMethods": ["setGuard", ...],   Replaces the default list
+ *     "allowUnknownCalls": false,
+ *     "allowRefunds": false
+ *   }
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { getAddress, parseEther, parseUnits, zeroAddress } from "viem";
+import { TreasuryError } from "./errors.mjs";
+
+export const DEFAULT_BLOCKED_METHODS = [
+  "setGuard",
+  "setFallbackHandler",
+  "disableModule",
+  // Owner management: a new owner or lower threshold signs anything
+  "addOwnerWithThreshold",
+  "removeOwner",
+  "swapOwner",
+  "changeThreshold",
+  // AllowanceModule: new spenders, limits or a fresh allowance without co-signatures
+  "addDelegate",
+  "setAllowance",
+  "resetAllowance",
+];
+
+/**
+ * @typedef {object} SigningPolicy
+ * @property {string} [maxEth]
+ * @property {Record<string, string>} [maxTransfer]
+ * @property {string[]} [allowedRecipients]
+ * @property {string[]} [allowedModules]
+ * @property {string[]} [blockedMethods]
+ * @property {boolean} [allowUnknownCalls]
+ * @property {boolean} [allowRefunds]
+ */
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * The "signing" section of a treasury.json policy file; built-in rules only
+ * when the file does not exist.
+ * @param {string} path
+ * @returns {SigningPolicy}
+ */
+export function loadSigningPolicy(path) {
+  if (!existsSync(path)) {
+    return {};
+  }
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new TreasuryError(`Could not read policy ${path}: ${e.message}`);
+  }
+  const signing = raw.signing ?? {};
+  if (typeof signing !== "object" || Array.isArray(signing)) {
+    throw new TreasuryError(`Policy ${path}: "signing" must be an object.`);
+  }
+  return signing;
+}
+
+/**
+ * Flatten a decoded transaction into its calls (MultiSend batches expanded).
+ * @param {import("./decode.mjs").DecodedCall} decoded
+ * @returns {import("./decode.mjs").DecodedCall[]}
+ */
+function flatten(decoded) {
+  return decoded.calls ? [decoded, ...decoded.calls.flatMap(flatten)] : [decoded];
+}
+
+function argValue(call, name) {
+  return call.args?.find((a) => a.name === name)?.value;
+}
+
+/**
+ * Check a transaction against the signing policy.
+ *
+ * @param {object} tx       Transaction Service record (gasPrice, gasToken, refundReceiver, ...)
+ * @param {import("./decode.mjs").DecodedCall} decoded
+ * @param {SigningPolicy} policy
+ * @param {{ safeAddress: string, allowanceModule: string, multiSend: string[], tokens: Record<string, { address: string, decimals: number }> }} context
+ *   `tokens` maps each maxTransfer key (MOR, ETH, address) to its address and decimals;
+ *   a key the caller could not resolve is left out and reported as a violation
+ * @returns {string[]} Violations; empty when the transaction passes
+ */
+export function checkSigningPolicy(tx, decoded, policy, context) {
+  const violations = [];
+  const blocked = policy.blockedMethods ?? DEFAULT_BLOCKED_METHODS;
+  const allowedModules = [context.allowanceModule, ...(policy.allowedModules ?? [])];
+  const recipients = policy.allowedRecipients?.map((r) => getAddress(r));
+  const recipientAllowed = (to) =>
+    !recipients || sameAddress(to, context.safeAddress) || recipients.some((r) => sameAddress(r, to));
+
+  if (!policy.allowRefunds) {
+    if (BigInt(tx.gasPrice ?? 0) !== 0n || !sameAddress(tx.gasToken ?? zeroAddress, zeroAddress) ||
+        !sameAddress(tx.refundReceiver ?? zeroAddress, zeroAddress)) {
+      violations.push("Gas refund fields are set (gasPrice/gasToken/refundReceiver); refunds can drain the Safe.");
+    }
+  }
+
+  let ethTotal = 0n;
+  const tokenTotals = new Map();
+
+  for (const call of flatten(decoded)) {
+    if (call.operation === 1 && !context.multiSend.some((m) => sameAddress(m, call.to))) {
+      violations.push(`Delegatecall to ${call.to}, which is not MultiSend/MultiSendCallOnly.`);
+    }
+    if (call.selector && !call.error && !policy.allowUnknownCalls) {
+      violations.push(`Unrecognised call ${call.selector} on ${call.to}.`);
+    }
+    if (call.error) {
+      violations.push(`${call.to}: ${call.error}`);
+    }
+    if (call.method && blocked.includes(call.method)) {
+      violations.push(`${call.contract}.${call.method} is blocked by the signing policy.`);
+    }
+    if (call.method === "enableModule" && !allowedModules.some((m) => sameAddress(m, argValue(call, "module")))) {
+      violations.push(`enableModule(${argValue(call, "module")}) is not an allowed module.`);
+    }
+
+    const value = BigInt(call.value);
+    if (value > 0n) {
+      ethTotal += value;
+      if (!recipientAllowed(call.to)) {
+        violations.push(`Sends ETH to ${call.to}, which is not an allowed recipient.`);
+      }
+    }
+    if (call.contract === "ERC20" && ["transfer", "transferFrom", "approve"].includes(call.method)) {
+      // An approval lets the spender move the amount later: same limits as a transfer
+      const key = call.to.toLowerCase();
+      tokenTotals.set(key, (tokenTotals.get(key) ?? 0n) + BigInt(argValue(call, "amount")));
+      if (call.method === "approve") {
+        const spender = argValue(call, "spender");
+        if (!recipientAllowed(spender)) {
+          violations.push(`Approves ${spender} to spend ${call.to} tokens, which is not an allowed recipient.`);
+        }
+      } else if (!recipientAllowed(argValue(call, "to"))) {
+        violations.push(`Transfers ${call.to} tokens to ${argValue(call, "to")}, which is not an allowed recipient.`);
+      }
+    }
+  }
+
+  if (policy.maxEth !== undefined && ethTotal > parseEther(String(policy.maxEth))) {
+    violations.push(`Sends more ETH than the signing policy allows (${policy.maxEth}).`);
+  }
+  for (const [label, max] of Object.entries(policy.maxTransfer ?? {})) {
+    const token = context.tokens[label];
+    if (!token) {
+      violations.push(`Signing policy limits unknown token "${label}" (not MOR, ETH or an ERC-20 address on this chain).`);
+      continue;
+    }
+    const total = token.address === zeroAddress ? ethTotal : tokenTotals.get(token.address.toLowerCase()) ?? 0n;
+    if (total > parseUnits(String(max), token.decimals)) {
+      violations.push(`Transfers or approves more ${label} than the signing policy allows (${max}).`);
+    }
+  }
+
+  return violations;
+}
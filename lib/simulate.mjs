@@ -0,0 +1,237 @@
+/**
+ * simulate.mjs — Dry-run a Safe transaction before it is proposed
+ *
+ * execTransaction is simulated from an owner's address with the Safe's
+ * threshold overridden to 1 (storage slot 4 in Safe v1.4.1). A single
+ * approved-hash signature from msg.sender (v = 1, r = owner) then stands in
+ * for the signatures the proposal does not have yet.
+ *
+ * With eth_simulateV1 (traceTransfers) the result lists the emitted events
+ * and the Safe's token/ETH balance changes. RPCs without it fall back to
+ * eth_call, which only reports success or the revert reason.
+ */
+
+import {
+  concat,
+  decodeErrorResult,
+  decodeEventLog,
+  encodeFunctionData,
+  formatUnits,
+  numberToHex,
+  pad,
+  zeroAddress,
+} from "viem";
+import { SAFE_ABI, ERC20_ABI } from "./abis.mjs";
+
+// Safe v1.4.1 storage: singleton, modules, owners, ownerCount, threshold
+export const SAFE_THRESHOLD_SLOT = 4n;
+
+// eth_simulateV1 traceTransfers reports native transfers as ERC-20 Transfer logs from this address
+export const NATIVE_TRANSFER_LOG_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+const EVENT_ABIS = [
+  { contract: "Safe", abi: SAFE_ABI },
+  { contract: "ERC20", abi: ERC20_ABI },
+];
+
+// Bookkeeping events every execTransaction emits (SafeL2)
+const HIDDEN_EVENTS = new Set(["SafeMultiSigTransaction"]);
+
+/**
+ * @typedef {object} SimulatedEvent
+ * @property {string} address
+ * @property {string} [contract]  ABI group that decoded it (Safe, ERC20; ETH for traced native transfers)
+ * @property {string} [name]      Absent when the event is unknown
+ * @property {Record<string, string>} [args]
+ * @property {string} [topic]     topic0 of an unknown event
+ *
+ * @typedef {object} SimulationResult
+ * @property {boolean} success
+ * @property {"eth_simulateV1"|"eth_call"} method
+ * @property {string} [revertReason]       execTransaction revert (e.g. GS013)
+ * @property {string} [innerRevertReason]  The call itself, replayed from the Safe (operation 0 only)
+ * @property {bigint} [gasUsed]
+ * @property {SimulatedEvent[]|null} events            null with eth_call
+ * @property {Array<{ token: string, delta: bigint }>|null} balanceChanges  token = address (zero address = ETH)
+ */
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Revert reason of a failed call, or null when the error is not a revert
+ * (network failure, unsupported method).
+ */
+function revertReason(e) {
+  const reason = e?.walk?.((c) => typeof c.reason === "string")?.reason;
+  if (reason) {
+    return reason;
+  }
+  const data = e?.walk?.((c) => typeof c.data === "string" && c.data.length > 2)?.data;
+  if (data) {
+    try {
+      const { errorName, args } = decodeErrorResult({ abi: [], data });
+      return errorName === "Error" ? String(args[0]) : `${errorName}(${args?.join(", ") ?? ""})`;
+    } catch {
+      return data;
+    }
+  }
+  if (e?.walk?.((c) => c.name === "ExecutionRevertedError" || c.name === "ContractFunctionRevertedError")) {
+    return "execution reverted";
+  }
+  return null;
+}
+
+function decodeEvent(log) {
+  for (const { contract, abi } of EVENT_ABIS) {
+    try {
+      const { eventName, args } = decodeEventLog({ abi, data: log.data, topics: log.topics });
+      return {
+        address: log.address,
+        contract: sameAddress(log.address, NATIVE_TRANSFER_LOG_ADDRESS) ? "ETH" : contract,
+        name: eventName,
+        args: Object.fromEntries(Object.entries(args ?? {}).map(([k, v]) => [k, String(v)])),
+      };
+    } catch {
+      // try the next ABI
+    }
+  }
+  return { address: log.address, topic: log.topics[0] };
+}
+
+/**
+ * Net token/ETH change for `safeAddress` from (traced) Transfer logs.
+ */
+function balanceChangesFrom(logs, safeAddress) {
+  const deltas = new Map();
+  for (const log of logs) {
+    let transfer;
+    try {
+      transfer = decodeEventLog({ abi: ERC20_ABI, eventName: "Transfer", data: log.data, topics: log.topics });
+    } catch {
+      continue;
+    }
+    const { from, to, value } = transfer.args;
+    const token = sameAddress(log.address, NATIVE_TRANSFER_LOG_ADDRESS) ? zeroAddress : log.address;
+    let delta = deltas.get(token) ?? 0n;
+    if (sameAddress(from, safeAddress)) delta -= value;
+    if (sameAddress(to, safeAddress)) delta += value;
+    deltas.set(token, delta);
+  }
+  return [...deltas].filter(([, delta]) => delta !== 0n).map(([token, delta]) => ({ token, delta }));
+}
+
+/**
+ * Simulate execTransaction for a Safe transaction that has no signatures yet.
+ *
+ * @param {import("viem").PublicClient} publicClient
+ * @param {{ safeAddress: string, owner: string, txData: { to: string, value: bigint, data: string, operation: number } }} params
+ *   `owner`: any current owner; the simulated msg.sender
+ * @returns {Promise<SimulationResult>}
+ * @throws When the RPC can neither simulate nor eth_call
+ */
+export async function simulateSafeTx(publicClient, { safeAddress, owner, txData }) {
+  const execData = encodeFunctionData({
+    abi: SAFE_ABI,
+    functionName: "execTransaction",
+    args: [
+      txData.to,
+      txData.value,
+      txData.data,
+      txData.operation,
+      0n,
+      0n,
+      0n,
+      zeroAddress,
+      zeroAddress,
+      concat([pad(owner), pad("0x0"), "0x01"]),
+    ],
+  });
+  const stateOverride = [{
+    address: safeAddress,
+    stateDiff: [{ slot: numberToHex(SAFE_THRESHOLD_SLOT, { size: 32 }), value: numberToHex(1n, { size: 32 }) }],
+  }];
+
+  let result;
+  try {
+    const [block] = await publicClient.simulateBlocks({
+      blocks: [{
+        calls: [{ account: owner, to: safeAddress, data: execData }],
+        stateOverrides: stateOverride,
+      }],
+      traceTransfers: true,
+    });
+    const [call] = block.calls;
+    result = {
+      success: call.status === "success",
+      method: "eth_simulateV1",
+      gasUsed: call.gasUsed,
+      events: call.status === "success"
+        ? call.logs.map(decodeEvent).filter((e) => !HIDDEN_EVENTS.has(e.name))
+        : [],
+      balanceChanges: call.status === "success" ? balanceChangesFrom(call.logs, safeAddress) : [],
+    };
+    if (!result.success) {
+      result.revertReason = revertReason(call.error) ?? "execution reverted";
+    }
+  } catch {
+    // No eth_simulateV1 on this RPC: success/revert only
+    try {
+      await publicClient.call({ account: owner, to: safeAddress, data: execData, stateOverride });
+      result = { success: true, method: "eth_call", events: null, balanceChanges: null };
+    } catch (e) {
+      const reason = revertReason(e);
+      if (reason === null) {
+        throw e;
+      }
+      result = { success: false, method: "eth_call", revertReason: reason, events: null, balanceChanges: null };
+    }
+  }
+
+  // Safe reverts with GS013 and drops the reason; replay a plain call from the Safe to get it
+  if (!result.success && txData.operation === 0) {
+    try {
+      await publicClient.call({ account: safeAddress, to: txData.to, data: txData.data, value: txData.value });
+    } catch (e) {
+      result.innerRevertReason = revertReason(e) ?? undefined;
+    }
+  }
+  return result;
+}
+
+/**
+ * Text lines for a simulation result (see SafeTreasury.simulate()).
+ * @param {SimulationResult & { balanceChanges: Array<{ token: { label: string, decimals: number }, delta: bigint }>|null }} simulation
+ * @returns {string[]}
+ */
+export function formatSimulation(simulation, indent = "") {
+  const lines = [];
+  if (!simulation.success) {
+    lines.push(`${indent}Simulation (${simulation.method}): REVERTS -- ${simulation.revertReason}`);
+    if (simulation.innerRevertReason) {
+      lines.push(`${indent}  Call reverts with: ${simulation.innerRevertReason}`);
+    }
+    return lines;
+  }
+
+  lines.push(`${indent}Simulation (${simulation.method}): success${simulation.gasUsed ? `, ${simulation.gasUsed} gas` : ""}`);
+  if (simulation.events === null) {
+    lines.push(`${indent}  (events and balance changes need an RPC with eth_simulateV1)`);
+    return lines;
+  }
+  if (simulation.events.length > 0) {
+    lines.push(`${indent}  Events:`);
+    for (const event of simulation.events) {
+      const args = event.args ? Object.entries(event.args).map(([k, v]) => `${k}=${v}`).join(", ") : "";
+      lines.push(event.name
+        ? `${indent}    ${event.contract}.${event.name}(${args}) on ${event.address}`
+        : `${indent}    unknown event ${event.topic} on ${event.address}`);
+    }
+  }
+  lines.push(`${indent}  Safe balance changes:${simulation.balanceChanges.length === 0 ? " none" : ""}`);
+  for (const { token, delta } of simulation.balanceChanges) {
+    lines.push(`${indent}    ${token.label}: ${delta > 0n ? "+" : ""}${formatUnits(delta, token.decimals)}`);
+  }
+  return lines;
+}
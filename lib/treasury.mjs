@@ -0,0 +1,2083 @@
+/**
+ * treasury.mjs — SafeTreasury, the programmatic API behind the agent-treasury-* scripts
+ *
+ * Wraps one Safe on a registry chain (see chains.mjs):
+ *   status()     -- read-only overview, balances, allowances, pending txs
+ *   propose()    -- simulate, sign and submit a multi-sig proposal to the Transaction Service
+ *   simulate()   -- execTransaction as if fully signed: revert reason, events, balance changes
+ *   transfer()   -- propose a MOR or ETH transfer
+ *   changeThreshold(), addOwner(), removeOwner(), swapOwner()
+ *   setAllowance(), resetAllowance(), deleteAllowance(), removeDelegate()
+ *   pending(), queue(), verifyTransaction(), review(), confirm()
+ *   cosign(), cosignRejection() -- sign or reject as a human owner (not the agent)
+ *   getProposers(), addProposer(), removeProposer() -- Transaction Service delegates
+ *                   that may propose without being owners (e.g. the agent)
+ *   execute()    -- send a fully confirmed proposal from the agent wallet
+ *   exportProposal(), importSignatures() -- offline signing through SafeTx files
+ *   reject(), executeRejection() -- cancel a queued proposal by using up its nonce
+ *   proposeBatch() -- propose a list of calls as one MultiSendCallOnly tx
+ *   submitBatch() -- execute (threshold 1) or propose a list of Safe calls as one tx
+ *   configure()  -- enable AllowanceModule and set agent limits (executed at
+ *                   threshold 1 by an owner agent, proposed as one batch otherwise)
+ *   verifyConfiguration(), waitForExecution()
+ *   refill()     -- top up the agent hot wallet via executeAllowanceTransfer
+ *
+ * Methods return plain objects and throw TreasuryError on failure. Progress
+ * lines go to the optional `logger` callback; nothing is printed otherwise.
+ *
+ * Usage:
+ *   import { SafeTreasury } from "safe-agent-treasury";
+ *   const treasury = SafeTreasury.fromEnv();
+ *   const status = await treasury.status();
+ */
+
+import {
+  createPublicClient,
+  createWalletClient,
+  http,
+  formatEther,
+  formatUnits,
+  parseEther,
+  encodeFunctionData,
+  getAddress,
+  keccak256,
+  parseEventLogs,
+  zeroAddress,
+} from "viem";
+import { SAFE_ABI, ALLOWANCE_MODULE_ABI, ERC20_ABI } from "./abis.mjs";
+import { getChainConfig } from "./chains.mjs";
+import { batchToSafeTx } from "./multisend.mjs";
+import { decodeTransaction, formatDecoded } from "./decode.mjs";
+import { checkSigningPolicy } from "./signing-policy.mjs";
+import { verifyConfirmations, summarizeVerification, packSignatures } from "./signatures.mjs";
+import { simulateSafeTx } from "./simulate.mjs";
+import { createSafeTxFile } from "./safe-tx-file.mjs";
+import { addOwnerCall, removeOwnerCall, swapOwnerCall, computePrevOwner } from "./owners.mjs";
+import { UINT96_MAX, UINT16_MAX } from "./constants.mjs";
+import { resolveConfig, requireRpcUrl } from "./env.mjs";
+import { TreasuryError } from "./errors.mjs";
+import { loadSignerAccount, resolveAgentAddress } from "./signer.mjs";
+import { withRetry } from "./retry.mjs";
+import {
+  computeSafeTxHash,
+  encodeSafeTxData,
+  signSafeTx,
+  SIGNATURE_TYPES,
+  readSafeTxContext,
+  execSafeTx,
+} from "./safe-tx.mjs";
+import {
+  submitToTxService,
+  submitConfirmation,
+  getPendingTransactions,
+  getQueuedTransactions,
+  getTransaction,
+  getTxServiceDelegates,
+  addTxServiceDelegate,
+  removeTxServiceDelegate,
+  delegateTypedData,
+} from "./tx-service.mjs";
+
+/**
+ * @typedef {object} SafeTreasuryOptions
+ * @property {string} safeAddress        Safe address
+ * @property {string} rpcUrl             RPC URL for the chain (required, no public fallback)
+ * @property {string} [chain]            Chain registry key or ID (default: base)
+ * @property {string} [txServiceUrl]     Safe Transaction Service base URL (default: from registry)
+ * @property {string} [allowanceModule]  AllowanceModule address (default: from registry)
+ * @property {object} [signer]           Agent signer config (see resolveSignerConfig())
+ * @property {import("viem").Account} [account]  Agent account (skips the signer backend)
+ * @property {(msg: string) => void} [logger]  Receives progress lines
+ * @property {bigint|number|"auto"} [proposalNonce]  Nonce for proposals (default: the Safe's current nonce)
+ * @property {boolean} [dryRun]          Simulate proposals without signing or submitting them
+ * @property {boolean} [unsigned]        Build proposals without signing or submitting them (for exportProposal())
+ * @property {"eip712"|"eth_sign"} [signatureType]  How the agent signs Safe transactions (default: eip712,
+ *   falling back to eth_sign when the signer cannot sign typed data)
+ *
+ * @typedef {object} Allowance
+ * @property {bigint} amount
+ * @property {bigint} spent
+ * @property {number} resetTimeMin
+ * @property {number} lastResetMin
+ * @property {number} nonce
+ *
+ * @typedef {object} ProposalResult
+ * @property {`0x${string}`} safeTxHash
+ * @property {bigint} nonce
+ * @property {{ to: string, value: bigint, data: string, operation: number, nonce: bigint }} txData
+ * @property {number} [status]  HTTP status from the Transaction Service (absent on a dry run)
+ * @property {boolean} [dryRun]  Simulated only; not signed or submitted
+ * @property {boolean} [unsigned]  Built for export; not signed or submitted
+ * @property {import("./simulate.mjs").SimulationResult} [simulation]  Absent when the RPC could not simulate
+ *
+ * @typedef {object} AllowanceChange
+ * @property {{ address: string, label: string, decimals: number }} token
+ * @property {Allowance} before  getTokenAllowance now
+ * @property {Allowance} after   Expected once the proposal executes
+ *
+ * @typedef {ProposalResult & { delegate: string, changes: AllowanceChange[] }} AllowanceChangeResult
+ *
+ * @typedef {object} TxVerification
+ * @property {string} safeTxHash         As reported by the Transaction Service
+ * @property {`0x${string}`} computedHash  Recomputed from the transaction fields
+ * @property {boolean} hashMatches
+ * @property {Array<import("./signatures.mjs").RecoveredSignature & { claimedOwner: string, signature: string, isOwner: boolean, problem?: string }>} confirmations
+ * @property {number} validConfirmations  Distinct current owners with a valid signature
+ * @property {boolean} flagged           Hash mismatch or any confirmation with a problem
+ *
+ * @typedef {object} Proposer
+ * @property {string} delegate     May propose transactions
+ * @property {string} delegator    Owner that registered it
+ * @property {string} label
+ * @property {string|null} safe    null: registered for every Safe of the delegator
+ * @property {string|null} expiryDate
+ *
+ * @typedef {object} TxReview
+ * @property {`0x${string}`} safeTxHash  Recomputed (matches the requested hash)
+ * @property {bigint} nonce
+ * @property {object} txData              Safe transaction fields as hashed
+ * @property {boolean} rejection          Zero-value self-call (see reject())
+ * @property {import("./decode.mjs").DecodedCall} decoded
+ * @property {TxVerification} verification
+ * @property {string[]} violations        Signing-policy violations (empty: passes)
+ *
+ * @typedef {object} ExecutionResult
+ * @property {`0x${string}`} safeTxHash
+ * @property {bigint} nonce
+ * @property {`0x${string}`} txHash     On-chain transaction sent by the agent wallet
+ * @property {boolean} success           ExecutionSuccess (false: ExecutionFailure)
+ * @property {number} signatures         Owner signatures submitted
+ *
+ * @typedef {object} ImportResult
+ * @property {"submitted"|"executed"} mode
+ * @property {`0x${string}`} safeTxHash
+ * @property {bigint} nonce
+ * @property {TxVerification} verification  Signatures from the files, checked against the current owners
+ * @property {boolean} [proposed]   Submitted: the transaction was new to the Transaction Service
+ * @property {number} [submitted]   Submitted: signatures the Transaction Service did not have yet
+ * @property {ExecutionResult} [execution]  Executed
+ *
+ * @typedef {object} QueueEntry
+ * @property {bigint} nonce
+ * @property {Array<{ safeTxHash: string, to: string, value: string, data: string|null, operation: number, rejection: boolean, confirmations: number, ready: boolean, flagged: boolean }>} transactions
+ *   `confirmations`: verified owner signatures; `ready`: enough to execute
+ * @property {boolean} gap        Nothing queued at this nonce
+ * @property {boolean} conflict   Several transactions compete for this nonce; only one can execute
+ * @property {boolean} ready
+ * @property {bigint[]} blockedBy  Lower nonces that are not ready yet
+ *
+ * @typedef {object} BatchResult
+ * @property {"executed"|"proposed"} mode
+ * @property {number} calls              Number of calls in the batch
+ * @property {`0x${string}`} safeTxHash
+ * @property {bigint} nonce
+ * @property {`0x${string}`} [txHash]    On-chain tx (executed)
+ * @property {number} [status]           Transaction Service HTTP status (proposed)
+ *
+ * @typedef {object} RefillTokenResult
+ * @property {"MOR"|"ETH"} token
+ * @property {"ok"|"refilled"|"reverted"|"failed"|"skipped"|"unsupported"} action  `unsupported`: token not deployed on this chain
+ * @property {`0x${string}`} [txHash]
+ * @property {string} [error]
+ * @property {boolean} [fundamental]  Failure points at broken module/delegate config
+ * @property {boolean} [allowanceExhausted]  Failure looks like a spent allowance
+ */
+
+const RPC_SETTLE_MS = 5000;
+
+// Safety stop for getDelegates() pagination (a corrupt cursor would loop forever)
+const MAX_DELEGATE_PAGES = 100;
+
+function noop() {}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Safe transaction fields of a Transaction Service record, ready for hashing.
+ */
+function safeTxDataFrom(tx) {
+  return {
+    to: getAddress(tx.to),
+    value: BigInt(tx.value),
+    data: tx.data || "0x",
+    operation: Number(tx.operation),
+    safeTxGas: tx.safeTxGas ?? 0,
+    baseGas: tx.baseGas ?? 0,
+    gasPrice: tx.gasPrice ?? 0,
+    gasToken: tx.gasToken ?? zeroAddress,
+    refundReceiver: tx.refundReceiver ?? zeroAddress,
+    nonce: BigInt(tx.nonce),
+  };
+}
+
+/**
+ * First nonce after the queued transactions (or the Safe nonce when none).
+ */
+function nextFreeNonce(queued, currentNonce) {
+  return queued.reduce((n, tx) => (BigInt(tx.nonce) >= n ? BigInt(tx.nonce) + 1n : n), currentNonce);
+}
+
+/**
+ * A rejection: zero-value call from the Safe to itself, no data, no refunds.
+ */
+function isRejection(safeAddress, tx) {
+  return sameAddress(tx.to, safeAddress) &&
+    BigInt(tx.value) === 0n &&
+    (!tx.data || tx.data === "0x") &&
+    Number(tx.operation) === 0;
+}
+
+function describeNextReset(lastResetMin, resetTimeMin) {
+  if (lastResetMin === 0) {
+    return "Not yet used";
+  }
+  const nextResetTimestamp = (lastResetMin + resetTimeMin) * 60;
+  const nextReset = new Date(nextResetTimestamp * 1000);
+  const now = Date.now();
+  if (nextReset.getTime() <= now) {
+    return "Reset available now";
+  }
+  const diffMs = nextReset.getTime() - now;
+  const diffH = Math.floor(diffMs / 3_600_000);
+  const diffM = Math.floor((diffMs % 3_600_000) / 60_000);
+  return `${nextReset.toISOString()} (in ${diffH}h ${diffM}m)`;
+}
+
+export class SafeTreasury {
+  /**
+   * @param {SafeTreasuryOptions} options
+   */
+  constructor({
+    safeAddress,
+    rpcUrl,
+    chain,
+    txServiceUrl,
+    allowanceModule,
+    signer,
+    account,
+    logger,
+    proposalNonce,
+    dryRun = false,
+    unsigned = false,
+    signatureType,
+  } = {}) {
+    if (!safeAddress) {
+      throw new TreasuryError("SAFE_ADDRESS not set in ~/morpheus/.env", {
+        hints: ["Deploy a Safe first with agent-treasury-deploy.mjs"],
+      });
+    }
+    this.rpcUrl = requireRpcUrl(rpcUrl);
+    this.safeAddress = getAddress(safeAddress);
+    this.chainConfig = getChainConfig(chain);
+    this.chain = this.chainConfig.chain;
+    this.txServiceUrl = txServiceUrl || this.chainConfig.txServiceUrl;
+    this.allowanceModule = getAddress(allowanceModule || this.chainConfig.allowanceModule);
+    this.morToken = this.chainConfig.morToken;
+    this.signer = signer;
+    this.account = account;
+    this.logger = logger || noop;
+    this.proposalNonce = proposalNonce;
+    this.dryRun = dryRun;
+    this.unsigned = unsigned;
+    this.signatureType = signatureType || "eip712";
+    if (!SIGNATURE_TYPES.includes(this.signatureType)) {
+      throw new TreasuryError(`Unknown signature type "${this.signatureType}" (SAFE_SIGNATURE_TYPE).`, {
+        hints: [`Use ${SIGNATURE_TYPES.join(" or ")}.`],
+      });
+    }
+
+    this.publicClient = createPublicClient({
+      chain: this.chain,
+      transport: http(this.rpcUrl),
+    });
+  }
+
+  /**
+   * Build a SafeTreasury from SAFE_* environment variables (call loadEnv() first).
+   * Undefined overrides (e.g. an absent CLI flag) keep the environment value.
+   * @param {Partial<SafeTreasuryOptions>} [overrides]
+   */
+  static fromEnv(overrides = {}) {
+    const defined = Object.fromEntries(
+      Object.entries(overrides).filter(([, v]) => v !== undefined)
+    );
+    return new SafeTreasury({ ...resolveConfig(defined.chain), ...defined });
+  }
+
+  /**
+   * Agent hot wallet account, loaded from the configured signer backend on first use.
+   * @returns {Promise<import("viem").Account>}
+   */
+  async getAccount() {
+    if (!this.account) {
+      this.account = await loadSignerAccount(this.signer);
+    }
+    return this.account;
+  }
+
+  /**
+   * Agent address without unlocking its key (see resolveAgentAddress()); the
+   * loaded account's address once getAccount() has run.
+   * @returns {Promise<string>}
+   */
+  async getAgentAddress() {
+    return this.account ? this.account.address : resolveAgentAddress(this.signer);
+  }
+
+  async getWalletClient() {
+    return createWalletClient({
+      account: await this.getAccount(),
+      chain: this.chain,
+      transport: http(this.rpcUrl),
+    });
+  }
+
+  // --- Reads ---
+
+  async getOverview() {
+    const address = this.safeAddress;
+    const [threshold, owners, nonce, moduleEnabled] = await Promise.all([
+      this.publicClient.readContract({ address, abi: SAFE_ABI, functionName: "getThreshold" }),
+      this.publicClient.readContract({ address, abi: SAFE_ABI, functionName: "getOwners" }),
+      this.publicClient.readContract({ address, abi: SAFE_ABI, functionName: "nonce" }),
+      this.publicClient.readContract({
+        address,
+        abi: SAFE_ABI,
+        functionName: "isModuleEnabled",
+        args: [this.allowanceModule],
+      }),
+    ]);
+    return { threshold, owners, nonce, moduleEnabled };
+  }
+
+  /**
+   * MOR and ETH balances. `mor` is null on chains without a MOR deployment.
+   */
+  async getBalances(address) {
+    const [mor, eth] = await Promise.all([
+      this.morToken
+        ? this.publicClient.readContract({
+          address: this.morToken,
+          abi: ERC20_ABI,
+          functionName: "balanceOf",
+          args: [address],
+        })
+        : null,
+      this.publicClient.getBalance({ address }),
+    ]);
+    return { mor, eth };
+  }
+
+  /**
+   * Every AllowanceModule delegate of this Safe. getDelegates() returns one
+   * page of the module's linked list plus a `next` cursor (0 at the end),
+   * which is followed until the list is exhausted.
+   */
+  async getDelegates(pageSize = 50) {
+    const delegates = [];
+    let start = 0;
+    for (let page = 0; page < MAX_DELEGATE_PAGES; page++) {
+      const [results, next] = await this.publicClient.readContract({
+        address: this.allowanceModule,
+        abi: ALLOWANCE_MODULE_ABI,
+        functionName: "getDelegates",
+        args: [this.safeAddress, start, pageSize],
+      });
+      delegates.push(...results);
+      if (Number(next) === 0) {
+        return delegates;
+      }
+      start = Number(next);
+    }
+    throw new TreasuryError(`AllowanceModule delegate list exceeds ${MAX_DELEGATE_PAGES} pages of ${pageSize}.`);
+  }
+
+  /**
+   * Every delegate with every token allowance it holds (getTokens() per
+   * delegate; unconfigured or deleted allowances are omitted).
+   * @returns {Promise<{ delegate: string, allowances: (Allowance & { token: string, label: string, decimals: number })[] }[]>}
+   */
+  async getDelegateAllowances() {
+    const result = [];
+    for (const delegate of await this.getDelegates()) {
+      const allowances = [];
+      for (const token of await this.getAllowanceTokens(delegate)) {
+        const allowance = await this.getAllowance(delegate, token);
+        if (allowance.amount === 0n) continue;
+        let label = token;
+        let decimals = 18;
+        try {
+          ({ label, decimals } = await this.resolveToken(token));
+        } catch {
+          // Not an ERC-20 with decimals(); show raw units
+        }
+        allowances.push({ token, label, decimals, ...allowance });
+      }
+      result.push({ delegate, allowances });
+    }
+    return result;
+  }
+
+  /**
+   * AllowanceModule state for one delegate/token pair (token zeroAddress = ETH).
+   * @returns {Promise<Allowance>}
+   */
+  async getAllowance(delegate, token) {
+    // getTokenAllowance returns [amount, spent, resetTimeMin, lastResetMin, nonce]
+    const allowance = await this.publicClient.readContract({
+      address: this.allowanceModule,
+      abi: ALLOWANCE_MODULE_ABI,
+      functionName: "getTokenAllowance",
+      args: [this.safeAddress, delegate, token],
+    });
+    return {
+      amount: allowance[0],
+      spent: allowance[1],
+      resetTimeMin: Number(allowance[2]),
+      lastResetMin: Number(allowance[3]),
+      nonce: Number(allowance[4]),
+    };
+  }
+
+  /**
+   * Tokens the AllowanceModule has ever held an allowance for, for one delegate.
+   */
+  async getAllowanceTokens(delegate) {
+    return this.publicClient.readContract({
+      address: this.allowanceModule,
+      abi: ALLOWANCE_MODULE_ABI,
+      functionName: "getTokens",
+      args: [this.safeAddress, delegate],
+    });
+  }
+
+  /**
+   * Decode a Safe transaction's calldata (see decode.mjs), with token
+   * amounts in the token's decimals.
+   * @param {{ to: string, value?: bigint|string, data?: string|null, operation?: number }} tx
+   * @returns {Promise<import("./decode.mjs").DecodedCall>}
+   */
+  async decode(tx) {
+    return decodeTransaction(tx, { resolveToken: (token) => this.resolveToken(token) });
+  }
+
+  /**
+   * Pending multisig transactions as reported by the Transaction Service.
+   * SECURITY: Remote data -- treat as untrusted.
+   */
+  async pending() {
+    return getPendingTransactions(this.txServiceUrl, this.safeAddress);
+  }
+
+  /**
+   * The proposal queue from the Safe's current nonce up, in execution order.
+   *
+   * Each nonce lists its transactions with verified confirmations (see
+   * verifyTransaction()). A nonce is `ready` when one of them has enough; it
+   * is blocked by every lower nonce that is not. Nonces with nothing queued
+   * (`gap`) block everything after them.
+   *
+   * @returns {Promise<{ nonce: bigint, threshold: number, nextFreeNonce: bigint, entries: QueueEntry[] }>}
+   */
+  async queue() {
+    const { threshold, owners, nonce } = await this.getOverview();
+    const [queued, domainSeparator] = await Promise.all([
+      getQueuedTransactions(this.txServiceUrl, this.safeAddress, nonce),
+      this.publicClient.readContract({ address: this.safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
+    ]);
+    const nextFree = nextFreeNonce(queued, nonce);
+
+    const entries = [];
+    const notReady = [];
+    for (let n = nonce; n < nextFree; n++) {
+      const transactions = [];
+      for (const tx of queued.filter((t) => BigInt(t.nonce) === n)) {
+        const verification = await this.verifyTransaction(tx, { owners, domainSeparator });
+        transactions.push({
+          safeTxHash: tx.safeTxHash,
+          to: tx.to,
+          value: tx.value,
+          data: tx.data || null,
+          operation: tx.operation,
+          rejection: isRejection(this.safeAddress, tx),
+          confirmations: verification.validConfirmations,
+          ready: BigInt(verification.validConfirmations) >= threshold,
+          flagged: verification.flagged,
+        });
+      }
+      const ready = transactions.some((t) => t.ready);
+      entries.push({
+        nonce: n,
+        transactions,
+        gap: transactions.length === 0,
+        conflict: transactions.length > 1,
+        ready,
+        blockedBy: [...notReady],
+      });
+      if (!ready) {
+        notReady.push(n);
+      }
+    }
+
+    return { nonce, threshold: Number(threshold), nextFreeNonce: nextFree, entries };
+  }
+
+  /**
+   * Check a Transaction Service record without trusting it: recompute the
+   * safeTxHash from its fields and recover the signer of every confirmation
+   * (see signatures.mjs). Signatures are checked against the recomputed hash,
+   * the one execTransaction will verify.
+   *
+   * @param {object} tx  Transaction Service record
+   * @param {{ owners?: string[], domainSeparator?: `0x${string}` }} [onChain]  Read when absent
+   * @returns {Promise<TxVerification>}
+   */
+  async verifyTransaction(tx, { owners, domainSeparator } = {}) {
+    owners ??= await this.publicClient.readContract({
+      address: this.safeAddress, abi: SAFE_ABI, functionName: "getOwners",
+    });
+    domainSeparator ??= await this.publicClient.readContract({
+      address: this.safeAddress, abi: SAFE_ABI, functionName: "domainSeparator",
+    });
+
+    const txHashData = encodeSafeTxData(domainSeparator, safeTxDataFrom(tx));
+    const computedHash = keccak256(txHashData);
+    const hashMatches = computedHash.toLowerCase() === String(tx.safeTxHash).toLowerCase();
+    const confirmations = await verifyConfirmations(
+      this.publicClient,
+      { safeAddress: this.safeAddress, safeTxHash: computedHash, txHashData, owners },
+      tx.confirmations ?? []
+    );
+
+    const signers = new Set(
+      confirmations.filter((c) => !c.problem).map((c) => c.signer.toLowerCase())
+    );
+    return {
+      safeTxHash: tx.safeTxHash,
+      computedHash,
+      hashMatches,
+      confirmations,
+      validConfirmations: signers.size,
+      flagged: !hashMatches || confirmations.some((c) => c.problem),
+    };
+  }
+
+  /**
+   * Read-only dashboard data. No private key required.
+   * Shape matches `agent-treasury-status.mjs --json`.
+   */
+  async status() {
+    const safeAddress = this.safeAddress;
+    const result = {};
+
+    const { threshold, owners, nonce, moduleEnabled } = await this.getOverview();
+    result.safe = {
+      address: safeAddress,
+      chain: this.chainConfig.key,
+      chainId: this.chain.id,
+      threshold: Number(threshold),
+      ownerCount: owners.length,
+      owners: owners.map(String),
+      allowanceModuleEnabled: moduleEnabled,
+      nonce: Number(nonce),
+    };
+
+    const safeBalances = await this.getBalances(safeAddress);
+    result.balances = {
+      safe: {
+        mor: safeBalances.mor === null ? null : formatEther(safeBalances.mor),
+        eth: formatEther(safeBalances.eth),
+      },
+      delegates: {},
+    };
+
+    let delegates = [];
+    try {
+      delegates = await this.getDelegateAllowances();
+    } catch (e) {
+      result.delegatesError = e.shortMessage || e.message;
+    }
+
+    result.allowances = [];
+
+    for (const { delegate, allowances } of delegates) {
+      const delegateBalances = await this.getBalances(delegate);
+      result.balances.delegates[delegate] = {
+        mor: delegateBalances.mor === null ? null : formatEther(delegateBalances.mor),
+        eth: formatEther(delegateBalances.eth),
+      };
+
+      for (const { token, label, decimals, amount, spent, resetTimeMin, lastResetMin, nonce: allowanceNonce } of allowances) {
+        const remaining = spent > amount ? 0n : amount - spent;
+        result.allowances.push({
+          delegate,
+          token: label,
+          tokenAddress: token,
+          limit: formatUnits(amount, decimals),
+          spent: formatUnits(spent, decimals),
+          remaining: formatUnits(remaining, decimals),
+          overLimit: spent > amount,
+          resetIntervalMin: resetTimeMin,
+          lastResetMin,
+          nextReset: describeNextReset(lastResetMin, resetTimeMin),
+          nonce: allowanceNonce,
+        });
+      }
+    }
+
+    try {
+      const pending = await this.pending();
+      const domainSeparator = pending.length > 0
+        ? await this.publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" })
+        : undefined;
+      result.pendingTransactions = [];
+      for (const tx of pending) {
+        const verification = await this.verifyTransaction(tx, { owners, domainSeparator });
+        result.pendingTransactions.push({
+          safeTxHash: tx.safeTxHash,
+          to: tx.to,
+          value: formatEther(BigInt(tx.value)),
+          data: tx.data || null,
+          decoded: await this.decode(tx),
+          nonce: tx.nonce,
+          confirmations: tx.confirmations ? tx.confirmations.length : 0,
+          confirmationsRequired: tx.confirmationsRequired,
+          signers: tx.confirmations ? tx.confirmations.map((c) => c.owner) : [],
+          verification: summarizeVerification(verification),
+        });
+      }
+    } catch (e) {
+      result.pendingTransactions = null;
+      result.pendingTransactionsError = e.message;
+    }
+
+    return result;
+  }
+
+  // --- Proposals (Transaction Service) ---
+
+  /**
+   * Sign a Safe transaction with the agent key and submit it for co-signing.
+   * The agent must be an owner or a registered proposer (see addProposer()).
+   *
+   * The nonce defaults to the Safe's current nonce. Pass a number to queue
+   * behind other proposals, or "auto" for the next nonce after everything
+   * already queued. A nonce that already has a queued transaction is refused.
+   *
+   * @param {{ to: string, value?: bigint, data?: string, operation?: number }} tx
+   * @param {{ nonce?: bigint|number|"auto" }} [options]  Default: the `proposalNonce` option
+   * @returns {Promise<ProposalResult>}
+   */
+  async propose({ to, value = 0n, data = "0x", operation = 0 }, { nonce: requested = this.proposalNonce } = {}) {
+    to = getAddress(to);
+
+    // SECURITY: Validate hex data format
+    if (data !== "0x" && !/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+      throw new TreasuryError(
+        "Invalid --data format. Must be '0x' followed by even number of hex characters.",
+        { hints: ["Example: 0x or 0xa9059cbb000000..."] }
+      );
+    }
+
+    const { nonce: currentNonce, domainSeparator } = await readSafeTxContext(this.publicClient, this.safeAddress);
+    const queued = await getQueuedTransactions(this.txServiceUrl, this.safeAddress, currentNonce);
+    const nextFree = nextFreeNonce(queued, currentNonce);
+
+    let nonce = currentNonce;
+    if (requested === "auto") {
+      nonce = nextFree;
+    } else if (requested !== undefined && requested !== null) {
+      nonce = BigInt(requested);
+      if (nonce < currentNonce) {
+        throw new TreasuryError(`Nonce ${nonce} is already used (Safe nonce is ${currentNonce}).`);
+      }
+    }
+
+    // SECURITY: Check for nonce conflicts with pending transactions
+    const conflictingTx = queued.find((tx) => BigInt(tx.nonce) === nonce);
+    if (conflictingTx) {
+      throw new TreasuryError(`Pending transaction already exists at nonce ${nonce}:`, {
+        hints: [
+          `Safe TX hash: ${conflictingTx.safeTxHash}`,
+          `To: ${conflictingTx.to}`,
+          `Value: ${formatEther(BigInt(conflictingTx.value))} ETH`,
+          "",
+          "Options:",
+          `  1. Execute the pending tx, or cancel it with 'reject --nonce ${nonce}'`,
+          "  2. Use 'confirm --hash <safeTxHash>' to co-sign the existing tx",
+          `  3. Queue behind it with '--nonce auto' (next free nonce: ${nextFree})`,
+        ],
+      });
+    }
+    if (nonce > nextFree) {
+      const gap = nonce - 1n === nextFree ? `${nextFree}` : `${nextFree}..${nonce - 1n}`;
+      this.logger(`WARNING: Nothing is queued at nonce ${gap}; this proposal cannot execute until it is used.`);
+    }
+    if (nonce !== currentNonce) {
+      this.logger(`Nonce: ${nonce} (Safe nonce is ${currentNonce})`);
+    }
+
+    const txData = { to, value, data, operation, nonce };
+    let simulation;
+    try {
+      simulation = await this.simulate(txData);
+    } catch (e) {
+      this.logger(`WARNING: Could not simulate the proposal: ${e.shortMessage || e.message}`);
+    }
+    // SECURITY: Never ask owners to sign something that reverts now; a queued
+    // proposal may depend on the ones before it, so that is only a warning
+    if (simulation && !simulation.success && !this.dryRun) {
+      const reason = simulation.innerRevertReason || simulation.revertReason;
+      if (nonce === currentNonce) {
+        throw new TreasuryError(`Proposal would revert: ${reason}`, {
+          hints: ["Nothing was signed or submitted. Use --dry-run to inspect the simulation."],
+        });
+      }
+      this.logger(`WARNING: Proposal reverts against the current state (${reason}); it may succeed after the transactions queued before it.`);
+    }
+
+    return { ...(await this.#submitProposal(domainSeparator, txData)), simulation };
+  }
+
+  /**
+   * Simulate a Safe transaction as if it had all its signatures (see
+   * simulate.mjs): success or revert reason, events, and the Safe's balance
+   * changes with token labels and decimals.
+   *
+   * @param {{ to: string, value?: bigint, data?: string, operation?: number }} tx
+   * @returns {Promise<import("./simulate.mjs").SimulationResult>}
+   */
+  async simulate({ to, value = 0n, data = "0x", operation = 0 }) {
+    const owners = await this.publicClient.readContract({
+      address: this.safeAddress, abi: SAFE_ABI, functionName: "getOwners",
+    });
+    const simulation = await simulateSafeTx(this.publicClient, {
+      safeAddress: this.safeAddress,
+      owner: owners[0],
+      txData: { to: getAddress(to), value: BigInt(value), data, operation },
+    });
+    if (simulation.balanceChanges) {
+      for (const change of simulation.balanceChanges) {
+        change.token = await this.resolveToken(change.token).catch(() => ({
+          address: change.token, label: change.token, decimals: 0,
+        }));
+      }
+    }
+    return simulation;
+  }
+
+  /**
+   * Propose a MOR or ETH transfer out of the Safe.
+   * @param {{ token: "MOR"|"ETH", to: string, amount: bigint }} transfer
+   */
+  async transfer({ token, to, amount }) {
+    token = (token || "").toUpperCase();
+    to = getAddress(to);
+
+    if (amount <= 0n) {
+      throw new TreasuryError("--amount must be greater than 0");
+    }
+
+    if (token === "ETH") {
+      this.logger(`Proposing: Transfer ${formatEther(amount)} ETH to ${to}`);
+      return this.propose({ to, value: amount, data: "0x" });
+    }
+    if (token === "MOR") {
+      const morToken = this.#requireMorToken();
+      this.logger(`Proposing: Transfer ${formatEther(amount)} MOR to ${to}`);
+      return this.propose({
+        to: morToken,
+        data: encodeFunctionData({
+          abi: ERC20_ABI,
+          functionName: "transfer",
+          args: [to, amount],
+        }),
+      });
+    }
+    throw new TreasuryError(`Unknown token "${token}". Use --token MOR or --token ETH`);
+  }
+
+  /**
+   * Propose changing the Safe threshold.
+   */
+  async changeThreshold(newThreshold) {
+    const owners = await this.publicClient.readContract({
+      address: this.safeAddress,
+      abi: SAFE_ABI,
+      functionName: "getOwners",
+    });
+
+    if (!Number.isInteger(newThreshold) || newThreshold < 1 || newThreshold > owners.length) {
+      throw new TreasuryError(`Threshold must be a number between 1 and ${owners.length}`);
+    }
+
+    this.logger(`Proposing: Change threshold to ${newThreshold}-of-${owners.length}`);
+
+    return this.propose({
+      to: this.safeAddress,
+      data: encodeFunctionData({
+        abi: SAFE_ABI,
+        functionName: "changeThreshold",
+        args: [BigInt(newThreshold)],
+      }),
+    });
+  }
+
+  /**
+   * Propose adding an owner. The threshold defaults to the current one.
+   * @param {string} owner
+   * @param {number} [threshold]
+   */
+  async addOwner(owner, threshold) {
+    const { threshold: current, owners } = await this.getOverview();
+    threshold ??= Number(current);
+    const { call } = addOwnerCall(this.safeAddress, owners, owner, threshold);
+    this.logger(`Proposing: Add owner ${getAddress(owner)} (threshold ${threshold}-of-${owners.length + 1})`);
+    return this.propose(call);
+  }
+
+  /**
+   * Propose removing an owner. The threshold defaults to the current one,
+   * lowered if it would exceed the remaining owner count.
+   * @param {string} owner
+   * @param {number} [threshold]
+   */
+  async removeOwner(owner, threshold) {
+    const { threshold: current, owners } = await this.getOverview();
+    if (threshold === undefined) {
+      threshold = Math.min(Number(current), owners.length - 1);
+      if (threshold < Number(current)) {
+        this.logger(`WARNING: Only ${owners.length - 1} owner(s) remain; threshold drops from ${current} to ${threshold}.`);
+      }
+    }
+    const { call } = removeOwnerCall(this.safeAddress, owners, owner, threshold);
+    this.logger(`Proposing: Remove owner ${getAddress(owner)} (prevOwner ${computePrevOwner(owners, owner)}, threshold ${threshold}-of-${owners.length - 1})`);
+    return this.propose(call);
+  }
+
+  /**
+   * Propose replacing one owner with another (threshold unchanged).
+   */
+  async swapOwner(oldOwner, newOwner) {
+    const { owners } = await this.getOverview();
+    const { call } = swapOwnerCall(this.safeAddress, owners, oldOwner, newOwner);
+    this.logger(`Proposing: Swap owner ${getAddress(oldOwner)} -> ${getAddress(newOwner)} (prevOwner ${computePrevOwner(owners, oldOwner)})`);
+    return this.propose(call);
+  }
+
+  /**
+   * Check a pending transaction before anyone signs it.
+   *
+   * The Transaction Service record is untrusted: it must belong to this Safe,
+   * be unexecuted at a usable nonce, and its fields must hash to `safeTxHash`
+   * with the on-chain domain separator (otherwise this throws). The calldata
+   * is decoded locally, confirmations are verified, and the signing policy
+   * (signing-policy.mjs) is evaluated but not enforced.
+   *
+   * @param {string} safeTxHash
+   * @param {{ policy?: import("./signing-policy.mjs").SigningPolicy }} [options]
+   * @returns {Promise<TxReview>}
+   */
+  async review(safeTxHash, { policy = {} } = {}) {
+    if (!safeTxHash) {
+      throw new TreasuryError("--hash required. Get it from 'pending' command.");
+    }
+    const [tx, { nonce, domainSeparator }] = await Promise.all([
+      getTransaction(this.txServiceUrl, safeTxHash),
+      readSafeTxContext(this.publicClient, this.safeAddress),
+    ]);
+
+    // SECURITY: Remote data -- every field below is checked before signing
+    if (!sameAddress(tx.safe, this.safeAddress)) {
+      throw new TreasuryError(`Transaction ${safeTxHash} belongs to Safe ${tx.safe}, not ${this.safeAddress}.`);
+    }
+    if (tx.isExecuted) {
+      throw new TreasuryError(`Transaction ${safeTxHash} is already executed.`);
+    }
+    const txNonce = BigInt(tx.nonce);
+    if (txNonce < nonce) {
+      throw new TreasuryError(`Transaction nonce ${txNonce} is already used (Safe nonce is ${nonce}).`, {
+        hints: ["It can never execute; another transaction took this nonce."],
+      });
+    }
+
+    const txData = safeTxDataFrom(tx);
+    const computed = computeSafeTxHash(domainSeparator, txData);
+    if (computed.toLowerCase() !== safeTxHash.toLowerCase()) {
+      throw new TreasuryError("Safe TX hash does not match the transaction the Transaction Service returned.", {
+        hints: [
+          `Requested: ${safeTxHash}`,
+          `Computed:  ${computed}`,
+          "Refusing to sign: the service data does not describe what would be signed.",
+        ],
+      });
+    }
+
+    const decoded = await this.decode(txData);
+    // An unresolvable maxTransfer key becomes a policy violation, not an error
+    const tokens = {};
+    for (const label of Object.keys(policy.maxTransfer ?? {})) {
+      const token = await this.resolveToken(label).catch(() => null);
+      if (token) {
+        tokens[label] = token;
+      }
+    }
+    const violations = checkSigningPolicy(txData, decoded, policy, {
+      safeAddress: this.safeAddress,
+      allowanceModule: this.allowanceModule,
+      multiSend: [this.chainConfig.safe.multiSendCallOnly, this.chainConfig.safe.multiSend],
+      tokens,
+    });
+
+    return {
+      safeTxHash: computed,
+      nonce: txNonce,
+      txData,
+      rejection: isRejection(this.safeAddress, tx),
+      decoded,
+      verification: await this.verifyTransaction({ ...tx, safeTxHash: computed }, { domainSeparator }),
+      violations,
+    };
+  }
+
+  /**
+   * Verify a pending transaction and add the agent's signature to it.
+   *
+   * Nothing is signed unless review() passes and the transaction meets the
+   * signing policy.
+   *
+   * @param {string} safeTxHash
+   * @param {{ policy?: import("./signing-policy.mjs").SigningPolicy, dryRun?: boolean }} [options]
+   *   `dryRun` verifies without signing
+   * @returns {Promise<{ safeTxHash: string, nonce: bigint, decoded: import("./decode.mjs").DecodedCall, status?: number }>}
+   */
+  async confirm(safeTxHash, { policy = {}, dryRun = false } = {}) {
+    // A proposer-only agent cannot confirm; check before anything is signed
+    const agentAddress = await this.getAgentAddress();
+    const owners = await this.publicClient.readContract({
+      address: this.safeAddress, abi: SAFE_ABI, functionName: "getOwners",
+    });
+    if (!owners.some((o) => sameAddress(o, agentAddress))) {
+      throw new TreasuryError(`Agent ${agentAddress} is not an owner of ${this.safeAddress}; only owners can confirm.`, {
+        hints: ["A proposer agent proposes; the owners confirm (e.g. with cosign)."],
+      });
+    }
+
+    const { nonce, txData, decoded, verification, violations } = await this.review(safeTxHash, { policy });
+    if (verification.confirmations.some((c) => !c.problem && sameAddress(c.signer, agentAddress))) {
+      throw new TreasuryError(`${agentAddress} has already confirmed ${safeTxHash}.`);
+    }
+    if (violations.length > 0) {
+      throw new TreasuryError(`Transaction ${safeTxHash} fails the signing policy; not signing.`, {
+        hints: violations,
+      });
+    }
+
+    if (dryRun) {
+      return { safeTxHash, nonce, decoded };
+    }
+
+    this.logger(`Signing transaction ${safeTxHash}...`);
+    const { signature } = await this.#signSafeTx(txData, safeTxHash);
+    const status = await submitConfirmation(this.txServiceUrl, safeTxHash, signature);
+    return { safeTxHash, nonce, decoded, status };
+  }
+
+  /**
+   * Add a human owner's signature to a pending transaction (the `cosign`
+   * command). Runs review() first; the signing policy is left to the owner.
+   *
+   * @param {string} safeTxHash
+   * @param {import("viem").Account} owner  From loadOwnerSignerAccount(), never the agent account
+   * @returns {Promise<{ safeTxHash: string, nonce: bigint, signer: string, status: number }>}
+   */
+  async cosign(safeTxHash, owner) {
+    await this.#requireOwnerAccount(owner);
+    const { nonce, txData, verification } = await this.review(safeTxHash);
+    if (verification.confirmations.some((c) => !c.problem && sameAddress(c.signer, owner.address))) {
+      throw new TreasuryError(`${owner.address} has already confirmed ${safeTxHash}.`);
+    }
+
+    this.logger(`Signing transaction ${safeTxHash} as owner ${owner.address}...`);
+    const { signature } = await this.#signSafeTx(txData, safeTxHash, owner);
+    const status = await submitConfirmation(this.txServiceUrl, safeTxHash, signature);
+    return { safeTxHash, nonce, signer: owner.address, status };
+  }
+
+  /**
+   * Reject a nonce as a human owner: co-sign the rejection already proposed
+   * there, or propose one signed by the owner (see reject()).
+   *
+   * @param {bigint|number} nonce
+   * @param {import("viem").Account} owner  From loadOwnerSignerAccount(), never the agent account
+   * @returns {Promise<{ safeTxHash: string, nonce: bigint, signer: string, status: number, proposed: boolean }>}
+   */
+  async cosignRejection(nonce, owner) {
+    await this.#requireOwnerAccount(owner);
+    nonce = BigInt(nonce);
+    const { nonce: currentNonce, domainSeparator } = await readSafeTxContext(this.publicClient, this.safeAddress);
+    if (nonce < currentNonce) {
+      throw new TreasuryError(`Nonce ${nonce} is already used (Safe nonce is ${currentNonce}); nothing to reject.`);
+    }
+
+    const existing = (await getQueuedTransactions(this.txServiceUrl, this.safeAddress, nonce)).find(
+      (tx) => BigInt(tx.nonce) === nonce && isRejection(this.safeAddress, tx)
+    );
+    if (existing) {
+      return { ...(await this.cosign(existing.safeTxHash, owner)), proposed: false };
+    }
+
+    this.logger(`Proposing: Reject nonce ${nonce} (zero-value self-call) as owner ${owner.address}`);
+    const { safeTxHash, status } = await this.#submitProposal(domainSeparator, {
+      to: this.safeAddress,
+      value: 0n,
+      data: "0x",
+      operation: 0,
+      nonce,
+    }, owner);
+    return { safeTxHash, nonce, signer: owner.address, status, proposed: true };
+  }
+
+  /**
+   * Execute a fully confirmed pending transaction from the agent wallet (any
+   * account can relay it; the agent pays the gas).
+   *
+   * Only confirmations that verifyTransaction() recovers to distinct current
+   * owners are used. execTransaction is simulated before it is sent.
+   *
+   * @param {string} safeTxHash
+   * @returns {Promise<ExecutionResult>}
+   */
+  async execute(safeTxHash) {
+    if (!safeTxHash) {
+      throw new TreasuryError("--hash required. Get it from 'pending' command.");
+    }
+    return this.#executeRecord(await getTransaction(this.txServiceUrl, safeTxHash));
+  }
+
+  /**
+   * execute() for a transaction record in Transaction Service shape (fields,
+   * safe, safeTxHash, isExecuted, confirmations: [{ owner, signature }]).
+   */
+  async #executeRecord(tx) {
+    const { safeTxHash } = tx;
+    const [{ threshold, owners, nonce }, domainSeparator] = await Promise.all([
+      this.getOverview(),
+      this.publicClient.readContract({ address: this.safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
+    ]);
+
+    if (!sameAddress(tx.safe, this.safeAddress)) {
+      throw new TreasuryError(`Transaction ${safeTxHash} belongs to Safe ${tx.safe}, not ${this.safeAddress}.`);
+    }
+    if (tx.isExecuted) {
+      throw new TreasuryError(`Transaction ${safeTxHash} is already executed.`);
+    }
+    const txData = safeTxDataFrom(tx);
+    if (txData.nonce !== nonce) {
+      throw new TreasuryError(`Transaction nonce ${txData.nonce} is not the Safe's next nonce (${nonce}).`, {
+        hints: txData.nonce > nonce
+          ? ["Execute the transactions queued before it first."]
+          : ["It can never execute; another transaction took this nonce."],
+      });
+    }
+
+    // SECURITY: Remote data -- only signatures recovered to current owners are submitted
+    const verification = await this.verifyTransaction(tx, { owners, domainSeparator });
+    if (!verification.hashMatches) {
+      throw new TreasuryError("Safe TX hash does not match the transaction the Transaction Service returned.", {
+        hints: [`Requested: ${safeTxHash}`, `Computed:  ${verification.computedHash}`],
+      });
+    }
+    const bySigner = new Map();
+    for (const c of verification.confirmations) {
+      if (!c.problem) {
+        bySigner.set(c.signer.toLowerCase(), { signer: c.signer, signature: c.signature });
+      }
+    }
+    if (BigInt(bySigner.size) < threshold) {
+      throw new TreasuryError(`Not enough confirmations: ${bySigner.size} of ${threshold} verified.`, {
+        hints: verification.confirmations
+          .filter((c) => c.problem)
+          .map((c) => `Ignored ${c.claimedOwner}: ${c.problem}`),
+      });
+    }
+    const signatures = packSignatures([...bySigner.values()].slice(0, Number(threshold)));
+
+    const account = await this.getAccount();
+    const args = [
+      txData.to,
+      txData.value,
+      txData.data,
+      txData.operation,
+      BigInt(txData.safeTxGas),
+      BigInt(txData.baseGas),
+      BigInt(txData.gasPrice),
+      txData.gasToken,
+      txData.refundReceiver,
+      signatures,
+    ];
+
+    this.logger(`Simulating execTransaction (${bySigner.size} signature(s), nonce ${nonce})...`);
+    try {
+      await this.publicClient.simulateContract({
+        address: this.safeAddress,
+        abi: SAFE_ABI,
+        functionName: "execTransaction",
+        args,
+        account,
+      });
+    } catch (e) {
+      throw new TreasuryError(`Simulation failed: ${e.shortMessage || e.message}`, {
+        hints: ["Nothing was sent. GS013: the inner call reverts; GS020-GS026: signature problem."],
+      });
+    }
+
+    this.logger("Simulation OK. Sending transaction...");
+    const walletClient = await this.getWalletClient();
+    const txHash = await walletClient.writeContract({
+      address: this.safeAddress,
+      abi: SAFE_ABI,
+      functionName: "execTransaction",
+      args,
+    });
+    this.logger(`Transaction sent: ${txHash}`);
+    const receipt = await this.publicClient.waitForTransactionReceipt({ hash: txHash });
+    if (receipt.status !== "success") {
+      throw new TreasuryError(`execTransaction reverted (tx ${txHash}).`);
+    }
+
+    const events = parseEventLogs({
+      abi: SAFE_ABI,
+      eventName: ["ExecutionSuccess", "ExecutionFailure"],
+      logs: receipt.logs.filter((l) => sameAddress(l.address, this.safeAddress)),
+    });
+    const event = events.find((e) => e.args.txHash.toLowerCase() === safeTxHash.toLowerCase());
+    return {
+      safeTxHash,
+      nonce,
+      txHash,
+      success: event?.eventName === "ExecutionSuccess",
+      signatures: Math.min(bySigner.size, Number(threshold)),
+    };
+  }
+
+  /**
+   * Propose the standard rejection for a nonce: a zero-value call from the
+   * Safe to itself. Once executed it uses up the nonce, so every other
+   * transaction queued there can never execute.
+   *
+   * @param {bigint|number} nonce
+   * @returns {Promise<ProposalResult & { replaces: object[] }>}  `replaces`: pending txs at that nonce
+   */
+  async reject(nonce) {
+    nonce = BigInt(nonce);
+    const { nonce: currentNonce, domainSeparator } = await readSafeTxContext(this.publicClient, this.safeAddress);
+    if (nonce < currentNonce) {
+      throw new TreasuryError(`Nonce ${nonce} is already used (Safe nonce is ${currentNonce}); nothing to reject.`);
+    }
+
+    const queued = await getQueuedTransactions(this.txServiceUrl, this.safeAddress, nonce);
+    const atNonce = queued.filter((tx) => BigInt(tx.nonce) === nonce);
+    const existing = atNonce.find((tx) => isRejection(this.safeAddress, tx));
+    if (existing) {
+      throw new TreasuryError(`A rejection is already proposed at nonce ${nonce}: ${existing.safeTxHash}`, {
+        hints: [
+          `Co-sign it with 'confirm --hash ${existing.safeTxHash}'`,
+          `or execute it with 'reject --nonce ${nonce} --execute' once confirmed.`,
+        ],
+      });
+    }
+
+    this.logger(`Proposing: Reject nonce ${nonce} (zero-value self-call)`);
+    const proposal = await this.#submitProposal(domainSeparator, {
+      to: this.safeAddress,
+      value: 0n,
+      data: "0x",
+      operation: 0,
+      nonce,
+    });
+    return { ...proposal, replaces: atNonce };
+  }
+
+  /**
+   * Execute the rejection proposed at a nonce (see reject()) once it has
+   * enough confirmations.
+   * @param {bigint|number} nonce
+   * @returns {Promise<ExecutionResult>}
+   */
+  async executeRejection(nonce) {
+    nonce = BigInt(nonce);
+    const rejection = (await getQueuedTransactions(this.txServiceUrl, this.safeAddress, nonce)).find(
+      (tx) => BigInt(tx.nonce) === nonce && isRejection(this.safeAddress, tx)
+    );
+    if (!rejection) {
+      throw new TreasuryError(`No rejection proposed at nonce ${nonce}.`, {
+        hints: [`Propose one with 'reject --nonce ${nonce}'.`],
+      });
+    }
+    return this.execute(rejection.safeTxHash);
+  }
+
+  // --- Offline signing (SafeTx files) ---
+
+  /**
+   * SafeTx file for a proposal built with the `unsigned` option, with the
+   * decoded action as its summary (see safe-tx-file.mjs).
+   *
+   * @param {ProposalResult} proposal
+   * @returns {Promise<import("./safe-tx-file.mjs").SafeTxFile>}
+   */
+  async exportProposal(proposal) {
+    return createSafeTxFile({
+      chainId: this.chain.id,
+      safeAddress: this.safeAddress,
+      txData: proposal.txData,
+      safeTxHash: proposal.safeTxHash,
+      summary: formatDecoded(await this.decode(proposal.txData)),
+    });
+  }
+
+  /**
+   * Submit the signatures collected in a SafeTx file to the Transaction
+   * Service, or execute the transaction with them.
+   *
+   * Every signature is recovered and checked against the current owners, and
+   * the safeTxHash against the on-chain domain separator; the rest are
+   * ignored. A transaction the service does not know yet is proposed with the
+   * first owner signature as its sender.
+   *
+   * @param {import("./safe-tx-file.mjs").SafeTxFile} file  See mergeSafeTxFiles() for several copies
+   * @param {{ execute?: boolean }} [options]  `execute`: send it from the agent wallet (needs threshold signatures)
+   * @returns {Promise<ImportResult>}
+   */
+  async importSignatures(file, { execute = false } = {}) {
+    const { safeTxHash, txData } = file;
+    if (file.chainId !== this.chain.id) {
+      throw new TreasuryError(`SafeTx file is for chain ${file.chainId}, not ${this.chainConfig.name} (${this.chain.id}).`, {
+        hints: ["Pass the matching --chain."],
+      });
+    }
+    if (!sameAddress(file.safeAddress, this.safeAddress)) {
+      throw new TreasuryError(`SafeTx file is for Safe ${file.safeAddress}, not ${this.safeAddress}.`);
+    }
+    if (file.signatures.length === 0) {
+      throw new TreasuryError("SafeTx file has no signatures.", {
+        hints: ["Sign it with 'sign-file --file <path>' first."],
+      });
+    }
+
+    const { owners, nonce } = await this.getOverview();
+    if (txData.nonce < nonce) {
+      throw new TreasuryError(`Transaction nonce ${txData.nonce} is already used (Safe nonce is ${nonce}).`);
+    }
+
+    // SECURITY: The file is untrusted -- verify against on-chain state like a Transaction Service record
+    const record = {
+      ...txData,
+      safe: file.safeAddress,
+      safeTxHash,
+      isExecuted: false,
+      confirmations: file.signatures.map((s) => ({ owner: s.signer, signature: s.signature })),
+    };
+    const verification = await this.verifyTransaction(record, { owners });
+    if (!verification.hashMatches) {
+      throw new TreasuryError("safeTxHash does not match the Safe's on-chain domain separator.", {
+        hints: [`File:     ${safeTxHash}`, `Computed: ${verification.computedHash}`],
+      });
+    }
+    for (const c of verification.confirmations.filter((c) => c.problem)) {
+      this.logger(`WARNING: Ignoring signature from ${c.claimedOwner}: ${c.problem}`);
+    }
+    const valid = verification.confirmations.filter((c) => !c.problem);
+    if (valid.length === 0) {
+      throw new TreasuryError("No signature in the file is from a current owner.");
+    }
+
+    if (execute) {
+      const execution = await this.#executeRecord({
+        ...record,
+        confirmations: valid.map((c) => ({ owner: c.signer, signature: c.signature })),
+      });
+      return { mode: "executed", safeTxHash, nonce: txData.nonce, verification, execution };
+    }
+
+    const queued = await getQueuedTransactions(this.txServiceUrl, this.safeAddress, txData.nonce);
+    const existing = queued.find((tx) => tx.safeTxHash.toLowerCase() === safeTxHash.toLowerCase());
+    const known = new Set((existing?.confirmations ?? []).map((c) => c.owner.toLowerCase()));
+    const missing = valid.filter((c) => !known.has(c.signer.toLowerCase()));
+
+    let submitted = 0;
+    if (!existing) {
+      const competing = queued.filter((tx) => BigInt(tx.nonce) === txData.nonce);
+      if (competing.length > 0) {
+        this.logger(`WARNING: ${competing.length} other transaction(s) queued at nonce ${txData.nonce}; only one can execute.`);
+      }
+      const [sender] = missing;
+      this.logger(`Proposing ${safeTxHash} to the Transaction Service (sender ${sender.signer})...`);
+      await submitToTxService(this.txServiceUrl, this.safeAddress, txData, safeTxHash, sender.signature, sender.signer);
+      submitted++;
+    }
+    for (const c of missing.slice(submitted)) {
+      this.logger(`Submitting confirmation from ${c.signer}...`);
+      await submitConfirmation(this.txServiceUrl, safeTxHash, c.signature);
+      submitted++;
+    }
+    return { mode: "submitted", safeTxHash, nonce: txData.nonce, verification, proposed: !existing, submitted };
+  }
+
+  // --- Transaction Service proposers ---
+
+  /**
+   * Proposers (Transaction Service delegates) registered for this Safe. They
+   * can submit proposals but cannot sign for the Safe.
+   * @returns {Promise<Proposer[]>}
+   */
+  async getProposers() {
+    const delegates = await getTxServiceDelegates(this.txServiceUrl, { safe: this.safeAddress });
+    return delegates.map((d) => ({
+      delegate: getAddress(d.delegate),
+      delegator: getAddress(d.delegator),
+      label: d.label,
+      safe: d.safe ?? null,
+      expiryDate: d.expiryDate ?? null,
+    }));
+  }
+
+  /**
+   * Register a proposer for this Safe, signed by an owner (the delegator).
+   * With the agent as proposer, the Safe can be owned by humans only.
+   *
+   * @param {string} proposer
+   * @param {import("viem").Account} owner  From loadOwnerSignerAccount(), never the agent account
+   * @param {{ label?: string }} [options]
+   * @returns {Promise<{ proposer: string, delegator: string, label: string, status: number }>}
+   */
+  async addProposer(proposer, owner, { label = "agent" } = {}) {
+    proposer = getAddress(proposer);
+    await this.#requireOwnerAccount(owner);
+    if ((await this.getProposers()).some((d) => sameAddress(d.delegate, proposer))) {
+      throw new TreasuryError(`${proposer} is already a proposer for ${this.safeAddress}.`);
+    }
+
+    this.logger(`Registering proposer ${proposer} (delegator ${owner.address})...`);
+    const signature = await owner.signTypedData(delegateTypedData(this.chain.id, proposer));
+    const status = await addTxServiceDelegate(this.txServiceUrl, {
+      safe: this.safeAddress,
+      delegate: proposer,
+      delegator: owner.address,
+      label,
+      signature,
+    });
+    return { proposer, delegator: owner.address, label, status };
+  }
+
+  /**
+   * Remove a proposer; signed by the owner that registered it.
+   *
+   * @param {string} proposer
+   * @param {import("viem").Account} owner  The delegator
+   * @returns {Promise<{ proposer: string, delegator: string, status: number }>}
+   */
+  async removeProposer(proposer, owner) {
+    proposer = getAddress(proposer);
+    await this.#requireOwnerAccount(owner);
+    const entry = (await this.getProposers()).find((d) => sameAddress(d.delegate, proposer));
+    if (!entry) {
+      throw new TreasuryError(`${proposer} is not a proposer for ${this.safeAddress}.`);
+    }
+    if (!sameAddress(entry.delegator, owner.address)) {
+      throw new TreasuryError(`${proposer} was registered by ${entry.delegator}; only that owner can remove it.`);
+    }
+
+    this.logger(`Removing proposer ${proposer}...`);
+    const signature = await owner.signTypedData(delegateTypedData(this.chain.id, proposer));
+    const status = await removeTxServiceDelegate(this.txServiceUrl, {
+      safe: this.safeAddress,
+      delegate: proposer,
+      delegator: owner.address,
+      signature,
+    });
+    return { proposer, delegator: owner.address, status };
+  }
+
+  // --- Delegates and allowances (proposals) ---
+
+  /**
+   * Propose AllowanceModule.setAllowance for any delegate and token. The
+   * reset interval defaults to the current one (1440 minutes if unset).
+   *
+   * @param {{ delegate: string, token: string, amount: bigint, resetMinutes?: number }} change
+   * @returns {Promise<AllowanceChangeResult>}
+   */
+  async setAllowance({ delegate, token, amount, resetMinutes }) {
+    delegate = getAddress(delegate);
+    const resolved = await this.resolveToken(token);
+    const before = await this.getAllowance(delegate, resolved.address);
+    resetMinutes ??= before.resetTimeMin || 1440;
+
+    // SECURITY: Validate bounds for uint96 (allowance amounts) and uint16 (reset minutes)
+    if (amount <= 0n || amount > UINT96_MAX) {
+      throw new TreasuryError("Allowance amount must be greater than 0 and fit in uint96.");
+    }
+    if (!Number.isInteger(resetMinutes) || resetMinutes < 1 || resetMinutes > UINT16_MAX) {
+      throw new TreasuryError(`--reset-minutes must be between 1 and ${UINT16_MAX}`);
+    }
+    await this.#requireDelegate(delegate);
+
+    const after = { ...before, amount, resetTimeMin: resetMinutes };
+    this.logger(`Proposing: setAllowance(${delegate}, ${resolved.label}, ${formatUnits(amount, resolved.decimals)}, ${resetMinutes}min)`);
+    return this.#proposeAllowanceChange("setAllowance", [delegate, resolved.address, amount, resetMinutes, 0], {
+      delegate,
+      token: resolved,
+      changes: [{ before, after }],
+    });
+  }
+
+  /**
+   * Propose AllowanceModule.resetAllowance (spent back to 0).
+   * @param {{ delegate: string, token: string }} change
+   * @returns {Promise<AllowanceChangeResult>}
+   */
+  async resetAllowance({ delegate, token }) {
+    delegate = getAddress(delegate);
+    const resolved = await this.resolveToken(token);
+    const before = await this.getAllowance(delegate, resolved.address);
+    if (before.amount === 0n && before.resetTimeMin === 0) {
+      throw new TreasuryError(`${delegate} has no ${resolved.label} allowance to reset.`);
+    }
+
+    this.logger(`Proposing: resetAllowance(${delegate}, ${resolved.label})`);
+    return this.#proposeAllowanceChange("resetAllowance", [delegate, resolved.address], {
+      delegate,
+      token: resolved,
+      changes: [{ before, after: { ...before, spent: 0n } }],
+    });
+  }
+
+  /**
+   * Propose AllowanceModule.deleteAllowance (limit, spent and interval cleared).
+   * @param {{ delegate: string, token: string }} change
+   * @returns {Promise<AllowanceChangeResult>}
+   */
+  async deleteAllowance({ delegate, token }) {
+    delegate = getAddress(delegate);
+    const resolved = await this.resolveToken(token);
+    const before = await this.getAllowance(delegate, resolved.address);
+    if (before.amount === 0n && before.resetTimeMin === 0) {
+      throw new TreasuryError(`${delegate} has no ${resolved.label} allowance to delete.`);
+    }
+
+    this.logger(`Proposing: deleteAllowance(${delegate}, ${resolved.label})`);
+    return this.#proposeAllowanceChange("deleteAllowance", [delegate, resolved.address], {
+      delegate,
+      token: resolved,
+      changes: [{ before, after: { ...before, amount: 0n, spent: 0n, resetTimeMin: 0, lastResetMin: 0 } }],
+    });
+  }
+
+  /**
+   * Propose AllowanceModule.removeDelegate, clearing every allowance it holds.
+   * @param {string} delegate
+   * @returns {Promise<AllowanceChangeResult>}
+   */
+  async removeDelegate(delegate) {
+    delegate = getAddress(delegate);
+    await this.#requireDelegate(delegate);
+
+    const changes = [];
+    for (const token of await this.getAllowanceTokens(delegate)) {
+      const before = await this.getAllowance(delegate, token);
+      if (before.amount === 0n && before.resetTimeMin === 0) continue;
+      changes.push({
+        token: await this.resolveToken(token),
+        before,
+        after: { ...before, amount: 0n, spent: 0n, resetTimeMin: 0, lastResetMin: 0 },
+      });
+    }
+
+    this.logger(`Proposing: removeDelegate(${delegate}) and ${changes.length} allowance(s)`);
+    return this.#proposeAllowanceChange("removeDelegate", [delegate, true], { delegate, changes });
+  }
+
+  // --- Batches ---
+
+  /**
+   * Propose a list of calls as one Safe transaction (a MultiSendCallOnly
+   * delegatecall when there is more than one), whatever the threshold.
+   *
+   * @param {import("./multisend.mjs").BatchCall[]} calls
+   * @returns {Promise<ProposalResult>}
+   */
+  async proposeBatch(calls) {
+    if (calls.some((c) => c.operation === 1)) {
+      throw new TreasuryError("MultiSendCallOnly batches cannot contain delegatecalls.");
+    }
+    this.logger(`Proposing: ${calls.length} call(s) as one Safe transaction`);
+    return this.propose(batchToSafeTx(calls, this.chainConfig.safe.multiSendCallOnly));
+  }
+
+  /**
+   * Carry out a list of Safe calls as one Safe transaction (several calls go
+   * through a MultiSendCallOnly delegatecall). Executed directly when the
+   * agent is an owner and the threshold is 1, proposed for co-signing otherwise.
+   *
+   * @param {import("./multisend.mjs").BatchCall[]} calls
+   * @returns {Promise<BatchResult>}
+   */
+  async submitBatch(calls) {
+    const tx = batchToSafeTx(calls, this.chainConfig.safe.multiSendCallOnly);
+    const account = await this.getAccount();
+    const { threshold, owners } = await this.getOverview();
+
+    if (threshold > 1n || !owners.some((o) => sameAddress(o, account.address))) {
+      this.logger(`Threshold ${threshold}: proposing ${calls.length} call(s) as one Safe transaction.`);
+      return { mode: "proposed", calls: calls.length, ...(await this.propose(tx)) };
+    }
+
+    this.logger(`Threshold 1: executing ${calls.length} call(s) as one Safe transaction...`);
+    const { txHash, receipt, nonce, safeTxHash } = await execSafeTx(
+      this.publicClient,
+      await this.getWalletClient(),
+      account,
+      this.safeAddress,
+      tx.to,
+      tx.data,
+      tx.operation,
+      tx.value,
+      this.signatureType
+    );
+    this.logger(`  ${receipt.status === "success" ? "OK" : "REVERTED"} tx: ${txHash}`);
+    if (receipt.status !== "success") {
+      throw new TreasuryError(`Safe transaction reverted: ${txHash}`);
+    }
+    return { mode: "executed", calls: calls.length, safeTxHash, nonce, txHash };
+  }
+
+  // --- Configuration ---
+
+  /**
+   * Enable the AllowanceModule, add the agent as delegate and set its MOR/ETH
+   * allowances. At threshold 1 the agent executes the steps directly; at
+   * threshold 2+ they are proposed as one MultiSendCallOnly batch for
+   * co-signing (`mode: "proposed"`), and verifyConfiguration() checks the
+   * result once the co-signers have executed it.
+   *
+   * @param {{ morAllowance: bigint, ethAllowance: bigint, resetMinutes: number, dryRun?: boolean }} limits
+   */
+  async configure({ morAllowance, ethAllowance, resetMinutes, dryRun = false }) {
+    // SECURITY: Validate bounds for uint96 (allowance amounts) and uint16 (reset minutes)
+    if (morAllowance > UINT96_MAX) {
+      throw new TreasuryError(`MOR allowance exceeds uint96 max (${formatEther(UINT96_MAX)})`);
+    }
+    if (ethAllowance > UINT96_MAX) {
+      throw new TreasuryError(`ETH allowance exceeds uint96 max (${formatEther(UINT96_MAX)})`);
+    }
+    if (!Number.isInteger(resetMinutes) || resetMinutes < 1 || resetMinutes > UINT16_MAX) {
+      throw new TreasuryError(`--reset-minutes must be between 1 and ${UINT16_MAX}`);
+    }
+
+    const safeAddress = this.safeAddress;
+    const account = await this.getAccount();
+    const agentAddress = account.address;
+
+    const { threshold, owners, moduleEnabled } = await this.getOverview();
+
+    if (!this.morToken && morAllowance > 0n) {
+      this.logger(`No MOR token on ${this.chainConfig.name}; the MOR allowance will be skipped.`);
+    }
+
+    this.logger(`Threshold: ${threshold}-of-${owners.length}`);
+    this.logger(`Owners: ${owners.join(", ")}`);
+    this.logger(`AllowanceModule enabled: ${moduleEnabled}`);
+
+    // Only an owner can execute at threshold 1; a proposer agent proposes instead
+    const isOwner = owners.some((o) => sameAddress(o, agentAddress));
+    if (!isOwner) {
+      this.logger(`Agent ${agentAddress} is not a Safe owner; proposing the changes (it must be a registered proposer).`);
+    }
+
+    const mode = threshold > 1n || !isOwner ? "proposed" : "executed";
+    const result = { dryRun, mode, agent: agentAddress, transactions: [] };
+
+    const delegates = await this.getDelegates();
+    const isDelegate = delegates.some((d) => sameAddress(d, agentAddress));
+    const setAllowanceData = (token, amount) =>
+      encodeFunctionData({
+        abi: ALLOWANCE_MODULE_ABI,
+        functionName: "setAllowance",
+        args: [
+          agentAddress,
+          token, // address(0) = native ETH
+          amount, // uint96
+          resetMinutes, // uint16
+          0, // resetBaseMin (uint32, start from now)
+        ],
+      });
+
+    if (dryRun) {
+      this.logger(mode === "proposed"
+        ? `--- DRY RUN --- (${isOwner ? `threshold ${threshold}` : "agent is not an owner"}: these would be proposed as one batch)`
+        : "--- DRY RUN --- (showing planned transactions)");
+      this.logger(moduleEnabled
+        ? "  TX 1: SKIP (module already enabled)"
+        : "  TX 1: enableModule(AllowanceModule)");
+      this.logger(isDelegate
+        ? "  TX 2: SKIP (agent already a delegate)"
+        : `  TX 2: addDelegate(${agentAddress})`);
+      this.logger(this.morToken
+        ? `  TX 3: setAllowance(agent, MOR, ${formatEther(morAllowance)}, ${resetMinutes}min)`
+        : "  TX 3: SKIP (no MOR token on this chain)");
+      this.logger(`  TX 4: setAllowance(agent, ETH, ${formatEther(ethAllowance)}, ${resetMinutes}min)`);
+      return result;
+    }
+
+    // --- Threshold 2+ or proposer agent: one batched proposal ---
+    if (mode === "proposed") {
+      const calls = [];
+      if (!moduleEnabled) {
+        calls.push({
+          to: safeAddress,
+          data: encodeFunctionData({ abi: SAFE_ABI, functionName: "enableModule", args: [this.allowanceModule] }),
+        });
+      }
+      if (!isDelegate) {
+        calls.push({
+          to: this.allowanceModule,
+          data: encodeFunctionData({ abi: ALLOWANCE_MODULE_ABI, functionName: "addDelegate", args: [agentAddress] }),
+        });
+      }
+      if (this.morToken) {
+        calls.push({ to: this.allowanceModule, data: setAllowanceData(this.morToken, morAllowance) });
+      }
+      calls.push({ to: this.allowanceModule, data: setAllowanceData(zeroAddress, ethAllowance) });
+
+      result.proposal = await this.submitBatch(calls);
+      return result;
+    }
+
+    // --- Threshold 1: execute step by step ---
+    const walletClient = await this.getWalletClient();
+    const exec = async (label, to, data) => {
+      const { txHash, receipt } = await execSafeTx(
+        this.publicClient,
+        walletClient,
+        account,
+        safeAddress,
+        to,
+        data,
+        0,
+        0n,
+        this.signatureType
+      );
+      const ok = receipt.status === "success";
+      this.logger(`  ${ok ? "OK" : "REVERTED"} tx: ${txHash}`);
+      result.transactions.push({ step: label, txHash, status: receipt.status });
+      return ok;
+    };
+
+    // Wait for RPC state to catch up after previous tx
+    const settle = async () => {
+      this.logger(`  Waiting ${RPC_SETTLE_MS / 1000}s for RPC state to settle...`);
+      await new Promise((r) => setTimeout(r, RPC_SETTLE_MS));
+    };
+
+    // --- TX 1: Enable AllowanceModule ---
+    if (!moduleEnabled) {
+      this.logger("TX 1/4: Enabling AllowanceModule...");
+      const ok = await exec(
+        "enableModule",
+        safeAddress, // to = Safe itself
+        encodeFunctionData({
+          abi: SAFE_ABI,
+          functionName: "enableModule",
+          args: [this.allowanceModule],
+        })
+      );
+      if (!ok) {
+        throw new TreasuryError("enableModule reverted. Aborting.");
+      }
+      await settle();
+    } else {
+      this.logger("TX 1/4: AllowanceModule already enabled. Skipping.");
+    }
+
+    // --- TX 2: Add delegate ---
+    if (!isDelegate) {
+      this.logger("TX 2/4: Adding agent as delegate...");
+      const ok = await exec(
+        "addDelegate",
+        this.allowanceModule,
+        encodeFunctionData({
+          abi: ALLOWANCE_MODULE_ABI,
+          functionName: "addDelegate",
+          args: [agentAddress],
+        })
+      );
+      if (!ok) {
+        throw new TreasuryError("addDelegate reverted. Aborting.");
+      }
+      await settle();
+    } else {
+      this.logger("TX 2/4: Agent already registered as delegate. Skipping.");
+    }
+
+    // --- TX 3: Set MOR allowance ---
+    if (this.morToken) {
+      this.logger(
+        `TX 3/4: Setting MOR allowance (${formatEther(morAllowance)} MOR / ${resetMinutes}min)...`
+      );
+      await exec("setAllowance(MOR)", this.allowanceModule, setAllowanceData(this.morToken, morAllowance));
+
+      await settle();
+    } else {
+      this.logger("TX 3/4: No MOR token on this chain. Skipping.");
+    }
+
+    // --- TX 4: Set ETH allowance ---
+    this.logger(
+      `TX 4/4: Setting ETH allowance (${formatEther(ethAllowance)} ETH / ${resetMinutes}min)...`
+    );
+    await exec("setAllowance(ETH)", this.allowanceModule, setAllowanceData(zeroAddress, ethAllowance));
+
+    result.verification = await this.verifyConfiguration({ morAllowance, ethAllowance, resetMinutes });
+    return result;
+  }
+
+  /**
+   * Read back the agent's configuration and compare it with the requested
+   * limits. Used after configure() executes, or once a configure proposal
+   * has been executed by the co-signers.
+   *
+   * @param {{ morAllowance: bigint, ethAllowance: bigint, resetMinutes: number }} limits
+   * @returns {Promise<{ mor: Allowance|null, eth: Allowance, moduleEnabled: boolean, isDelegate: boolean, matches: boolean }>}
+   */
+  async verifyConfiguration({ morAllowance, ethAllowance, resetMinutes }) {
+    const agentAddress = (await this.getAccount()).address;
+    const { moduleEnabled } = await this.getOverview();
+    const [mor, eth, delegates] = await Promise.all([
+      this.morToken ? this.getAllowance(agentAddress, this.morToken) : null,
+      this.getAllowance(agentAddress, zeroAddress),
+      this.getDelegates(),
+    ]);
+    const isDelegate = delegates.some((d) => sameAddress(d, agentAddress));
+    const limitMatches = (allowance, amount) =>
+      allowance.amount === amount && allowance.resetTimeMin === resetMinutes;
+
+    return {
+      mor,
+      eth,
+      moduleEnabled,
+      isDelegate,
+      matches: moduleEnabled && isDelegate && (!mor || limitMatches(mor, morAllowance)) && limitMatches(eth, ethAllowance),
+    };
+  }
+
+  /**
+   * Poll the Transaction Service until a proposal has been executed.
+   * Resolves with the service's transaction record; throws TreasuryError on timeout.
+   *
+   * @param {`0x${string}`} safeTxHash
+   * @param {{ timeoutMs?: number, intervalMs?: number }} [options]
+   */
+  async waitForExecution(safeTxHash, { timeoutMs = 3_600_000, intervalMs = 30_000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const tx = await withRetry(() => getTransaction(this.txServiceUrl, safeTxHash), {
+        description: "Transaction Service lookup",
+        logger: this.logger,
+      });
+      if (tx.isExecuted) {
+        return tx;
+      }
+      const confirmations = tx.confirmations ? tx.confirmations.length : 0;
+      if (Date.now() + intervalMs > deadline) {
+        throw new TreasuryError(`Proposal ${safeTxHash} not executed after ${Math.round(timeoutMs / 60_000)} minutes.`, {
+          hints: [`Confirmations so far: ${confirmations}/${tx.confirmationsRequired}`],
+        });
+      }
+      this.logger(`  Waiting for execution (${confirmations}/${tx.confirmationsRequired} confirmations)...`);
+      await new Promise((r) => setTimeout(r, intervalMs));
+    }
+  }
+
+  // --- Refill (delegate) ---
+
+  /**
+   * Pull MOR/ETH from the Safe into the agent hot wallet when balances fall
+   * below the low thresholds. The hot wallet is the delegate and calls the
+   * module directly, so no Safe signature is needed.
+   *
+   * @param {{ morLowThreshold?: bigint, morRefillAmount?: bigint, ethLowThreshold?: bigint, ethRefillAmount?: bigint }} [thresholds]
+   * @returns {Promise<{ hotWallet: string, balances: { mor: bigint, eth: bigint }, mor: RefillTokenResult, eth: RefillTokenResult }>}
+   */
+  async refill({
+    morLowThreshold = parseEther("20"),
+    morRefillAmount = parseEther("30"),
+    ethLowThreshold = parseEther("0.01"),
+    ethRefillAmount = parseEther("0.03"),
+  } = {}) {
+    const account = await this.getAccount();
+    const hotWallet = account.address;
+    this.logger(`Hot wallet: ${hotWallet}`);
+
+    // Check balances (with retry for transient RPC failures)
+    const mor = this.morToken
+      ? await withRetry(
+        () => this.publicClient.readContract({
+          address: this.morToken,
+          abi: ERC20_ABI,
+          functionName: "balanceOf",
+          args: [hotWallet],
+        }),
+        { description: "MOR balance check", logger: this.logger }
+      )
+      : null;
+    const eth = await withRetry(
+      () => this.publicClient.getBalance({ address: hotWallet }),
+      { description: "ETH balance check", logger: this.logger }
+    );
+
+    if (mor !== null) this.logger(`MOR balance: ${formatEther(mor)}`);
+    this.logger(`ETH balance: ${formatEther(eth)}`);
+
+    const result = { hotWallet, balances: { mor, eth } };
+
+    if (mor === null) {
+      result.mor = { token: "MOR", action: "unsupported" };
+    } else if (mor < morLowThreshold) {
+      this.logger(
+        `MOR below ${formatEther(morLowThreshold)} threshold. Pulling ${formatEther(morRefillAmount)} from Safe...`
+      );
+      result.mor = await this.#pullAllowance("MOR", this.morToken, morRefillAmount);
+    } else {
+      this.logger("MOR balance OK.");
+      result.mor = { token: "MOR", action: "ok" };
+    }
+
+    if (result.mor.fundamental) {
+      this.logger("FATAL: Fundamental configuration issue detected. Skipping ETH refill.");
+      result.eth = { token: "ETH", action: "skipped" };
+    } else if (eth < ethLowThreshold) {
+      this.logger(
+        `ETH below ${formatEther(ethLowThreshold)} threshold. Pulling ${formatEther(ethRefillAmount)} from Safe...`
+      );
+      result.eth = await this.#pullAllowance("ETH", zeroAddress, ethRefillAmount);
+    } else {
+      this.logger("ETH balance OK.");
+      result.eth = { token: "ETH", action: "ok" };
+    }
+
+    return result;
+  }
+
+  async #pullAllowance(label, token, amount) {
+    const hotWallet = (await this.getAccount()).address;
+    const refillArgs = [
+      this.safeAddress, // safe
+      token,            // token (address(0) = native ETH)
+      hotWallet,        // to
+      amount,           // amount (uint96)
+      zeroAddress,      // paymentToken (no gas payment)
+      0n,               // payment
+      hotWallet,        // delegate (msg.sender == delegate, no sig needed)
+      "0x",             // signature (empty — direct call by delegate)
+    ];
+
+    try {
+      // Simulate first to avoid wasting gas on reverts
+      this.logger(`  Simulating ${label} refill...`);
+      await this.publicClient.simulateContract({
+        address: this.allowanceModule,
+        abi: ALLOWANCE_MODULE_ABI,
+        functionName: "executeAllowanceTransfer",
+        args: refillArgs,
+        account: hotWallet,
+      });
+      this.logger("  Simulation OK. Sending transaction...");
+
+      const walletClient = await this.getWalletClient();
+      const txHash = await walletClient.writeContract({
+        address: this.allowanceModule,
+        abi: ALLOWANCE_MODULE_ABI,
+        functionName: "executeAllowanceTransfer",
+        args: refillArgs,
+      });
+      this.logger(`${label} refill tx: ${txHash}`);
+      const receipt = await this.publicClient.waitForTransactionReceipt({ hash: txHash });
+      const ok = receipt.status === "success";
+      this.logger(`${label} refill: ${ok ? "SUCCESS" : "REVERTED"}`);
+      return { token: label, action: ok ? "refilled" : "reverted", txHash };
+    } catch (e) {
+      const errMsg = e.shortMessage || e.message;
+      this.logger(`${label} refill failed: ${errMsg}`);
+
+      // Check if this is a fundamental configuration issue
+      const fundamental =
+        errMsg.includes("not a delegate") ||
+        errMsg.includes("module") ||
+        errMsg.includes("not enabled") ||
+        errMsg.includes("invalid delegate") ||
+        errMsg.includes("unauthorized");
+
+      return {
+        token: label,
+        action: "failed",
+        error: errMsg,
+        fundamental,
+        allowanceExhausted: errMsg.includes("allowance") || errMsg.includes("Allowance"),
+      };
+    }
+  }
+
+  // --- Helpers ---
+
+  /**
+   * Address, display label and decimals for MOR, ETH or a token address.
+   * SECURITY: symbol() is chosen by the token contract; the label keeps the address next to it.
+   * @param {string} token
+   * @returns {Promise<{ address: string, label: string, decimals: number }>}
+   */
+  async resolveToken(token) {
+    const name = String(token || "");
+    if (name.toUpperCase() === "ETH" || name === zeroAddress) {
+      return { address: zeroAddress, label: "ETH", decimals: 18 };
+    }
+    if (name.toUpperCase() === "MOR" || (this.morToken && sameAddress(name, this.morToken))) {
+      return { address: this.#requireMorToken(), label: "MOR", decimals: 18 };
+    }
+    let address;
+    try {
+      address = getAddress(name);
+    } catch {
+      throw new TreasuryError(`Unknown token "${token}". Use MOR, ETH or a token address.`);
+    }
+    const [decimals, symbol] = await Promise.all([
+      this.publicClient.readContract({ address, abi: ERC20_ABI, functionName: "decimals" }),
+      // symbol() is optional in ERC-20; fall back to the address
+      this.publicClient.readContract({ address, abi: ERC20_ABI, functionName: "symbol" }).catch(() => null),
+    ]);
+    return { address, label: symbol ? `${symbol} (${address})` : address, decimals: Number(decimals) };
+  }
+
+  async #signSafeTx(txData, safeTxHash, account) {
+    const result = await signSafeTx(
+      account ?? await this.getAccount(),
+      { chainId: this.chain.id, safeAddress: this.safeAddress, txData, safeTxHash },
+      this.signatureType
+    );
+    if (result.type !== this.signatureType) {
+      this.logger(`Signer does not support ${this.signatureType}; signed with ${result.type} instead.`);
+    }
+    return result;
+  }
+
+  /**
+   * Sign and submit a proposal with the agent account, or with `account`
+   * (an owner, see cosignRejection()).
+   */
+  async #submitProposal(domainSeparator, txData, account) {
+    const safeTxHash = computeSafeTxHash(domainSeparator, txData);
+    if (this.dryRun) {
+      this.logger(`Safe TX hash: ${safeTxHash} (dry run, not submitted)`);
+      return { safeTxHash, nonce: txData.nonce, txData, dryRun: true };
+    }
+    if (this.unsigned) {
+      this.logger(`Safe TX hash: ${safeTxHash} (unsigned, for export)`);
+      return { safeTxHash, nonce: txData.nonce, txData, unsigned: true };
+    }
+
+    if (!account) {
+      account = await this.getAccount();
+      await this.#requireProposer(account.address);
+    }
+    const { signature } = await this.#signSafeTx(txData, safeTxHash, account);
+
+    this.logger(`Safe TX hash: ${safeTxHash}`);
+    this.logger(`Submitting to Transaction Service...`);
+
+    const status = await submitToTxService(
+      this.txServiceUrl,
+      this.safeAddress,
+      txData,
+      safeTxHash,
+      signature,
+      account.address
+    );
+
+    return { safeTxHash, nonce: txData.nonce, txData, status };
+  }
+
+  /**
+   * SECURITY: Owner signatures (cosign) must come from a current owner that
+   * is not the agent account, so the two identities cannot be confused.
+   */
+  async #requireOwnerAccount(owner) {
+    if (sameAddress(await this.getAgentAddress(), owner.address)) {
+      throw new TreasuryError(`${owner.address} is the agent account; owner actions need the human owner's key.`, {
+        hints: ["Configure SAFE_OWNER_SIGNER (keystore or remote), separate from the agent signer."],
+      });
+    }
+    const owners = await this.publicClient.readContract({
+      address: this.safeAddress, abi: SAFE_ABI, functionName: "getOwners",
+    });
+    if (!owners.some((o) => sameAddress(o, owner.address))) {
+      throw new TreasuryError(`${owner.address} is not an owner of ${this.safeAddress}.`);
+    }
+  }
+
+  /**
+   * The Transaction Service accepts proposals only from owners and from
+   * proposers registered by a current owner; fail early with a hint.
+   */
+  async #requireProposer(address) {
+    const owners = await this.publicClient.readContract({
+      address: this.safeAddress, abi: SAFE_ABI, functionName: "getOwners",
+    });
+    if (owners.some((o) => sameAddress(o, address))) {
+      return;
+    }
+    const now = Date.now();
+    const registered = (await getTxServiceDelegates(this.txServiceUrl, { delegate: address })).some((d) =>
+      (!d.safe || sameAddress(d.safe, this.safeAddress)) &&
+      owners.some((o) => sameAddress(o, d.delegator)) &&
+      (!d.expiryDate || Date.parse(d.expiryDate) > now)
+    );
+    if (!registered) {
+      throw new TreasuryError(`${address} is neither an owner nor a registered proposer of ${this.safeAddress}.`, {
+        hints: [`An owner can register it with 'add-proposer --proposer ${address}'.`],
+      });
+    }
+  }
+
+  async #requireDelegate(delegate) {
+    const delegates = await this.getDelegates();
+    if (!delegates.some((d) => sameAddress(d, delegate))) {
+      throw new TreasuryError(`${delegate} is not an AllowanceModule delegate of this Safe.`, {
+        hints: ["Add it first (policy apply, or configure for the agent)."],
+      });
+    }
+  }
+
+  async #proposeAllowanceChange(functionName, args, summary) {
+    const proposal = await this.propose({
+      to: this.allowanceModule,
+      data: encodeFunctionData({ abi: ALLOWANCE_MODULE_ABI, functionName, args }),
+    });
+    return {
+      ...proposal,
+      delegate: summary.delegate,
+      changes: summary.changes.map((c) => ({ token: summary.token, ...c })),
+    };
+  }
+
+  #requireMorToken() {
+    if (!this.morToken) {
+      throw new TreasuryError(`MOR is not deployed on ${this.chainConfig.name}.`, {
+        hints: ["Use --token ETH, or propose a raw ERC20 transfer with the propose command."],
+      });
+    }
+    return this.morToken;
+  }
+}
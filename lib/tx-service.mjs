@@ -0,0 +1,208 @@
+/**
+ * tx-service.mjs — Minimal client for the Safe Transaction Service REST API
+ *
+ * Proposals are accepted from Safe owners and from delegates ("proposers")
+ * that an owner registered with an EIP-712 signature (v2 delegates API).
+ */
+
+import { zeroAddress } from "viem";
+
+/**
+ * Submit a proposed transaction to the Safe Transaction Service.
+ */
+export async function submitToTxService(
+  txServiceUrl,
+  safeAddress,
+  txData,
+  safeTxHash,
+  signature,
+  senderAddress
+) {
+  const url = `${txServiceUrl}/api/v1/safes/${safeAddress}/multisig-transactions/`;
+
+  const body = {
+    to: txData.to,
+    value: txData.value.toString(),
+    data: txData.data,
+    operation: txData.operation,
+    safeTxGas: (txData.safeTxGas ?? 0n).toString(),
+    baseGas: (txData.baseGas ?? 0n).toString(),
+    gasPrice: (txData.gasPrice ?? 0n).toString(),
+    gasToken: txData.gasToken ?? zeroAddress,
+    refundReceiver: txData.refundReceiver ?? zeroAddress,
+    nonce: txData.nonce.toString(),
+    contractTransactionHash: safeTxHash,
+    sender: senderAddress,
+    signature: signature,
+  };
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Transaction Service error (${response.status}): ${errorText}`);
+  }
+
+  return response.status;
+}
+
+/**
+ * Submit a confirmation (signature) for an existing pending transaction.
+ */
+export async function submitConfirmation(txServiceUrl, safeTxHash, signature) {
+  const url = `${txServiceUrl}/api/v1/multisig-transactions/${safeTxHash}/confirmations/`;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ signature }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Confirmation error (${response.status}): ${errorText}`);
+  }
+
+  return response.status;
+}
+
+/**
+ * Fetch one multisig transaction by its Safe tx hash (pending or executed).
+ */
+export async function getTransaction(txServiceUrl, safeTxHash) {
+  const url = `${txServiceUrl}/api/v1/multisig-transactions/${safeTxHash}/`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch transaction ${safeTxHash}: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch pending transactions from the Transaction Service.
+ */
+export async function getPendingTransactions(txServiceUrl, safeAddress) {
+  const url = `${txServiceUrl}/api/v1/safes/${safeAddress}/multisig-transactions/?executed=false&limit=10`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch pending txs: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.results || [];
+}
+
+// Safety stop for getQueuedTransactions() pagination
+const MAX_QUEUE_PAGES = 20;
+
+/**
+ * Fetch every unexecuted transaction at or above a nonce, lowest nonce first.
+ * Follows the `next` links (same origin only).
+ */
+export async function getQueuedTransactions(txServiceUrl, safeAddress, fromNonce) {
+  const origin = new URL(txServiceUrl).origin;
+  let url = `${txServiceUrl}/api/v1/safes/${safeAddress}/multisig-transactions/?executed=false&nonce__gte=${fromNonce}&ordering=nonce&limit=100`;
+  const results = [];
+
+  for (let page = 0; url; page++) {
+    if (page === MAX_QUEUE_PAGES) {
+      throw new Error(`Transaction queue exceeds ${MAX_QUEUE_PAGES} pages.`);
+    }
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch queued txs: ${response.status}`);
+    }
+    const data = await response.json();
+    results.push(...(data.results || []));
+    if (data.next && new URL(data.next).origin !== origin) {
+      throw new Error(`Transaction Service pagination points off-site: ${data.next}`);
+    }
+    url = data.next || null;
+  }
+
+  return results.sort((a, b) => Number(BigInt(a.nonce) - BigInt(b.nonce)));
+}
+
+// EIP-712 message an owner signs to add or remove a delegate (valid for the current hour)
+export const DELEGATE_TYPES = {
+  Delegate: [
+    { name: "delegateAddress", type: "address" },
+    { name: "totp", type: "uint256" },
+  ],
+};
+
+/**
+ * Typed data for a delegate signature; `totp` is the number of hours since
+ * the epoch, so the signature expires within the hour.
+ */
+export function delegateTypedData(chainId, delegate, now = Date.now()) {
+  return {
+    domain: { name: "Safe Transaction Service", version: "1.0", chainId },
+    types: DELEGATE_TYPES,
+    primaryType: "Delegate",
+    message: { delegateAddress: delegate, totp: BigInt(Math.floor(now / 3_600_000)) },
+  };
+}
+
+/**
+ * List delegates, filtered by any of `safe`, `delegate` and `delegator`.
+ */
+export async function getTxServiceDelegates(txServiceUrl, filters) {
+  const query = new URLSearchParams({ ...filters, limit: "100" });
+  const url = `${txServiceUrl}/api/v2/delegates/?${query}`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch delegates: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.results || [];
+}
+
+/**
+ * Register a delegate for a Safe (signature: delegateTypedData() from the delegator).
+ */
+export async function addTxServiceDelegate(txServiceUrl, { safe, delegate, delegator, label, signature }) {
+  const url = `${txServiceUrl}/api/v2/delegates/`;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ safe, delegate, delegator, label, signature }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Delegate error (${response.status}): ${errorText}`);
+  }
+
+  return response.status;
+}
+
+/**
+ * Remove a delegate from a Safe (signature: delegateTypedData() from the delegator or delegate).
+ */
+export async function removeTxServiceDelegate(txServiceUrl, { safe, delegate, delegator, signature }) {
+  const url = `${txServiceUrl}/api/v2/delegates/${delegate}/`;
+
+  const response = await fetch(url, {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ safe, delegator, signature }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Delegate error (${response.status}): ${errorText}`);
+  }
+
+  return response.status;
+}
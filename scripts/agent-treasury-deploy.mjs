@@ -1,357 +1,256 @@
 #!/usr/bin/env node
 /**
- * agent-treasury-deploy.mjs — Deploy a Safe smart account on Base
+ * agent-treasury-deploy.mjs — Deploy a Safe smart account (default chain: Base)
  *
- * Creates a 1-of-2 Safe with two owners:
- *   1. Owner's personal wallet (passed via --owner or SAFE_OWNER env var)
- *   2. Agent hot wallet (retrieved from macOS Keychain)
+ * Creates a Safe owned by:
+ *   1. Owner's personal wallet(s) (--owner or SAFE_OWNER; comma-separate several)
+ *   2. Agent hot wallet (from the configured signer, default macOS Keychain)
  *
  * Initial threshold is 1 so either owner can execute during setup.
  * Raise to 2 after configuration is complete (Step 4).
  *
+ * --bootstrap configures the AllowanceModule inside the deployment itself
+ * (enableModule, addDelegate(agent), setAllowance for MOR/ETH) through a
+ * MultiSendCallOnly delegatecall in setup(). Works with any owner count and
+ * threshold, and replaces agent-treasury-configure.mjs for a new Safe.
+ *
  * Usage:
  *   node scripts/agent-treasury-deploy.mjs --owner 0xOwnerAddress
  *   node scripts/agent-treasury-deploy.mjs --owner 0xOwnerAddress --threshold 2
+ *   node scripts/agent-treasury-deploy.mjs --owner 0xA,0xB --threshold 2 --bootstrap --mor-allowance 50 --eth-allowance 0.05
  *   node scripts/agent-treasury-deploy.mjs --owner 0xOwnerAddress --agent 0xAgentAddress --dry-run
- *   # --agent bypasses Keychain lookup (dry-run only, for testing on dev machines)
+ *   # --agent bypasses the signer lookup (dry-run only, for testing on dev machines)
+ *   node scripts/agent-treasury-deploy.mjs --owner 0xOwnerAddress --chain arbitrum
+ *   node scripts/agent-treasury-deploy.mjs --owner 0xOwnerAddress --chains base,arbitrum,optimism
+ *   node scripts/agent-treasury-deploy.mjs --owner 0xOwnerAddress --salt-nonce 42 --predict
+ *
+ * --predict prints the counterfactual (CREATE2) Safe address for the given
+ * owners, threshold and salt nonce without sending anything or checking gas.
+ *
+ * --chains deploys with the same initializer and salt nonce on each chain, so
+ * the Safe gets the same address everywhere. The address is predicted on every
+ * chain first; chains where it already exists are skipped and chains where it
+ * differs are reported. Each chain needs its RPC in SAFE_RPC_<CHAIN>
+ * (e.g. SAFE_RPC_ARBITRUM); SAFE_RPC is the fallback.
  *
- * After deployment, add SAFE_ADDRESS to ~/morpheus/.env
+ * After deployment the script writes a JSON manifest to
+ * ~/morpheus/data/deployments/ and adds SAFE_ADDRESS (and SAFE_CHAIN when not
+ * Base) to ~/morpheus/.env. An existing different value is left untouched.
  *
- * Safe v1.4.1 canonical contracts on Base (8453):
+ * --chain (or SAFE_CHAIN) picks the network from lib/chains.mjs: ethereum,
+ * arbitrum, optimism, base (default) or base-sepolia. All use the Safe v1.4.1
+ * canonical contracts:
  *   ProxyFactory:    0x4e1DCf7AD4e460CfD30791CCC4F9c8a4f820ec67
  *   SafeL2:          0x29fcB43b46531BcA003ddC8FCB67FFE91900C762
  *   FallbackHandler: 0xfd0732Dc9E303f09fCEf3a7388Ad10A83459Ec99
  */
 
-import { readFileSync } from "node:fs";
-import { execFileSync } from "node:child_process";
 import { parseArgs } from "node:util";
-import {
-  createPublicClient,
-  createWalletClient,
-  http,
-  formatEther,
-  parseAbi,
-  encodeFunctionData,
-  getAddress,
-  zeroAddress,
-} from "viem";
-import { base } from "viem/chains";
-import { privateKeyToAccount } from "viem/accounts";
-
-// --- Load .env ---
-const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
-
-function loadEnv(filepath) {
-  try {
-    const content = readFileSync(filepath, "utf-8");
-    for (const line of content.split("\n")) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith("#")) continue;
-      const eqIdx = trimmed.indexOf("=");
-      if (eqIdx === -1) continue;
-      const key = trimmed.slice(0, eqIdx);
-      let value = trimmed.slice(eqIdx + 1);
-      if (
-        (value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))
-      ) {
-        value = value.slice(1, -1);
-      }
-      if (!process.env[key]) {
-        process.env[key] = value;
-      }
-    }
-  } catch {
-    // .env is optional
-  }
-}
+import { formatEther, parseEther } from "viem";
+import { deploySafe, deploySafeMultiChain, predictSafe } from "../lib/deploy.mjs";
+import { getChainConfig, explorerAddressUrl } from "../lib/chains.mjs";
+import { loadEnv, setEnvValue, resolveConfig, resolveRpcUrl } from "../lib/env.mjs";
+import { writeDeploymentManifest } from "../lib/manifest.mjs";
+import { log, exitWithError } from "../lib/cli.mjs";
 
-loadEnv(`${SAFE_DIR}/.env`);
+loadEnv();
 
 // --- CLI args ---
 const { values: args } = parseArgs({
   options: {
     owner: { type: "string" },
+    chain: { type: "string" },
+    chains: { type: "string" },
     agent: { type: "string" },
     threshold: { type: "string", default: "1" },
     "dry-run": { type: "boolean", default: false },
+    predict: { type: "boolean", default: false },
     "salt-nonce": { type: "string" },
+    bootstrap: { type: "boolean", default: false },
+    "mor-allowance": { type: "string" },
+    "eth-allowance": { type: "string" },
+    "reset-minutes": { type: "string", default: "1440" },
   },
 });
 
-// --- Configuration ---
-// SECURITY: Require explicit RPC config. Public RPCs can return manipulated data.
-const RPC_URL = process.env.SAFE_RPC || process.env.EVERCLAW_RPC;
-if (!RPC_URL) {
-  console.error("[ERROR] SAFE_RPC not configured in ~/morpheus/.env");
-  console.error("  Public RPCs are NOT secure for financial operations.");
-  console.error("  Use Alchemy, Infura, QuickNode, or your own node.");
-  process.exit(1);
-}
-
-const KEYCHAIN_ACCOUNT =
-  process.env.SAFE_KEYCHAIN_ACCOUNT || process.env.EVERCLAW_KEYCHAIN_ACCOUNT || "everclaw-agent";
-const KEYCHAIN_SERVICE =
-  process.env.SAFE_KEYCHAIN_SERVICE || process.env.EVERCLAW_KEYCHAIN_SERVICE || "everclaw-wallet-key";
-const KEYCHAIN_DB =
-  process.env.SAFE_KEYCHAIN_DB || process.env.EVERCLAW_KEYCHAIN_DB ||
-  `${process.env.HOME}/Library/Keychains/everclaw.keychain-db`;
-// KEYCHAIN_PASS_FILE removed - auto-unlock via CLI args exposed password in `ps aux`
-
-// Safe v1.4.1 canonical addresses on Base (8453)
-const SAFE_PROXY_FACTORY = "0x4e1DCf7AD4e460CfD30791CCC4F9c8a4f820ec67";
-const SAFE_L2_SINGLETON = "0x29fcB43b46531BcA003ddC8FCB67FFE91900C762";
-const FALLBACK_HANDLER = "0xfd0732Dc9E303f09fCEf3a7388Ad10A83459Ec99";
-
-// --- ABIs ---
-const SAFE_L2_ABI = parseAbi([
-  "function setup(address[] calldata _owners, uint256 _threshold, address to, bytes calldata data, address fallbackHandler, address paymentToken, uint256 payment, address payable paymentReceiver)",
-  "function getOwners() view returns (address[])",
-  "function getThreshold() view returns (uint256)",
-  "function VERSION() view returns (string)",
-]);
-
-const PROXY_FACTORY_ABI = parseAbi([
-  "function createProxyWithNonce(address _singleton, bytes initializer, uint256 saltNonce) returns (address proxy)",
-  "event ProxyCreation(address indexed proxy, address singleton)",
-]);
-
-// --- Helpers ---
-function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
+// --- Commands ---
+
+function deployOptions(signer) {
+  return {
+    signer,
+    owner: args.owner || process.env.SAFE_OWNER,
+    agent: args.agent,
+    threshold: Number(args.threshold),
+    bootstrap: args.bootstrap
+      ? {
+        morAllowance: parseEther(args["mor-allowance"] || process.env.MOR_DAILY_ALLOWANCE || "50"),
+        ethAllowance: parseEther(args["eth-allowance"] || process.env.ETH_DAILY_ALLOWANCE || "0.05"),
+        resetMinutes: Number(args["reset-minutes"]),
+        allowanceModule: process.env.ALLOWANCE_MODULE,
+      }
+      : undefined,
+    saltNonce: args["salt-nonce"] ? BigInt(args["salt-nonce"]) : undefined,
+    dryRun: args["dry-run"],
+    logger: log,
+  };
 }
 
-function getPrivateKey() {
-  // SECURITY: Keychain must be pre-unlocked. We no longer auto-unlock via password file
-  // because passing passwords via command-line args exposes them in `ps aux` output.
-  // Before running: security unlock-keychain ~/Library/Keychains/everclaw.keychain-db
-  try {
-    return execFileSync(
-      "security",
-      [
-        "find-generic-password",
-        "-a", KEYCHAIN_ACCOUNT,
-        "-s", KEYCHAIN_SERVICE,
-        "-w", KEYCHAIN_DB,
-      ],
-      { encoding: "utf-8", stdio: "pipe" }
-    ).trim();
-  } catch (e) {
-    log(`ERROR: Could not retrieve wallet key from Keychain.`);
-    log(`  Account: ${KEYCHAIN_ACCOUNT}, Service: ${KEYCHAIN_SERVICE}`);
-    log(`  DB: ${KEYCHAIN_DB}`);
-    log(`  Unlock keychain first: security unlock-keychain "${KEYCHAIN_DB}"`);
-    process.exit(1);
+/**
+ * Add KEY=value to ~/morpheus/.env and report what happened.
+ */
+function saveEnvValue(key, value) {
+  const outcome = setEnvValue(key, value);
+  if (outcome === "added") {
+    log(`Added ${key}=${value} to ~/morpheus/.env`);
+  } else if (outcome === "conflict") {
+    log(`WARNING: ~/morpheus/.env already sets a different ${key}; left unchanged.`);
+    log(`  Update it by hand if this Safe should replace it: ${key}=${value}`);
   }
+  return outcome;
 }
 
-// --- Main ---
-async function main() {
-  const humanAddress = args.owner || process.env.SAFE_OWNER;
-  const threshold = parseInt(args.threshold, 10);
-  const dryRun = args["dry-run"];
-
-  if (!humanAddress) {
-    log("ERROR: --owner 0xAddress required (owner's personal wallet)");
-    log("Usage: node scripts/agent-treasury-deploy.mjs --owner 0xYourAddress");
-    process.exit(1);
-  }
-
-  // Validate address
-  let ownerAddress;
-  try {
-    ownerAddress = getAddress(humanAddress);
-  } catch {
-    log(`ERROR: Invalid address: ${humanAddress}`);
-    process.exit(1);
-  }
-
-  log("--- Safe deployment ---");
-  log(`Chain: Base (8453)`);
-  log(`Safe singleton: ${SAFE_L2_SINGLETON} (v1.4.1 L2)`);
-  log(`Proxy factory: ${SAFE_PROXY_FACTORY}`);
-  log(`Fallback handler: ${FALLBACK_HANDLER}`);
-
-  // Get agent hot wallet
-  let account;
-  let agentAddress;
+async function predictAll(signer, chainConfigs) {
+  const options = deployOptions(signer);
 
-  if (args.agent) {
-    // Use provided agent address (for dry-run or remote execution)
-    try {
-      agentAddress = getAddress(args.agent);
-    } catch {
-      log(`ERROR: Invalid agent address: ${args.agent}`);
-      process.exit(1);
-    }
-    if (!dryRun) {
-      log("ERROR: --agent flag only works with --dry-run. For real deployment, use Keychain.");
-      process.exit(1);
-    }
-  } else {
-    let privateKey = getPrivateKey();
-    if (!privateKey.startsWith("0x")) {
-      privateKey = `0x${privateKey}`;
-    }
-    account = privateKeyToAccount(privateKey);
-    agentAddress = account.address;
+  const predictions = [];
+  for (const chainConfig of chainConfigs) {
+    const prediction = await predictSafe({
+      ...options,
+      rpcUrl: resolveRpcUrl(chainConfig.key),
+      chain: chainConfig.key,
+    });
+    // Reuse the first (possibly random) salt so the predictions are comparable
+    options.saltNonce ??= prediction.saltNonce;
+    predictions.push(prediction);
   }
 
-  // Sort owners deterministically (Safe requires sorted owner list for some operations)
-  const owners = [ownerAddress, agentAddress].sort((a, b) =>
-    a.toLowerCase().localeCompare(b.toLowerCase())
-  );
-
-  log(`Owner 1 (human): ${ownerAddress}`);
-  log(`Owner 2 (Agent): ${agentAddress}`);
-  log(`Threshold: ${threshold}-of-${owners.length}`);
-
-  if (Number.isNaN(threshold) || threshold < 1 || threshold > owners.length) {
-    log(`ERROR: Threshold must be a number between 1 and ${owners.length}`);
-    process.exit(1);
+  log("");
+  log(`--- Predicted Safe address (salt nonce ${options.saltNonce}) ---`);
+  for (const p of predictions) {
+    log(`  ${p.chain.padEnd(13)} ${p.predictedAddress}${p.alreadyDeployed ? " (already deployed)" : ""}`);
   }
+  log("Deploy with the same --owner, --threshold and --salt-nonce to get this address.");
+}
 
-  // Encode Safe.setup() initializer
-  const initializer = encodeFunctionData({
-    abi: SAFE_L2_ABI,
-    functionName: "setup",
-    args: [
-      owners,           // _owners
-      BigInt(threshold), // _threshold
-      zeroAddress,      // to (no delegate call during setup)
-      "0x",             // data (no delegate call data)
-      FALLBACK_HANDLER, // fallbackHandler
-      zeroAddress,      // paymentToken (no payment)
-      0n,               // payment (no payment)
-      zeroAddress,      // paymentReceiver (no payment)
-    ],
-  });
-
-  // Generate salt nonce (random or user-specified)
-  const saltNonce = args["salt-nonce"]
-    ? BigInt(args["salt-nonce"])
-    : BigInt(`0x${[...crypto.getRandomValues(new Uint8Array(32))].map(b => b.toString(16).padStart(2, "0")).join("")}`);
-
-  log(`Salt nonce: ${saltNonce}`);
-
-  const publicClient = createPublicClient({
-    chain: base,
-    transport: http(RPC_URL),
+async function deployOne(signer, chainConfig) {
+  const result = await deploySafe({
+    ...deployOptions(signer),
+    rpcUrl: resolveRpcUrl(chainConfig.key),
+    chain: chainConfig.key,
   });
 
-  // Check deployer balance
-  const ethBalance = await publicClient.getBalance({ address: agentAddress });
-  log(`Agent ETH balance: ${formatEther(ethBalance)}`);
-
-  if (ethBalance === 0n) {
-    log("ERROR: Agent hot wallet has no ETH for gas. Fund it first.");
-    process.exit(1);
+  if (result.alreadyDeployed) {
+    log("");
+    log(`Safe already deployed at ${result.safeAddress}. Nothing to do.`);
+    log(`  ${explorerAddressUrl(chainConfig, result.safeAddress)}`);
+    return;
   }
 
-  if (dryRun) {
+  if (result.dryRun) {
     log("--- DRY RUN --- (no transaction will be sent)");
     log("Initializer data:");
-    log(`  ${initializer}`);
+    log(`  ${result.initializer}`);
     log("To deploy for real, remove --dry-run flag.");
     return;
   }
 
-  // Deploy
-  log("Deploying Safe...");
-  const walletClient = createWalletClient({
-    account,
-    chain: base,
-    transport: http(RPC_URL),
-  });
-
-  try {
-    const txHash = await walletClient.writeContract({
-      address: SAFE_PROXY_FACTORY,
-      abi: PROXY_FACTORY_ABI,
-      functionName: "createProxyWithNonce",
-      args: [SAFE_L2_SINGLETON, initializer, saltNonce],
-    });
-
-    log(`Transaction sent: ${txHash}`);
-    log("Waiting for confirmation...");
-
-    const receipt = await publicClient.waitForTransactionReceipt({
-      hash: txHash,
-    });
+  log("");
+  log("===========================================");
+  log(`  Safe deployed: ${result.safeAddress}`);
+  log("===========================================");
+  log("");
 
-    if (receipt.status !== "success") {
-      log("ERROR: Transaction reverted!");
-      log(`Receipt: ${JSON.stringify(receipt, null, 2)}`);
-      process.exit(1);
+  log("Verifying deployment...");
+  if (result.verification) {
+    const { version, owners, threshold } = result.verification;
+    log(`  Version: ${version}`);
+    log(`  Owners: ${owners.join(", ")}`);
+    log(`  Threshold: ${threshold}-of-${owners.length}`);
+  } else {
+    log(`  WARNING: Could not read the new Safe yet (${result.verificationError}).`);
+    log("  The RPC may not have indexed it; the ProxyCreation event confirms deployment.");
+  }
+  if (result.verification?.bootstrapError) {
+    log(`  WARNING: Could not read the bootstrap state (${result.verification.bootstrapError}).`);
+  } else if (result.verification?.allowances) {
+    log(`  AllowanceModule enabled: ${result.verification.moduleEnabled}`);
+    for (const [label, amount] of Object.entries(result.verification.allowances)) {
+      log(`  ${label} allowance: ${formatEther(amount)}`);
     }
+  }
 
-    // Extract Safe address from ProxyCreation event
-    const proxyCreationTopic = "0x4f51faf6c4561ff95f067657e43439f0f856d97c04d9ec9070a6199ad418e235";
-    const creationLog = receipt.logs.find(
-      (l) => l.topics[0] === proxyCreationTopic
-    );
+  log("");
+  log(`Manifest: ${writeDeploymentManifest(result)}`);
+  saveEnvValue("SAFE_ADDRESS", result.safeAddress);
+  if (chainConfig.key !== "base") {
+    saveEnvValue("SAFE_CHAIN", chainConfig.key);
+  }
 
-    let safeAddress;
-    if (creationLog && creationLog.topics[1]) {
-      // Address is in topic[1], zero-padded to 32 bytes
-      safeAddress = getAddress("0x" + creationLog.topics[1].slice(26));
-    } else {
-      // Fallback: look for contract creation in logs
-      log("WARNING: Could not find ProxyCreation event. Checking logs...");
-      for (const l of receipt.logs) {
-        log(`  Log: ${l.address} topics=${l.topics.length}`);
-      }
-      log("Check Basescan for the deployed Safe address.");
-      process.exit(1);
-    }
+  log("");
+  log("Next steps:");
+  log(`  1. Check SAFE_ADDRESS in ~/morpheus/.env is ${result.safeAddress}`);
+  log(`  2. Verify on the block explorer:`);
+  log(`     ${explorerAddressUrl(chainConfig, result.safeAddress)}`);
+  if (!result.bootstrap) {
+    log(`  3. Run agent-treasury-configure.mjs to enable AllowanceModule`);
+  }
+}
 
-    log("");
-    log("===========================================");
-    log(`  Safe deployed: ${safeAddress}`);
-    log("===========================================");
-    log("");
+async function deployMany(signer, chainKeys) {
+  const chainConfigs = chainKeys.map((c) => getChainConfig(c));
+  const rpcUrls = Object.fromEntries(chainConfigs.map((c) => [c.key, resolveRpcUrl(c.key)]));
 
-    // Verify deployment
-    log("Verifying deployment...");
+  const result = await deploySafeMultiChain({
+    ...deployOptions(signer),
+    chains: chainConfigs.map((c) => c.key),
+    rpcUrls,
+  });
 
-    const version = await publicClient.readContract({
-      address: safeAddress,
-      abi: SAFE_L2_ABI,
-      functionName: "VERSION",
-    });
+  log("");
+  log(`--- Summary${result.dryRun ? " (DRY RUN)" : ""} ---`);
+  log(`Expected address: ${result.expectedAddress ?? "unknown (no chain reachable)"}`);
+  log(`Salt nonce: ${result.saltNonce}`);
+  for (const entry of result.chains) {
+    const detail = entry.error || entry.safeAddress || entry.predictedAddress || "";
+    log(`  ${entry.chain.padEnd(13)} ${entry.status.padEnd(10)} ${detail}`);
+  }
 
-    const deployedOwners = await publicClient.readContract({
-      address: safeAddress,
-      abi: SAFE_L2_ABI,
-      functionName: "getOwners",
-    });
+  const deployed = result.chains.filter((e) => e.status === "deployed");
+  if (deployed.length > 0) {
+    log("");
+    for (const entry of deployed) {
+      log(`Manifest: ${writeDeploymentManifest({ ...result, ...entry })}`);
+    }
+    saveEnvValue("SAFE_ADDRESS", result.expectedAddress);
+  }
 
-    const deployedThreshold = await publicClient.readContract({
-      address: safeAddress,
-      abi: SAFE_L2_ABI,
-      functionName: "getThreshold",
-    });
+  const problems = result.chains.filter((e) => e.status === "mismatch" || e.status === "failed");
+  if (problems.length > 0) {
+    log("");
+    log(`WARNING: ${problems.length} chain(s) failed or mismatched: ${problems.map((e) => e.chain).join(", ")}`);
+    log("  Re-run with the same --salt-nonce to retry; deployed chains are skipped.");
+    process.exitCode = 1;
+  }
+  if (result.dryRun) {
+    log("To deploy for real, remove --dry-run flag.");
+  }
+}
 
-    log(`  Version: ${version}`);
-    log(`  Owners: ${deployedOwners.join(", ")}`);
-    log(`  Threshold: ${deployedThreshold}-of-${deployedOwners.length}`);
+// --- Main ---
+async function main() {
+  const { signer, chain: envChain } = resolveConfig();
 
-    log("");
-    log("Next steps:");
-    log(`  1. Add to ~/morpheus/.env:`);
-    log(`     SAFE_ADDRESS=${safeAddress}`);
-    log(`  2. Verify on Basescan:`);
-    log(`     https://basescan.org/address/${safeAddress}`);
-    log(`  3. Run agent-treasury-configure.mjs to enable AllowanceModule`);
+  const chainKeys = args.chains
+    ? args.chains.split(",").map((c) => c.trim()).filter(Boolean)
+    : [args.chain || envChain];
 
-  } catch (e) {
-    log(`ERROR: Deployment failed: ${e.shortMessage || e.message}`);
-    process.exit(1);
+  if (args.predict) {
+    await predictAll(signer, chainKeys.map((c) => getChainConfig(c)));
+  } else if (args.chains) {
+    await deployMany(signer, chainKeys);
+  } else {
+    await deployOne(signer, getChainConfig(chainKeys[0]));
   }
 }
 
-main().catch((e) => {
-  log(`FATAL: ${e.message}`);
-  process.exit(1);
-});
+main().catch((e) => exitWithError(e));
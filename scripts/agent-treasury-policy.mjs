@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * agent-treasury-policy.mjs — Plan and apply a declarative treasury policy (treasury.json)
+ *
+ * The policy file states the desired owners, threshold, modules, delegates and
+ * per-token allowances (see templates/treasury.json). Sections left out of the
+ * file are not managed.
+ *
+ * Commands:
+ *   plan   -- Diff the policy against on-chain state (read-only, no key needed)
+ *   apply  -- Carry out the diff as one Safe transaction: executed directly at
+ *             threshold 1, proposed to the Transaction Service otherwise
+ *
+ * Usage:
+ *   node scripts/agent-treasury-policy.mjs plan
+ *   node scripts/agent-treasury-policy.mjs plan --json
+ *   node scripts/agent-treasury-policy.mjs apply
+ *   node scripts/agent-treasury-policy.mjs apply --file ./treasury.json --chain arbitrum
+ *
+ * Required in ~/morpheus/.env:
+ *   SAFE_ADDRESS=0x...
+ *
+ * Optional in ~/morpheus/.env:
+ *   SAFE_CHAIN=base               Chain registry key (overridden by --chain)
+ *   SAFE_POLICY=~/morpheus/treasury.json  Policy file (overridden by --file)
+ */
+
+import { parseArgs } from "node:util";
+import { SafeTreasury } from "../lib/treasury.mjs";
+import { SAFE_DIR, loadEnv } from "../lib/env.mjs";
+import { safeAppQueueUrl, explorerTxUrl } from "../lib/chains.mjs";
+import { loadPolicy, planPolicy, applyPolicy } from "../lib/policy.mjs";
+import { acquireLock } from "../lib/lock.mjs";
+import { log, exitWithError } from "../lib/cli.mjs";
+
+loadEnv();
+
+// --- CLI args ---
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    file: { type: "string" },
+    chain: { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", default: false },
+  },
+});
+
+const LOCK_FILE = `${SAFE_DIR}/.policy.lock`;
+
+// --- Commands ---
+
+function logPlan(plan) {
+  if (plan.inSync) {
+    log("Safe matches the policy. Nothing to do.");
+    return;
+  }
+  log(`${plan.changes.length} change(s) needed:`);
+  for (const change of plan.changes) {
+    log(`  - ${change.description}`);
+  }
+}
+
+async function cmdPlan(treasury, policy) {
+  const plan = await planPolicy(treasury, policy);
+  if (args.json) {
+    console.log(JSON.stringify({
+      safe: treasury.safeAddress,
+      chain: treasury.chainConfig.key,
+      inSync: plan.inSync,
+      changes: plan.changes.map(({ kind, description, call }) => ({ kind, description, ...call })),
+    }, null, 2));
+    return;
+  }
+  logPlan(plan);
+  if (!plan.inSync) {
+    log("Run 'apply' to carry out these changes.");
+  }
+}
+
+async function cmdApply(treasury, policy) {
+  if (!acquireLock(LOCK_FILE)) {
+    log(`ERROR: Another policy apply is running (lock file exists: ${LOCK_FILE})`);
+    log("  If no other instance is running, delete the lock file manually.");
+    process.exit(1);
+  }
+
+  log(`Agent: ${(await treasury.getAccount()).address}`);
+  const plan = await planPolicy(treasury, policy);
+  logPlan(plan);
+  if (plan.inSync) return;
+
+  const result = await applyPolicy(treasury, plan);
+
+  if (result.mode === "proposed") {
+    log(`Proposed as Safe nonce ${result.nonce} (${result.status}). Waiting for co-signatures in Safe Wallet app.`);
+    log(`  View: ${safeAppQueueUrl(treasury.chainConfig, treasury.safeAddress)}`);
+    log("Re-run 'plan' after execution to confirm the Safe matches the policy.");
+    return;
+  }
+
+  log(`Executed: ${explorerTxUrl(treasury.chainConfig, result.txHash)}`);
+  log("Verifying...");
+  const after = await planPolicy(treasury, policy);
+  if (after.inSync) {
+    log("  Safe matches the policy.");
+  } else {
+    log(`  WARNING: ${after.changes.length} change(s) still outstanding (the RPC may lag; re-run 'plan'):`);
+    for (const change of after.changes) {
+      log(`    - ${change.description}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+// --- Main ---
+async function main() {
+  const command = positionals[0];
+
+  if (args.help || !["plan", "apply"].includes(command)) {
+    console.log(`
+Usage: node scripts/agent-treasury-policy.mjs <plan|apply> [options]
+
+Options:
+  --file path    Policy file (default: SAFE_POLICY or ~/morpheus/treasury.json)
+  --chain key    ethereum|arbitrum|optimism|base|base-sepolia (default: SAFE_CHAIN or base)
+  --json         plan: print the diff as JSON
+`);
+    if (command && !args.help) process.exitCode = 1;
+    return;
+  }
+
+  const treasury = SafeTreasury.fromEnv({ chain: args.chain, logger: args.json ? undefined : log });
+  const file = args.file || process.env.SAFE_POLICY || `${SAFE_DIR}/treasury.json`;
+  const policy = loadPolicy(file, treasury.chainConfig);
+
+  if (!args.json) {
+    log(`Policy: ${file}`);
+    log(`Safe: ${treasury.safeAddress} (${treasury.chainConfig.name})`);
+  }
+
+  if (command === "plan") {
+    await cmdPlan(treasury, policy);
+  } else {
+    await cmdApply(treasury, policy);
+  }
+}
+
+main().catch((e) => exitWithError(e));
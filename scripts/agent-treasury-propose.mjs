@@ -9,447 +9,627 @@
  *   propose   -- Propose a raw transaction (target, value, data)
  *   transfer  -- Propose a token or ETH transfer
  *   threshold -- Propose changing the Safe threshold
- *   pending   -- List pending transactions awaiting signatures
- *   confirm   -- Add agent's signature to a pending transaction
+ *   add-owner / remove-owner / swap-owner -- Propose owner changes (prevOwner computed from getOwners)
+ *   set-allowance / reset-allowance / delete-allowance / remove-delegate
+ *             -- Propose AllowanceModule changes for any delegate and token,
+ *                showing getTokenAllowance before/after values
+ *   batch     -- Propose a JSON/CSV list of payouts or calls as one MultiSend tx
+ *   rotate-agent -- Rotate the agent hot-wallet key (new key, owner swap,
+ *                   delegate/allowances moved; --finish sweeps the old wallet)
+ *   pending   -- List pending transactions awaiting signatures (hash and
+ *                confirmation signatures checked independently)
+ *   queue     -- Show queued proposals in nonce order: gaps, competing
+ *                transactions, and which nonces block the rest
+ *   confirm   -- Verify a pending transaction (hash, decoded action, signing
+ *                policy) and add the agent's signature
+ *   execute   -- Execute a fully confirmed transaction from the agent wallet
+ *                (verified owner signatures, simulated first)
+ *   reject    -- Propose the zero-value self-call that cancels whatever is
+ *                queued at a nonce; --execute sends it once confirmed
+ *   cosign    -- Human owner mode: walk the queue, review each proposal
+ *                (decoded, hash and confirmations verified) and sign or
+ *                reject it with the owner's key, not the agent's
+ *   sign-file -- Sign an exported SafeTx file offline (no RPC or network)
+ *   import-signatures -- Submit the signatures collected in SafeTx files to
+ *                the Transaction Service, or execute with them
+ *   proposers -- List the Transaction Service proposers (delegates) of the Safe
+ *   add-proposer / remove-proposer -- Register or remove a proposer with the
+ *                owner's key, so the agent can propose without being an owner
  *
  * Usage:
  *   node scripts/agent-treasury-propose.mjs transfer --token MOR --to 0x... --amount 100
  *   node scripts/agent-treasury-propose.mjs transfer --token ETH --to 0x... --amount 0.5
  *   node scripts/agent-treasury-propose.mjs threshold --value 2
+ *   node scripts/agent-treasury-propose.mjs add-owner --owner 0x... --threshold 2
+ *   node scripts/agent-treasury-propose.mjs remove-owner --owner 0x...
+ *   node scripts/agent-treasury-propose.mjs swap-owner --old 0x... --new 0x...
  *   node scripts/agent-treasury-propose.mjs pending
+ *   node scripts/agent-treasury-propose.mjs pending --json
+ *   node scripts/agent-treasury-propose.mjs queue
+ *   node scripts/agent-treasury-propose.mjs transfer --token MOR --to 0x... --amount 5 --nonce auto
  *   node scripts/agent-treasury-propose.mjs confirm --hash 0x...
+ *   node scripts/agent-treasury-propose.mjs confirm --hash 0x... --dry-run
+ *   node scripts/agent-treasury-propose.mjs execute --hash 0x...
+ *   node scripts/agent-treasury-propose.mjs reject --nonce 12
+ *   node scripts/agent-treasury-propose.mjs reject --nonce 12 --execute
+ *   node scripts/agent-treasury-propose.mjs cosign
+ *   node scripts/agent-treasury-propose.mjs cosign --hash 0x... --keystore owner.json
  *   node scripts/agent-treasury-propose.mjs propose --to 0x... --data 0x... --value 0
+ *   node scripts/agent-treasury-propose.mjs transfer --token ETH --to 0x... --amount 0.5 --dry-run
+ *   node scripts/agent-treasury-propose.mjs set-allowance --delegate 0x... --token MOR --amount 100 --reset-minutes 1440
+ *   node scripts/agent-treasury-propose.mjs reset-allowance --delegate 0x... --token ETH
+ *   node scripts/agent-treasury-propose.mjs delete-allowance --delegate 0x... --token 0xToken
+ *   node scripts/agent-treasury-propose.mjs remove-delegate --delegate 0x...
+ *   node scripts/agent-treasury-propose.mjs batch --file payouts.csv
+ *   node scripts/agent-treasury-propose.mjs batch --file calls.json --dry-run
+ *   node scripts/agent-treasury-propose.mjs rotate-agent
+ *   node scripts/agent-treasury-propose.mjs rotate-agent --key-fd 3 3<new-key.txt
+ *   node scripts/agent-treasury-propose.mjs rotate-agent --finish
+ *   node scripts/agent-treasury-propose.mjs pending --chain arbitrum
+ *   node scripts/agent-treasury-propose.mjs transfer --token ETH --to 0x... --amount 0.5 --export tx.json
+ *   node scripts/agent-treasury-propose.mjs sign-file --file tx.json --signer keystore --keystore owner.json
+ *   node scripts/agent-treasury-propose.mjs import-signatures --file tx.json
+ *   node scripts/agent-treasury-propose.mjs import-signatures --file alice.json,bob.json --execute
+ *   node scripts/agent-treasury-propose.mjs proposers
+ *   node scripts/agent-treasury-propose.mjs add-proposer --keystore owner.json
+ *   node scripts/agent-treasury-propose.mjs remove-proposer --proposer 0x...
  *
  * Required in ~/morpheus/.env:
  *   SAFE_ADDRESS=0x...
+ *
+ * Optional in ~/morpheus/.env:
+ *   SAFE_CHAIN=base               Chain registry key (overridden by --chain)
+ *
+ * Batch files (see lib/batch.mjs) are JSON arrays or CSV with a header row:
+ *   token,recipient,amount        Payouts (MOR, ETH or a token address)
+ *   to,value,data                 Raw calls (value in wei)
+ * All entries become one MultiSendCallOnly delegatecall, so owners approve
+ * them with a single signature.
+ *
+ * Every proposal is simulated first (execTransaction as if fully signed, see
+ * lib/simulate.mjs): the revert reason, events and the Safe's balance changes
+ * are printed, and a proposal that would revert is not submitted. --dry-run
+ * stops after the simulation, without the agent key.
+ *
+ * Proposals use the Safe's current nonce and are refused when something is
+ * already queued there. --nonce N queues at a later nonce; --nonce auto takes
+ * the next nonce after everything queued, for independent proposals.
+ *
+ * confirm recomputes the safeTxHash from the Transaction Service record with
+ * the Safe's on-chain domain separator and refuses to sign on a mismatch or
+ * when the "signing" rules of the policy file fail (--policy, SAFE_POLICY or
+ * ~/morpheus/treasury.json; see lib/signing-policy.mjs).
+ *
+ * Offline signing (see lib/safe-tx-file.mjs): --export FILE on any proposal
+ * command writes the simulated, unsigned SafeTx instead of signing and
+ * submitting it. On the offline machine, sign-file recomputes the safeTxHash
+ * from the fields, decodes the call, and adds a signature from the configured
+ * signer (--signer and --keystore override SAFE_SIGNER and SAFE_KEYSTORE;
+ * --out writes a copy). Back online, import-signatures checks every signature
+ * against the current owners and proposes/confirms on the Transaction
+ * Service, or executes with --execute.
+ *
+ * cosign signs with the human owner's key from SAFE_OWNER_SIGNER (keystore:
+ * SAFE_OWNER_KEYSTORE, SAFE_OWNER_KEYSTORE_PASSWORD_FD; remote:
+ * SAFE_OWNER_REMOTE_SIGNER_URL, SAFE_OWNER_REMOTE_SIGNER_ADDRESS; --signer
+ * and --keystore override), never from the agent Keychain entry. The agent
+ * key is not loaded; a key with the agent's address (SAFE_AGENT_ADDRESS,
+ * the keystore address field or the remote signer) is refused.
+ * Signing-policy violations are shown for the owner to weigh, not enforced.
+ * sign-file --owner uses the same owner signer.
+ *
+ * The agent does not have to be an owner: add-proposer registers it (or
+ * --proposer) as a Transaction Service delegate, signed with the same owner
+ * signer, so a human-owned Safe accepts its proposals. Proposers cannot sign
+ * for the Safe, so confirm still needs an owner agent.
+ *
+ * rotate-agent stores the new key next to the current one in the signer
+ * backend (Keychain/Secret Service account --name, default <account>-<date>;
+ * keystore path --name, password from --password-fd or a prompt). With the
+ * remote signer, create the key there and pass --new-agent 0x... The old key
+ * stays configured until --finish has swept its wallet; --finish then adds the
+ * new signer settings to ~/morpheus/.env. The batch is simulated before the
+ * key is stored; if submitting it fails, rotate-agent again resubmits it for
+ * the stored key.
  */
 
 import { readFileSync } from "node:fs";
-import { execFileSync } from "node:child_process";
-import {
-  createPublicClient,
-  http,
-  formatEther,
-  parseEther,
-  parseAbi,
-  encodeFunctionData,
-  getAddress,
-  zeroAddress,
-  keccak256,
-  encodeAbiParameters,
-  parseAbiParameters,
-  toBytes,
-  concat,
-  toHex,
-} from "viem";
-import { base } from "viem/chains";
-import { privateKeyToAccount } from "viem/accounts";
-
-// --- Load .env ---
-const SAFE_DIR = process.env.SAFE_DIR || process.env.MORPHEUS_DIR || `${process.env.HOME}/morpheus`;
-
-function loadEnv(filepath) {
-  try {
-    const content = readFileSync(filepath, "utf-8");
-    for (const line of content.split("\n")) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith("#")) continue;
-      const eqIdx = trimmed.indexOf("=");
-      if (eqIdx === -1) continue;
-      const key = trimmed.slice(0, eqIdx);
-      let value = trimmed.slice(eqIdx + 1);
-      if (
-        (value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))
-      ) {
-        value = value.slice(1, -1);
-      }
-      if (!process.env[key]) {
-        process.env[key] = value;
-      }
+import { formatEther, formatUnits, parseEther, parseUnits } from "viem";
+import { SafeTreasury } from "../lib/treasury.mjs";
+import { SAFE_DIR, loadEnv, setEnvValue, resolveSignerConfig, resolveOwnerSignerConfig } from "../lib/env.mjs";
+import { safeAppQueueUrl, explorerTxUrl } from "../lib/chains.mjs";
+import { loadBatchFile, resolveBatch } from "../lib/batch.mjs";
+import { decodeTransaction, formatDecoded } from "../lib/decode.mjs";
+import { loadSigningPolicy } from "../lib/signing-policy.mjs";
+import { summarizeVerification, formatVerification } from "../lib/signatures.mjs";
+import { formatSimulation } from "../lib/simulate.mjs";
+import { readSafeTxFile, writeSafeTxFile, signSafeTxFile, mergeSafeTxFiles } from "../lib/safe-tx-file.mjs";
+import { loadSignerAccount, loadOwnerSignerAccount } from "../lib/signer.mjs";
+import { startRotation, finishRotation, readRotationState } from "../lib/rotation.mjs";
+import { promptHidden, readPasswordFd } from "../lib/keystore.mjs";
+import { TreasuryError } from "../lib/errors.mjs";
+import { log, exitWithError, parseCommandArgs, ask } from "../lib/cli.mjs";
+
+loadEnv();
+
+// --- Commands ---
+
+async function logSubmitted(treasury, result, cmdArgs) {
+  if (result.simulation) {
+    for (const line of formatSimulation(result.simulation)) {
+      log(line);
     }
-  } catch {
-    // .env is optional
   }
+  if (result.dryRun) {
+    log(`--- DRY RUN --- (nonce ${result.nonce}; not signed or submitted)`);
+    return;
+  }
+  if (result.unsigned) {
+    writeSafeTxFile(cmdArgs.export, await treasury.exportProposal(result));
+    log(`Exported unsigned SafeTx (nonce ${result.nonce}) to ${cmdArgs.export}.`);
+    log(`  Sign offline: sign-file --file ${cmdArgs.export}`);
+    log(`  Then: import-signatures --file ${cmdArgs.export} [--execute]`);
+    return;
+  }
+  log(`Submitted (${result.status}). Waiting for co-signatures in Safe Wallet app.`);
+  log(`  View: ${safeAppQueueUrl(treasury.chainConfig, treasury.safeAddress)}`);
 }
 
-loadEnv(`${SAFE_DIR}/.env`);
-
-// --- Configuration ---
-const SAFE_ADDRESS = process.env.SAFE_ADDRESS;
-// SECURITY: Require explicit RPC config. Public RPCs can return manipulated data.
-const RPC_URL = process.env.SAFE_RPC || process.env.EVERCLAW_RPC;
-if (!RPC_URL) {
-  console.error("[ERROR] SAFE_RPC not configured in ~/morpheus/.env");
-  console.error("  Public RPCs are NOT secure for financial operations.");
-  console.error("  Use Alchemy, Infura, QuickNode, or your own node.");
-  process.exit(1);
-}
+async function cmdPending(treasury, cmdArgs) {
+  const json = Boolean(cmdArgs.json);
+  if (!json) log(`Fetching pending transactions for ${treasury.safeAddress}...`);
+  const pending = await treasury.pending();
 
-// Safe Transaction Service for Base
-const TX_SERVICE_URL =
-  process.env.SAFE_TX_SERVICE || "https://safe-transaction-base.safe.global";
-
-const KEYCHAIN_ACCOUNT =
-  process.env.SAFE_KEYCHAIN_ACCOUNT || process.env.EVERCLAW_KEYCHAIN_ACCOUNT || "everclaw-agent";
-const KEYCHAIN_SERVICE =
-  process.env.SAFE_KEYCHAIN_SERVICE || process.env.EVERCLAW_KEYCHAIN_SERVICE || "everclaw-wallet-key";
-const KEYCHAIN_DB =
-  process.env.SAFE_KEYCHAIN_DB || process.env.EVERCLAW_KEYCHAIN_DB ||
-  `${process.env.HOME}/Library/Keychains/everclaw.keychain-db`;
-// KEYCHAIN_PASS_FILE removed - auto-unlock via CLI args exposed password in `ps aux`
-
-// Contract addresses
-const MOR_TOKEN = "0x7431aDa8a591C955a994a21710752EF9b882b8e3";
-
-// --- ABIs ---
-const SAFE_ABI = parseAbi([
-  "function nonce() view returns (uint256)",
-  "function getThreshold() view returns (uint256)",
-  "function getOwners() view returns (address[])",
-  "function domainSeparator() view returns (bytes32)",
-  "function changeThreshold(uint256 _threshold)",
-]);
-
-const ERC20_ABI = parseAbi([
-  "function transfer(address to, uint256 amount) returns (bool)",
-]);
-
-// Safe TX type hash (EIP-712)
-const SAFE_TX_TYPEHASH = keccak256(
-  toBytes(
-    "SafeTx(address to,uint256 value,bytes data,uint8 operation,uint256 safeTxGas,uint256 baseGas,uint256 gasPrice,address gasToken,address refundReceiver,uint256 nonce)"
-  )
-);
-
-// --- Helpers ---
-function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
-}
+  const decoded = [];
+  const verified = [];
+  for (const tx of pending) {
+    decoded.push(await treasury.decode(tx));
+    verified.push(summarizeVerification(await treasury.verifyTransaction(tx)));
+  }
 
-function getPrivateKey() {
-  // SECURITY: Keychain must be pre-unlocked. We no longer auto-unlock via password file
-  // because passing passwords via command-line args exposes them in `ps aux` output.
-  // Before running: security unlock-keychain ~/Library/Keychains/everclaw.keychain-db
-  try {
-    return execFileSync(
-      "security",
-      [
-        "find-generic-password",
-        "-a", KEYCHAIN_ACCOUNT,
-        "-s", KEYCHAIN_SERVICE,
-        "-w", KEYCHAIN_DB,
-      ],
-      { encoding: "utf-8", stdio: "pipe" }
-    ).trim();
-  } catch (e) {
-    log(`ERROR: Could not retrieve wallet key from Keychain.`);
-    log(`  Account: ${KEYCHAIN_ACCOUNT}, Service: ${KEYCHAIN_SERVICE}`);
-    log(`  Unlock keychain first: security unlock-keychain "${KEYCHAIN_DB}"`);
-    process.exit(1);
+  if (json) {
+    console.log(JSON.stringify(pending.map((tx, i) => ({
+      safeTxHash: tx.safeTxHash,
+      to: tx.to,
+      value: tx.value,
+      data: tx.data || null,
+      operation: tx.operation,
+      nonce: tx.nonce,
+      confirmations: tx.confirmations ? tx.confirmations.map((c) => c.owner) : [],
+      confirmationsRequired: tx.confirmationsRequired,
+      decoded: decoded[i],
+      verification: verified[i],
+    })), null, 2));
+    return;
+  }
+
+  if (pending.length === 0) {
+    log("No pending transactions.");
+    return;
+  }
+
+  log(`Found ${pending.length} pending transaction(s):\n`);
+  for (const [i, tx] of pending.entries()) {
+    log(`  Safe TX hash: ${tx.safeTxHash}`);
+    log(`    Nonce: ${tx.nonce}`);
+    log(`    Action:`);
+    for (const line of formatDecoded(decoded[i], "      ")) {
+      log(line);
+    }
+    log(`    Confirmations: ${verified[i].validConfirmations}/${tx.confirmationsRequired} verified`);
+    for (const line of formatVerification(verified[i], "      ")) {
+      log(line);
+    }
+    log("");
   }
 }
 
-/**
- * Compute the Safe transaction hash (EIP-712).
- */
-function computeSafeTxHash(domainSeparator, txData) {
-  return keccak256(
-    concat([
-      "0x1901",
-      domainSeparator,
-      keccak256(
-        encodeAbiParameters(
-          parseAbiParameters(
-            "bytes32, address, uint256, bytes32, uint8, uint256, uint256, uint256, address, address, uint256"
-          ),
-          [
-            SAFE_TX_TYPEHASH,
-            txData.to,
-            txData.value,
-            keccak256(txData.data),
-            txData.operation,
-            0n, // safeTxGas
-            0n, // baseGas
-            0n, // gasPrice
-            zeroAddress, // gasToken
-            zeroAddress, // refundReceiver
-            txData.nonce,
-          ]
-        )
-      ),
-    ])
-  );
+async function cmdQueue(treasury, cmdArgs) {
+  const queue = await treasury.queue();
+
+  if (cmdArgs.json) {
+    console.log(JSON.stringify(queue, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+    return;
+  }
+
+  log(`Safe nonce: ${queue.nonce}, threshold ${queue.threshold}, next free nonce: ${queue.nextFreeNonce}`);
+  if (queue.entries.length === 0) {
+    log("Queue is empty.");
+    return;
+  }
+  for (const entry of queue.entries) {
+    log("");
+    const state = entry.gap ? "GAP (nothing queued)" : entry.ready ? "ready" : "awaiting signatures";
+    log(`  Nonce ${entry.nonce}: ${state}${entry.conflict ? `, ${entry.transactions.length} competing (only one can execute)` : ""}`);
+    for (const tx of entry.transactions) {
+      const what = tx.rejection ? "rejection" : `to ${tx.to}`;
+      log(`    ${tx.safeTxHash}  ${what}  ${tx.confirmations}/${queue.threshold}${tx.flagged ? "  FLAGGED (see pending)" : ""}`);
+    }
+    if (entry.blockedBy.length > 0) {
+      log(`    Blocked by nonce(s): ${entry.blockedBy.join(", ")}`);
+    }
+  }
 }
 
-/**
- * Sign a Safe transaction hash with the agent key (eth_sign style).
- */
-async function signSafeTxHash(account, safeTxHash) {
-  const signature = await account.signMessage({
-    message: { raw: toBytes(safeTxHash) },
-  });
+function logAllowanceChanges(result) {
+  log(`Delegate: ${result.delegate}`);
+  if (result.changes.length === 0) {
+    log("  (no allowances)");
+  }
+  for (const { token, before, after } of result.changes) {
+    const fmt = (v) => formatUnits(v, token.decimals);
+    log(`  ${token.label}:`);
+    log(`    limit:  ${fmt(before.amount)} -> ${fmt(after.amount)}`);
+    log(`    spent:  ${fmt(before.spent)} -> ${fmt(after.spent)}`);
+    log(`    reset:  ${before.resetTimeMin}min -> ${after.resetTimeMin}min`);
+  }
+}
 
-  // Adjust v for eth_sign (Safe expects v + 4)
-  // Normalize v to 27/28 first if it's in recovery id format (0/1)
-  const sigBytes = toBytes(signature);
-  let v = sigBytes[64];
-  if (v < 27) {
-    v += 27; // Normalize 0/1 -> 27/28
+async function cmdAllowance(treasury, command, cmdArgs) {
+  if (!cmdArgs.delegate || (command !== "remove-delegate" && !cmdArgs.token)) {
+    log(`ERROR: --delegate${command === "remove-delegate" ? "" : " and --token"} required`);
+    process.exit(1);
   }
-  sigBytes[64] = v + 4; // Add 4 for eth_sign style -> 31/32
+  const { delegate, token } = cmdArgs;
 
-  // Sanity check: v should now be 31 or 32
-  if (sigBytes[64] !== 31 && sigBytes[64] !== 32) {
-    throw new Error(`Unexpected signature v value after adjustment: ${sigBytes[64]} (original: ${v - (v >= 27 ? 0 : 27)})`);
+  let result;
+  switch (command) {
+    case "set-allowance": {
+      if (!cmdArgs.amount) {
+        log("ERROR: --amount required");
+        process.exit(1);
+      }
+      const { decimals } = await treasury.resolveToken(token);
+      result = await treasury.setAllowance({
+        delegate,
+        token,
+        amount: parseUnits(cmdArgs.amount, decimals),
+        resetMinutes: cmdArgs["reset-minutes"] ? Number(cmdArgs["reset-minutes"]) : undefined,
+      });
+      break;
+    }
+    case "reset-allowance":
+      result = await treasury.resetAllowance({ delegate, token });
+      break;
+    case "delete-allowance":
+      result = await treasury.deleteAllowance({ delegate, token });
+      break;
+    case "remove-delegate":
+      result = await treasury.removeDelegate(delegate);
+      break;
   }
 
-  return toHex(sigBytes);
+  logAllowanceChanges(result);
+  await logSubmitted(treasury, result, cmdArgs);
 }
 
-/**
- * Submit a proposed transaction to the Safe Transaction Service.
- */
-async function submitToTxService(safeAddress, txData, safeTxHash, signature, senderAddress) {
-  const url = `${TX_SERVICE_URL}/api/v1/safes/${safeAddress}/multisig-transactions/`;
-
-  const body = {
-    to: txData.to,
-    value: txData.value.toString(),
-    data: txData.data,
-    operation: txData.operation,
-    safeTxGas: "0",
-    baseGas: "0",
-    gasPrice: "0",
-    gasToken: zeroAddress,
-    refundReceiver: zeroAddress,
-    nonce: txData.nonce.toString(),
-    contractTransactionHash: safeTxHash,
-    sender: senderAddress,
-    signature: signature,
-  };
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
+async function cmdBatch(treasury, cmdArgs) {
+  const { calls, descriptions } = await resolveBatch(treasury, loadBatchFile(cmdArgs.file));
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Transaction Service error (${response.status}): ${errorText}`);
+  log(`Batch ${cmdArgs.file}: ${calls.length} call(s)`);
+  for (const [i, line] of descriptions.entries()) {
+    log(`  ${String(i + 1).padStart(3)}. ${line}`);
   }
 
-  return response.status;
+  await logSubmitted(treasury, await treasury.proposeBatch(calls), cmdArgs);
+}
+
+function signingPolicyFile(cmdArgs) {
+  return cmdArgs.policy || process.env.SAFE_POLICY || `${SAFE_DIR}/treasury.json`;
 }
 
 /**
- * Submit a confirmation (signature) for an existing pending transaction.
+ * Owner signer config (SAFE_OWNER_*) with --signer/--keystore applied.
  */
-async function submitConfirmation(safeTxHash, signature) {
-  const url = `${TX_SERVICE_URL}/api/v1/multisig-transactions/${safeTxHash}/confirmations/`;
+async function loadOwner(cmdArgs) {
+  const signer = resolveOwnerSignerConfig();
+  if (cmdArgs.signer) signer.backend = cmdArgs.signer;
+  if (cmdArgs.keystore) signer.keystore.path = cmdArgs.keystore;
+  return loadOwnerSignerAccount(signer, resolveSignerConfig());
+}
 
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ signature }),
-  });
+async function cmdConfirm(treasury, cmdArgs) {
+  const dryRun = Boolean(cmdArgs["dry-run"]);
+  const result = await treasury.confirm(cmdArgs.hash, { policy: loadSigningPolicy(signingPolicyFile(cmdArgs)), dryRun });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Confirmation error (${response.status}): ${errorText}`);
+  log(`Verified ${result.safeTxHash} (nonce ${result.nonce}): hash matches, signing policy passed.`);
+  log(`  Action:`);
+  for (const line of formatDecoded(result.decoded, "    ")) {
+    log(line);
   }
-
-  return response.status;
+  if (dryRun) {
+    log("--- DRY RUN --- (not signed)");
+    return;
+  }
+  log(`Confirmation submitted (${result.status}).`);
+  log(`  View: ${safeAppQueueUrl(treasury.chainConfig, treasury.safeAddress)}`);
 }
 
-/**
- * Fetch pending transactions from the Transaction Service.
- */
-async function getPendingTransactions(safeAddress) {
-  const url = `${TX_SERVICE_URL}/api/v1/safes/${safeAddress}/multisig-transactions/?executed=false&limit=10`;
+async function cmdCosign(treasury, cmdArgs) {
+  const owner = await loadOwner(cmdArgs);
+  log(`Owner: ${owner.address}`);
+  const policy = loadSigningPolicy(signingPolicyFile(cmdArgs));
 
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch pending txs: ${response.status}`);
+  const hashes = cmdArgs.hash
+    ? [cmdArgs.hash]
+    : (await treasury.queue()).entries.flatMap((e) => e.transactions.map((t) => t.safeTxHash));
+  if (hashes.length === 0) {
+    log("Queue is empty.");
+    return;
   }
 
-  const data = await response.json();
-  return data.results || [];
-}
+  const rejected = new Set();
+  for (const safeTxHash of hashes) {
+    log("");
+    let review;
+    try {
+      review = await treasury.review(safeTxHash, { policy });
+    } catch (e) {
+      if (!(e instanceof TreasuryError)) throw e;
+      log(`${safeTxHash}: NOT SIGNABLE -- ${e.message}`);
+      for (const hint of e.hints) {
+        log(`  ${hint}`);
+      }
+      continue;
+    }
+    if (rejected.has(review.nonce)) {
+      log(`${safeTxHash}: nonce ${review.nonce} rejected above; skipped.`);
+      continue;
+    }
 
-// --- Commands ---
+    log(`Nonce ${review.nonce}: ${safeTxHash}${review.rejection ? " (rejection)" : ""} -- hash verified`);
+    log(`  Action:`);
+    for (const line of formatDecoded(review.decoded, "    ")) {
+      log(line);
+    }
+    log(`  Confirmations: ${review.verification.validConfirmations} verified`);
+    for (const line of formatVerification(summarizeVerification(review.verification), "    ")) {
+      log(line);
+    }
+    for (const violation of review.violations) {
+      log(`  POLICY: ${violation}`);
+    }
+    if (review.verification.confirmations.some((c) => !c.problem && c.signer.toLowerCase() === owner.address.toLowerCase())) {
+      log("  Already confirmed by this owner.");
+      continue;
+    }
 
-async function cmdPropose(publicClient, account, safeAddress, targetArgs) {
-  const to = getAddress(targetArgs.to);
-  const value = targetArgs.value ? BigInt(targetArgs.value) : 0n;
-  const data = targetArgs.data || "0x";
+    const choices = review.rejection ? "[s]ign, s[k]ip, [q]uit" : `[s]ign, [r]eject nonce ${review.nonce}, s[k]ip, [q]uit`;
+    const answer = await ask(`  ${choices}? `);
+    if (answer === "s" || answer === "sign") {
+      const result = await treasury.cosign(safeTxHash, owner);
+      log(`  Confirmation submitted (${result.status}).`);
+    } else if (!review.rejection && (answer === "r" || answer === "reject")) {
+      const result = await treasury.cosignRejection(review.nonce, owner);
+      log(`  Rejection ${result.proposed ? "proposed" : "confirmed"}: ${result.safeTxHash} (${result.status})`);
+      rejected.add(review.nonce);
+    } else if (answer === "q" || answer === "quit") {
+      return;
+    } else {
+      log("  Skipped.");
+    }
+  }
+  log("");
+  log(`View: ${safeAppQueueUrl(treasury.chainConfig, treasury.safeAddress)}`);
+}
 
-  // SECURITY: Validate hex data format
-  if (data !== "0x" && !/^0x([0-9a-fA-F]{2})*$/.test(data)) {
-    log("ERROR: Invalid --data format. Must be '0x' followed by even number of hex characters.");
-    log("  Example: 0x or 0xa9059cbb000000...");
-    process.exit(1);
+async function cmdProposers(treasury, cmdArgs) {
+  const proposers = await treasury.getProposers();
+  if (cmdArgs.json) {
+    console.log(JSON.stringify(proposers, null, 2));
+    return;
+  }
+  if (proposers.length === 0) {
+    log(`No proposers registered for ${treasury.safeAddress}.`);
+    return;
+  }
+  log(`Proposers of ${treasury.safeAddress}:`);
+  for (const p of proposers) {
+    const scope = p.safe ? "" : ", all Safes of the delegator";
+    const expiry = p.expiryDate ? `, expires ${p.expiryDate}` : "";
+    log(`  ${p.delegate}  "${p.label}" (added by ${p.delegator}${scope}${expiry})`);
   }
+}
 
-  const operation = targetArgs.operation || 0;
+async function cmdChangeProposer(treasury, command, cmdArgs) {
+  const owner = await loadOwner(cmdArgs);
+  log(`Owner: ${owner.address}`);
+  // Defaults to the agent, by address only: the agent key is not unlocked
+  const proposer = cmdArgs.proposer || await treasury.getAgentAddress();
 
-  const [nonce, domainSeparator, pendingTxs] = await Promise.all([
-    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "nonce" }),
-    publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: "domainSeparator" }),
-    getPendingTransactions(safeAddress),
-  ]);
+  if (command === "add-proposer") {
+    const result = await treasury.addProposer(proposer, owner, { label: cmdArgs.label });
+    log(`Proposer ${result.proposer} ("${result.label}") registered (${result.status}).`);
+    log("It can now propose transactions; owners still sign them.");
+  } else {
+    const result = await treasury.removeProposer(proposer, owner);
+    log(`Proposer ${result.proposer} removed (${result.status}).`);
+  }
+}
 
-  // SECURITY: Check for nonce conflicts with pending transactions
-  const conflictingTx = pendingTxs.find(tx => BigInt(tx.nonce) === nonce);
-  if (conflictingTx) {
-    log(`ERROR: Pending transaction already exists at nonce ${nonce}:`);
-    log(`  Safe TX hash: ${conflictingTx.safeTxHash}`);
-    log(`  To: ${conflictingTx.to}`);
-    log(`  Value: ${formatEther(BigInt(conflictingTx.value))} ETH`);
-    log("");
-    log("Options:");
-    log("  1. Execute or reject the pending tx first");
-    log("  2. Use 'confirm --hash <safeTxHash>' to co-sign the existing tx");
+async function cmdReject(treasury, cmdArgs) {
+  if (!cmdArgs.nonce) {
+    log("ERROR: --nonce required (see 'pending')");
     process.exit(1);
   }
 
-  const txData = { to, value, data, operation, nonce };
-  const safeTxHash = computeSafeTxHash(domainSeparator, txData);
-  const signature = await signSafeTxHash(account, safeTxHash);
-
-  log(`Safe TX hash: ${safeTxHash}`);
-  log(`Submitting to Transaction Service...`);
-
-  const status = await submitToTxService(
-    safeAddress,
-    txData,
-    safeTxHash,
-    signature,
-    account.address
-  );
+  if (cmdArgs.execute) {
+    const result = await treasury.executeRejection(cmdArgs.nonce);
+    log(`${result.success ? "ExecutionSuccess" : "ExecutionFailure"}: nonce ${result.nonce} rejected`);
+    log(`  tx: ${explorerTxUrl(treasury.chainConfig, result.txHash)}`);
+    if (!result.success) {
+      process.exitCode = 1;
+    }
+    return;
+  }
 
-  log(`Submitted (${status}). Waiting for co-signatures in Safe Wallet app.`);
-  log(`  View: https://app.safe.global/transactions/queue?safe=base:${safeAddress}`);
+  const result = await treasury.reject(cmdArgs.nonce);
+  if (result.replaces.length === 0) {
+    log(`No pending transaction at nonce ${result.nonce}; the rejection only skips the nonce.`);
+  } else {
+    log(`Replaces ${result.replaces.length} pending transaction(s) at nonce ${result.nonce}:`);
+    for (const tx of result.replaces) {
+      log(`  Safe TX hash: ${tx.safeTxHash}`);
+      for (const line of formatDecoded(await treasury.decode(tx), "    ")) {
+        log(line);
+      }
+    }
+  }
+  await logSubmitted(treasury, result, cmdArgs);
+  if (!result.dryRun && !result.unsigned) {
+    log(`Once confirmed: reject --nonce ${result.nonce} --execute`);
+  }
 }
 
-async function cmdTransfer(publicClient, account, safeAddress, transferArgs) {
-  const token = (transferArgs.token || "").toUpperCase();
-  const to = getAddress(transferArgs.to);
-  const amount = parseEther(transferArgs.amount);
-
-  // Validate amount is positive
-  if (amount <= 0n) {
-    log("ERROR: --amount must be greater than 0");
+async function cmdSignFile(cmdArgs) {
+  if (!cmdArgs.file) {
+    log("ERROR: --file required (SafeTx file from --export)");
     process.exit(1);
   }
+  const file = readSafeTxFile(cmdArgs.file);
+
+  log(`Safe:         ${file.safeAddress} (chain ${file.chainId})`);
+  log(`Nonce:        ${file.txData.nonce}`);
+  log(`Safe TX hash: ${file.safeTxHash} (recomputed from the fields)`);
+  log(`Action (decoded from the calldata):`);
+  for (const line of formatDecoded(await decodeTransaction(file.txData), "  ")) {
+    log(line);
+  }
+  if (file.txData.gasPrice > 0n) {
+    log(`WARNING: Pays a gas refund (gasPrice ${file.txData.gasPrice}, token ${file.txData.gasToken}) to ${file.txData.refundReceiver}`);
+  }
 
-  let txTo, txValue, txData;
-
-  if (token === "ETH") {
-    txTo = to;
-    txValue = amount;
-    txData = "0x";
-    log(`Proposing: Transfer ${formatEther(amount)} ETH to ${to}`);
-  } else if (token === "MOR") {
-    txTo = MOR_TOKEN;
-    txValue = 0n;
-    txData = encodeFunctionData({
-      abi: ERC20_ABI,
-      functionName: "transfer",
-      args: [to, amount],
-    });
-    log(`Proposing: Transfer ${formatEther(amount)} MOR to ${to}`);
+  let account;
+  if (cmdArgs.owner) {
+    account = await loadOwner(cmdArgs);
   } else {
-    log(`ERROR: Unknown token "${token}". Use --token MOR or --token ETH`);
-    process.exit(1);
+    const signer = resolveSignerConfig();
+    if (cmdArgs.signer) signer.backend = cmdArgs.signer;
+    if (cmdArgs.keystore) signer.keystore.path = cmdArgs.keystore;
+    account = await loadSignerAccount(signer);
   }
+  const { type } = await signSafeTxFile(file, account, process.env.SAFE_SIGNATURE_TYPE || "eip712");
 
-  await cmdPropose(publicClient, account, safeAddress, {
-    to: txTo,
-    value: txValue.toString(),
-    data: txData,
-  });
+  const out = cmdArgs.out || cmdArgs.file;
+  writeSafeTxFile(out, file);
+  log(`Signed by ${account.address} (${type}); ${file.signatures.length} signature(s) in ${out}.`);
 }
 
-async function cmdThreshold(publicClient, account, safeAddress, thresholdArgs) {
-  const newThreshold = parseInt(thresholdArgs.value, 10);
-  const owners = await publicClient.readContract({
-    address: safeAddress,
-    abi: SAFE_ABI,
-    functionName: "getOwners",
-  });
-
-  if (Number.isNaN(newThreshold) || newThreshold < 1 || newThreshold > owners.length) {
-    log(`ERROR: Threshold must be a number between 1 and ${owners.length}`);
+async function cmdImportSignatures(treasury, cmdArgs) {
+  if (!cmdArgs.file) {
+    log("ERROR: --file required (one or more comma-separated SafeTx files)");
     process.exit(1);
   }
+  const paths = cmdArgs.file.split(",").map((p) => p.trim()).filter(Boolean);
+  const file = mergeSafeTxFiles(paths.map((path) => readSafeTxFile(path)));
+  log(`Safe TX hash: ${file.safeTxHash} (nonce ${file.txData.nonce}), ${file.signatures.length} signature(s) in ${paths.length} file(s)`);
 
-  const data = encodeFunctionData({
-    abi: SAFE_ABI,
-    functionName: "changeThreshold",
-    args: [BigInt(newThreshold)],
-  });
-
-  log(`Proposing: Change threshold to ${newThreshold}-of-${owners.length}`);
+  const result = await treasury.importSignatures(file, { execute: Boolean(cmdArgs.execute) });
+  for (const line of formatVerification(summarizeVerification(result.verification), "  ")) {
+    log(line);
+  }
+  if (result.mode === "executed") {
+    const { execution } = result;
+    log(`${execution.success ? "ExecutionSuccess" : "ExecutionFailure"}: nonce ${execution.nonce}, ${execution.signatures} signature(s)`);
+    log(`  tx: ${explorerTxUrl(treasury.chainConfig, execution.txHash)}`);
+    if (!execution.success) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+  log(`${result.proposed ? "Proposed" : "Already on the Transaction Service"}; ${result.submitted} new signature(s) submitted.`);
+  log(`  View: ${safeAppQueueUrl(treasury.chainConfig, treasury.safeAddress)}`);
+}
 
-  await cmdPropose(publicClient, account, safeAddress, {
-    to: safeAddress,
-    value: "0",
-    data,
-  });
+async function newKeystorePassword(cmdArgs) {
+  if (cmdArgs["password-fd"]) {
+    return readPasswordFd(cmdArgs["password-fd"]);
+  }
+  const password = await promptHidden("Password for the new keystore: ");
+  if (password !== (await promptHidden("Repeat password: "))) {
+    throw new TreasuryError("Passwords do not match.");
+  }
+  return password;
 }
 
-async function cmdPending(safeAddress) {
-  log(`Fetching pending transactions for ${safeAddress}...`);
-  const pending = await getPendingTransactions(safeAddress);
+async function cmdRotateFinish(treasury) {
+  const { state, sweep, check, oldBalances } = await finishRotation(treasury);
 
-  if (pending.length === 0) {
-    log("No pending transactions.");
-    return;
+  log(`Swept to Safe: ${formatEther(sweep.mor.amount)} MOR, ${formatEther(sweep.eth.amount)} ETH`);
+  for (const txHash of [sweep.mor.txHash, sweep.eth.txHash].filter(Boolean)) {
+    log(`  tx: ${txHash}`);
+  }
+  log(`Old wallet left with: ${oldBalances.mor === null ? "-" : formatEther(oldBalances.mor)} MOR, ${formatEther(oldBalances.eth)} ETH (gas reserve)`);
+
+  log("");
+  log("Verifying...");
+  log(`  New agent ${state.newAgent}: owner ${check.newIsOwner}, delegate ${check.newIsDelegate}, allowances copied ${check.allowancesCopied}`);
+  log(`  Old agent ${state.oldAgent}: owner ${check.oldIsOwner}, delegate ${check.oldIsDelegate}`);
+  if (!check.done) {
+    log("  WARNING: On-chain state changed since the rotation executed; check agent-treasury-status.mjs.");
+    process.exitCode = 1;
   }
 
-  log(`Found ${pending.length} pending transaction(s):\n`);
-  for (const tx of pending) {
-    const confirmCount = tx.confirmations ? tx.confirmations.length : 0;
-    log(`  Safe TX hash: ${tx.safeTxHash}`);
-    log(`    To: ${tx.to}`);
-    log(`    Value: ${formatEther(BigInt(tx.value))} ETH`);
-    log(`    Data: ${tx.data ? tx.data.slice(0, 20) + "..." : "(none)"}`);
-    log(`    Nonce: ${tx.nonce}`);
-    log(`    Confirmations: ${confirmCount}/${tx.confirmationsRequired}`);
-    if (tx.confirmations) {
-      for (const c of tx.confirmations) {
-        log(`      - ${c.owner}`);
-      }
+  log("");
+  for (const [key, value] of Object.entries(state.env)) {
+    if (setEnvValue(key, value) === "conflict") {
+      log(`ACTION: ~/morpheus/.env sets a different ${key}. Change it to: ${key}=${value}`);
+    } else {
+      log(`~/morpheus/.env: ${key}=${value}`);
     }
-    log("");
   }
+  log("Rotation complete. Restart the refill daemon so it loads the new key.");
 }
 
-async function cmdConfirm(publicClient, account, safeAddress, confirmArgs) {
-  const safeTxHash = confirmArgs.hash;
-  if (!safeTxHash) {
-    log("ERROR: --hash required. Get it from 'pending' command.");
-    process.exit(1);
+async function cmdRotateAgent(treasury, cmdArgs) {
+  if (cmdArgs.finish) {
+    await cmdRotateFinish(treasury);
+    return;
   }
 
-  log(`Signing transaction ${safeTxHash}...`);
-  const signature = await signSafeTxHash(account, safeTxHash);
-  const status = await submitConfirmation(safeTxHash, signature);
+  const { signer } = treasury;
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  const keyOptions = { address: cmdArgs["new-agent"] };
+  const unsubmitted = readRotationState(treasury);
+  if (unsubmitted && !unsubmitted.safeTxHash) {
+    // A failed submit left the new key stored; resubmit for it
+    log(`Resuming the rotation to ${unsubmitted.newAgent}; key options are ignored.`);
+  } else {
+    if (signer.backend === "keystore") {
+      keyOptions.name = cmdArgs.name || `${SAFE_DIR}/agent-keystore-${date}.json`;
+    } else if (signer.backend !== "remote") {
+      keyOptions.name = cmdArgs.name || `${signer.keychain.account}-${date}`;
+    }
+    if (cmdArgs["key-fd"]) {
+      // SECURITY: Imported keys come from a file descriptor, never argv
+      keyOptions.privateKey = readFileSync(Number(cmdArgs["key-fd"]), "utf-8").trim().replace(/^(?!0x)/, "0x");
+    }
+    if (signer.backend === "keystore") {
+      keyOptions.password = await newKeystorePassword(cmdArgs);
+    }
+    log(`Rotating agent key (${signer.backend}${keyOptions.name ? `: ${keyOptions.name}` : ""})...`);
+  }
+
+  const rotation = await startRotation(treasury, keyOptions);
 
-  log(`Confirmation submitted (${status}).`);
-  log(`  View: https://app.safe.global/transactions/queue?safe=base:${safeAddress}`);
+  if (rotation.mode === "proposed") {
+    log(`Proposed as one Safe transaction. Waiting for co-signatures in Safe Wallet app.`);
+    log(`  View: ${safeAppQueueUrl(treasury.chainConfig, treasury.safeAddress)}`);
+    if (!cmdArgs.wait) {
+      log("Once it has executed, run: rotate-agent --finish");
+      return;
+    }
+    await treasury.waitForExecution(rotation.safeTxHash, {
+      timeoutMs: Number(cmdArgs["wait-minutes"] || 60) * 60_000,
+    });
+  }
+  log("Waiting 5s for RPC state to settle...");
+  await new Promise((r) => setTimeout(r, 5000));
+  await cmdRotateFinish(treasury);
 }
 
 // --- Main ---
 async function main() {
-  if (!SAFE_ADDRESS) {
-    log("ERROR: SAFE_ADDRESS not set in ~/morpheus/.env");
-    process.exit(1);
-  }
-
-  const safeAddress = getAddress(SAFE_ADDRESS);
   const command = process.argv[2];
 
   if (!command || command === "--help") {
@@ -460,42 +640,120 @@ Commands:
   propose    --to 0x... [--data 0x...] [--value 0]   Propose raw transaction
   transfer   --token MOR|ETH --to 0x... --amount N    Propose token transfer
   threshold  --value N                                 Propose threshold change
-  pending                                              List pending transactions
-  confirm    --hash 0x...                              Confirm a pending transaction
+  add-owner  --owner 0x... [--threshold N]             Propose adding an owner
+  remove-owner --owner 0x... [--threshold N]           Propose removing an owner
+  swap-owner --old 0x... --new 0x...                   Propose replacing an owner
+  set-allowance --delegate 0x... --token T --amount N [--reset-minutes M]
+  reset-allowance --delegate 0x... --token T           Propose resetting spent to 0
+  delete-allowance --delegate 0x... --token T          Propose deleting an allowance
+  remove-delegate --delegate 0x...                     Propose removing a delegate
+                                                       (T = MOR, ETH or a token address)
+  batch      --file calls.json|payouts.csv [--dry-run] Propose many calls as one MultiSend tx
+  rotate-agent [--key-fd N] [--name X] [--wait]        Rotate the agent key (swap owner, move delegate)
+  rotate-agent --finish                                After execution: sweep old wallet, verify
+  pending    [--json]                                  List pending transactions (decoded)
+  queue      [--json]                                  Nonce order, gaps, conflicts and blockers
+  confirm    --hash 0x... [--dry-run] [--policy file]  Verify and confirm a pending transaction
+  execute    --hash 0x...                              Execute a fully confirmed transaction
+  reject     --nonce N [--execute]                     Propose (or execute) a rejection of nonce N
+  cosign     [--hash 0x...] [--policy file]             Review the queue and sign/reject as the human owner
+  sign-file  --file tx.json [--out F] [--owner] [--signer B] [--keystore K]
+                                                       Sign an exported SafeTx offline
+  import-signatures --file a.json[,b.json] [--execute] Submit (or execute with) offline signatures
+  proposers  [--json]                                  List Transaction Service proposers
+  add-proposer [--proposer 0x...] [--label L]          Register a proposer (default: SAFE_AGENT_ADDRESS / the agent)
+  remove-proposer [--proposer 0x...]                   Remove a proposer you registered
+                                                       (owner key: SAFE_OWNER_*, --signer, --keystore)
+
+Options:
+  --chain ethereum|arbitrum|optimism|base|base-sepolia  (default: SAFE_CHAIN or base)
+  --nonce N|auto   Proposal nonce (default: the Safe's nonce; auto = after everything queued)
+  --dry-run        Simulate the proposal (events, Safe balance changes) without signing it
+  --export FILE    Write the unsigned proposal to FILE for offline signing (sign-file)
 `);
     return;
   }
 
   // Parse remaining args (after command)
-  const cmdArgs = {};
-  const argv = process.argv.slice(3);
-  for (let i = 0; i < argv.length; i++) {
-    if (argv[i].startsWith("--")) {
-      const key = argv[i].slice(2);
-      const value = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[i + 1] : "true";
-      cmdArgs[key] = value;
-      if (value !== "true") i++;
+  const cmdArgs = parseCommandArgs(process.argv.slice(3));
+
+  // --nonce picks the proposal nonce for every command except reject (the nonce to reject)
+  const proposalNonce = command === "reject" ? undefined : cmdArgs.nonce;
+  if (proposalNonce !== undefined && proposalNonce !== "auto" && !/^\d+$/.test(proposalNonce)) {
+    log("ERROR: --nonce must be a number or 'auto'");
+    process.exit(1);
+  }
+
+  // --dry-run simulates proposals without signing; commands that send transactions refuse it
+  const dryRun = Boolean(cmdArgs["dry-run"]);
+  if (dryRun && (["execute", "rotate-agent", "cosign", "sign-file", "import-signatures", "add-proposer", "remove-proposer"].includes(command) || (command === "reject" && cmdArgs.execute))) {
+    log(`ERROR: --dry-run is not supported by ${command}${cmdArgs.execute ? " --execute" : ""}`);
+    process.exit(1);
+  }
+
+  // --export writes proposals unsigned; only commands that propose take it
+  const exportFile = cmdArgs.export;
+  if (exportFile !== undefined) {
+    const proposes = !["pending", "queue", "confirm", "cosign", "execute", "rotate-agent", "sign-file", "import-signatures",
+      "proposers", "add-proposer", "remove-proposer"].includes(command) &&
+      !(command === "reject" && cmdArgs.execute);
+    if (!proposes || dryRun) {
+      log(`ERROR: --export is only supported by proposal commands${dryRun ? " (without --dry-run)" : ""}`);
+      process.exit(1);
     }
+    if (exportFile === "true") {
+      log("ERROR: --export needs a file path");
+      process.exit(1);
+    }
+  }
+
+  // sign-file runs on the offline machine: no Safe, RPC or agent key needed
+  if (command === "sign-file") {
+    await cmdSignFile(cmdArgs);
+    return;
   }
 
-  // For 'pending', no key needed
+  const treasury = SafeTreasury.fromEnv({
+    chain: cmdArgs.chain,
+    logger: log,
+    proposalNonce,
+    dryRun,
+    unsigned: exportFile !== undefined,
+  });
+
+  // For 'pending', 'queue', 'proposers' and --dry-run, no key needed
   if (command === "pending") {
-    await cmdPending(safeAddress);
+    await cmdPending(treasury, cmdArgs);
+    return;
+  }
+  if (command === "queue") {
+    await cmdQueue(treasury, cmdArgs);
+    return;
+  }
+  if (command === "proposers") {
+    await cmdProposers(treasury, cmdArgs);
     return;
   }
 
-  // All other commands need the agent key
-  let privateKey = getPrivateKey();
-  if (!privateKey.startsWith("0x")) {
-    privateKey = `0x${privateKey}`;
+  // cosign and the proposer commands sign with the owner key only; the agent
+  // key is never loaded
+  if (command === "cosign") {
+    await cmdCosign(treasury, cmdArgs);
+    return;
+  }
+  if (command === "add-proposer" || command === "remove-proposer") {
+    await cmdChangeProposer(treasury, command, cmdArgs);
+    return;
   }
-  const account = privateKeyToAccount(privateKey);
-  log(`Agent: ${account.address}`);
 
-  const publicClient = createPublicClient({
-    chain: base,
-    transport: http(RPC_URL),
-  });
+  // All other commands need the agent key (import-signatures only to execute)
+  if (command === "import-signatures" && !cmdArgs.execute) {
+    await cmdImportSignatures(treasury, cmdArgs);
+    return;
+  }
+  if (!dryRun && exportFile === undefined) {
+    log(`Agent: ${(await treasury.getAccount()).address}`);
+  }
 
   switch (command) {
     case "propose":
@@ -503,7 +761,11 @@ Commands:
         log("ERROR: --to required");
         process.exit(1);
       }
-      await cmdPropose(publicClient, account, safeAddress, cmdArgs);
+      await logSubmitted(treasury, await treasury.propose({
+        to: cmdArgs.to,
+        value: cmdArgs.value ? BigInt(cmdArgs.value) : 0n,
+        data: cmdArgs.data || "0x",
+      }), cmdArgs);
       break;
 
     case "transfer":
@@ -511,7 +773,11 @@ Commands:
         log("ERROR: --token, --to, and --amount required");
         process.exit(1);
       }
-      await cmdTransfer(publicClient, account, safeAddress, cmdArgs);
+      await logSubmitted(treasury, await treasury.transfer({
+        token: cmdArgs.token,
+        to: cmdArgs.to,
+        amount: parseEther(cmdArgs.amount),
+      }), cmdArgs);
       break;
 
     case "threshold":
@@ -519,20 +785,75 @@ Commands:
         log("ERROR: --value required (new threshold number)");
         process.exit(1);
       }
-      await cmdThreshold(publicClient, account, safeAddress, cmdArgs);
+      await logSubmitted(treasury, await treasury.changeThreshold(Number(cmdArgs.value)), cmdArgs);
+      break;
+
+    case "add-owner":
+    case "remove-owner": {
+      if (!cmdArgs.owner) {
+        log("ERROR: --owner required");
+        process.exit(1);
+      }
+      const threshold = cmdArgs.threshold ? Number(cmdArgs.threshold) : undefined;
+      await logSubmitted(treasury, command === "add-owner"
+        ? await treasury.addOwner(cmdArgs.owner, threshold)
+        : await treasury.removeOwner(cmdArgs.owner, threshold), cmdArgs);
+      break;
+    }
+
+    case "swap-owner":
+      if (!cmdArgs.old || !cmdArgs.new) {
+        log("ERROR: --old and --new required");
+        process.exit(1);
+      }
+      await logSubmitted(treasury, await treasury.swapOwner(cmdArgs.old, cmdArgs.new), cmdArgs);
+      break;
+
+    case "set-allowance":
+    case "reset-allowance":
+    case "delete-allowance":
+    case "remove-delegate":
+      await cmdAllowance(treasury, command, cmdArgs);
+      break;
+
+    case "rotate-agent":
+      await cmdRotateAgent(treasury, cmdArgs);
+      break;
+
+    case "batch":
+      if (!cmdArgs.file) {
+        log("ERROR: --file required (JSON or CSV list of calls or payouts)");
+        process.exit(1);
+      }
+      await cmdBatch(treasury, cmdArgs);
       break;
 
     case "confirm":
-      await cmdConfirm(publicClient, account, safeAddress, cmdArgs);
+      await cmdConfirm(treasury, cmdArgs);
+      break;
+
+    case "reject":
+      await cmdReject(treasury, cmdArgs);
       break;
 
+    case "import-signatures":
+      await cmdImportSignatures(treasury, cmdArgs);
+      break;
+
+    case "execute": {
+      const result = await treasury.execute(cmdArgs.hash);
+      log(`${result.success ? "ExecutionSuccess" : "ExecutionFailure"}: nonce ${result.nonce}, ${result.signatures} signature(s)`);
+      log(`  tx: ${explorerTxUrl(treasury.chainConfig, result.txHash)}`);
+      if (!result.success) {
+        process.exitCode = 1;
+      }
+      break;
+    }
+
     default:
       log(`ERROR: Unknown command "${command}". Run with --help.`);
       process.exit(1);
   }
 }
 
-main().catch((e) => {
-  log(`FATAL: ${e.message}`);
-  process.exit(1);
-});
+main().catch((e) => exitWithError(e));
@@ -3,7 +3,8 @@
 #
 # Sets up:
 # 1. npm dependencies (viem)
-# 2. agent-treasury-refill.mjs copied to ~/morpheus/
+# 2. ~/morpheus/ data + log directories (refill runs in place from scripts/,
+#    since it imports the shared lib/ modules)
 # 3. launchd plist for auto-refill (every 6 hours)
 #
 # Usage: bash scripts/install.sh
@@ -34,8 +35,8 @@ else
   exit 1
 fi
 
-# --- 2. Copy agent-treasury-refill.mjs ---
-echo "[2/3] Installing agent-treasury-refill.mjs..."
+# --- 2. Prepare data directories ---
+echo "[2/3] Preparing $SAFE_DIR..."
 mkdir -p "$SAFE_DIR/data/logs"
 
 # SECURITY: Set restrictive permissions on all directories and files
@@ -43,8 +44,8 @@ chmod 700 "$SAFE_DIR"
 chmod 700 "$SAFE_DIR/data"
 chmod 700 "$SAFE_DIR/data/logs"
 
-cp "$SCRIPT_DIR/agent-treasury-refill.mjs" "$SAFE_DIR/agent-treasury-refill.mjs"
-chmod 700 "$SAFE_DIR/agent-treasury-refill.mjs"
+# Remove the standalone copy left by older installs (it can't resolve ../lib)
+rm -f "$SAFE_DIR/agent-treasury-refill.mjs"
 
 # Secure .env if it exists (contains SAFE_ADDRESS, RPC credentials)
 if [[ -f "$SAFE_DIR/.env" ]]; then
@@ -56,7 +57,7 @@ if [[ -f "$SAFE_DIR/data/logs/refill.log" ]]; then
   chmod 600 "$SAFE_DIR/data/logs/refill.log"
 fi
 
-echo "   Copied agent-treasury-refill.mjs -> $SAFE_DIR/ (mode 700)"
+echo "   Refill script: $SCRIPT_DIR/agent-treasury-refill.mjs"
 
 # --- 3. Install launchd plist (macOS only) ---
 if [[ "$(uname)" == "Darwin" ]]; then
@@ -69,7 +70,7 @@ if [[ "$(uname)" == "Darwin" ]]; then
   # Process template
   sed \
     -e "s|__NODE_PATH__|$NODE_PATH|g" \
-    -e "s|__REFILL_SCRIPT_PATH__|$SAFE_DIR/agent-treasury-refill.mjs|g" \
+    -e "s|__REFILL_SCRIPT_PATH__|$SCRIPT_DIR/agent-treasury-refill.mjs|g" \
     -e "s|__SAFE_DIR__|$SAFE_DIR|g" \
     -e "s|__HOME__|$HOME|g" \
     "$SKILL_DIR/templates/com.safe-agent-treasury.refill.plist" > "$LAUNCH_AGENTS/com.safe-agent-treasury.refill.plist"
@@ -95,7 +96,7 @@ if [[ "$(uname)" == "Darwin" ]]; then
 else
   echo "[3/3] Non-macOS detected. Skipping launchd setup."
   echo "   For Linux, create a systemd unit or cron job:"
-  echo "   */6 * * * * node $SAFE_DIR/agent-treasury-refill.mjs >> $SAFE_DIR/data/logs/refill.log 2>&1"
+  echo "   */6 * * * * node $SCRIPT_DIR/agent-treasury-refill.mjs >> $SAFE_DIR/data/logs/refill.log 2>&1"
 fi
 
 echo ""
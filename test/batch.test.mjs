@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { zeroAddress } from "viem";
+import { loadBatchFile, resolveBatch } from "../lib/batch.mjs";
+import { TreasuryError } from "../lib/errors.mjs";
+
+const PAYEE = "0x1111111111111111111111111111111111111111";
+
+function batchFile(name, text) {
+  const path = join(mkdtempSync(join(tmpdir(), "batch-")), name);
+  writeFileSync(path, text);
+  return path;
+}
+
+/** SafeTreasury stand-in for resolveBatch(): only ETH is known. */
+const treasury = {
+  resolveToken: async (token) => {
+    if (token.toUpperCase() !== "ETH") throw new TreasuryError(`Unknown token ${token}`);
+    return { address: zeroAddress, decimals: 18, label: "ETH" };
+  },
+};
+
+test("reads CSV batches, with recipient as an alias for to", () => {
+  const path = batchFile("payouts.csv", `token,recipient,amount\n# comment\nETH,${PAYEE},0.25\n`);
+  assert.deepEqual(loadBatchFile(path), [{ to: PAYEE, token: "ETH", amount: "0.25" }]);
+});
+
+test("reads JSON batches as an array or { calls }", () => {
+  const entry = { to: PAYEE, value: "1", data: "0x" };
+  assert.deepEqual(loadBatchFile(batchFile("a.json", JSON.stringify([entry]))), [entry]);
+  assert.deepEqual(loadBatchFile(batchFile("b.json", JSON.stringify({ calls: [entry] }))), [entry]);
+});
+
+test("rejects empty batches and ragged CSV lines", () => {
+  assert.throws(() => loadBatchFile(batchFile("empty.json", "[]")), /no entries/);
+  assert.throws(() => loadBatchFile(batchFile("bad.csv", `token,to,amount\nETH,${PAYEE}\n`)), /expected 3 columns/);
+});
+
+test("rejects negative call values", async () => {
+  await assert.rejects(
+    resolveBatch(treasury, [{ to: PAYEE, value: "-1", data: "0x" }]),
+    (e) => e instanceof TreasuryError && /non-negative/.test(e.message)
+  );
+});
@@ -0,0 +1,86 @@
+/**
+ * stand-in-signer.mjs — Local stand-in for a Clef/web3signer-style JSON-RPC
+ * signer, for tests of the remote signer backend (lib/remote-signer.mjs)
+ *
+ * Serves eth_accounts, eth_sign, eth_signTypedData_v4 and eth_signTransaction
+ * on 127.0.0.1 with a key held in memory, like the real signers do:
+ *
+ *   const signer = await startStandInSigner({ privateKey });
+ *   const account = await loadRemoteSignerAccount({ url: signer.url });
+ *   ...
+ *   await signer.close();
+ *
+ * Options for failure cases:
+ *   typedData: false   eth_signTypedData_v4 answers "method not supported"
+ *   signWith           Sign with this key instead (a signer that returns the wrong signature)
+ */
+
+import { createServer } from "node:http";
+import { hexToBytes, parseTransaction } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+
+/**
+ * @param {{ privateKey: `0x${string}`, typedData?: boolean, signWith?: `0x${string}` }} options
+ * @returns {Promise<{ url: string, address: string, requests: Array<{ method: string, params: unknown[] }>, close: () => Promise<void> }>}
+ */
+export async function startStandInSigner({ privateKey, typedData = true, signWith }) {
+  const account = privateKeyToAccount(privateKey);
+  const signer = signWith ? privateKeyToAccount(signWith) : account;
+  const requests = [];
+
+  const methods = {
+    eth_accounts: async () => [account.address],
+    eth_sign: async ([, data]) => signer.signMessage({ message: { raw: hexToBytes(data) } }),
+    eth_signTypedData_v4: async ([, json]) => {
+      if (!typedData) {
+        throw Object.assign(new Error("the method eth_signTypedData_v4 does not exist/is not available"), { code: -32601 });
+      }
+      const { domain, types, primaryType, message } = JSON.parse(json);
+      const { EIP712Domain, ...messageTypes } = types;
+      return signer.signTypedData({ domain, types: messageTypes, primaryType, message });
+    },
+    // Clef's answer shape: { raw, tx }
+    eth_signTransaction: async ([request]) => {
+      const raw = await signer.signTransaction({
+        type: "eip1559",
+        chainId: Number(request.chainId),
+        nonce: Number(request.nonce ?? 0),
+        to: request.to,
+        value: BigInt(request.value ?? 0),
+        data: request.data ?? request.input,
+        gas: BigInt(request.gas ?? 21000),
+        maxFeePerGas: BigInt(request.maxFeePerGas ?? 0),
+        maxPriorityFeePerGas: BigInt(request.maxPriorityFeePerGas ?? 0),
+      });
+      return { raw, tx: parseTransaction(raw) };
+    },
+  };
+
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", async () => {
+      const { id, method, params } = JSON.parse(body);
+      requests.push({ method, params });
+      let reply;
+      try {
+        if (!methods[method]) {
+          throw Object.assign(new Error(`the method ${method} does not exist/is not available`), { code: -32601 });
+        }
+        reply = { jsonrpc: "2.0", id, result: await methods[method](params) };
+      } catch (e) {
+        reply = { jsonrpc: "2.0", id, error: { code: e.code ?? -32000, message: e.message } };
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(reply, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    address: account.address,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
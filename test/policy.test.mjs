@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeFunctionData, parseUnits, zeroAddress } from "viem";
+import { loadPolicy, parsePolicy, planPolicy } from "../lib/policy.mjs";
+import { getChainConfig } from "../lib/chains.mjs";
+import { ALLOWANCE_MODULE_ABI } from "../lib/abis.mjs";
+import { TreasuryError } from "../lib/errors.mjs";
+
+const base = getChainConfig("base");
+const SAFE = "0x9999999999999999999999999999999999999999";
+const AGENT = "0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A";
+const USDC = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+
+/** SafeTreasury stand-in: one owner, the AllowanceModule enabled, no delegates. */
+function stubTreasury({ decimals } = {}) {
+  return {
+    safeAddress: SAFE,
+    allowanceModule: base.allowanceModule,
+    publicClient: {
+      async readContract({ functionName }) {
+        if (functionName === "isModuleEnabled") return true;
+        if (functionName === "decimals" && decimals !== undefined) return decimals;
+        throw new Error(`execution reverted: ${functionName}`);
+      },
+    },
+    getOverview: async () => ({ threshold: 1n, owners: [AGENT] }),
+    getDelegates: async () => [],
+    getAllowanceTokens: async () => [],
+    getAllowance: async () => ({ amount: 0n, resetTimeMin: 0 }),
+  };
+}
+
+function delegatesPolicy(tokens) {
+  return parsePolicy({ chain: "base", delegates: { [AGENT]: tokens } }, base);
+}
+
+function allowanceAmounts(plan) {
+  return plan.changes
+    .filter((c) => c.kind === "setAllowance")
+    .map((c) => decodeFunctionData({ abi: ALLOWANCE_MODULE_ABI, data: c.call.data }).args.slice(1, 3));
+}
+
+test("MOR and ETH allowances use 18 decimals", () => {
+  const [mor, eth] = delegatesPolicy({ MOR: { amount: "50" }, ETH: { amount: "0.05" } }).delegates[AGENT];
+  assert.equal(mor.token, base.morToken);
+  assert.equal(mor.amount, parseUnits("50", 18));
+  assert.equal(eth.token, zeroAddress);
+  assert.equal(eth.amount, parseUnits("0.05", 18));
+});
+
+test("token addresses take decimals from the policy when given", () => {
+  const [usdc] = delegatesPolicy({ [USDC]: { amount: "100", decimals: 6 } }).delegates[AGENT];
+  assert.equal(usdc.amount, 100_000_000n);
+});
+
+test("token addresses without decimals are left for planPolicy", async () => {
+  const policy = delegatesPolicy({ [USDC]: { amount: "100" } });
+  assert.equal(policy.delegates[AGENT][0].amount, undefined);
+
+  const plan = await planPolicy(stubTreasury({ decimals: 6 }), policy);
+  assert.deepEqual(allowanceAmounts(plan), [[USDC, 100_000_000n]]);
+});
+
+test("planPolicy refuses to guess when decimals() cannot be read", async () => {
+  const policy = delegatesPolicy({ [USDC]: { amount: "100" } });
+  await assert.rejects(
+    planPolicy(stubTreasury(), policy),
+    (e) => e instanceof TreasuryError && /could not read decimals/.test(e.message) && /"decimals"/.test(e.hints[0])
+  );
+});
+
+test("rejects malformed amounts and out-of-range values", () => {
+  assert.throws(() => delegatesPolicy({ MOR: { amount: "1e18" } }), /decimal "amount"/);
+  assert.throws(() => delegatesPolicy({ MOR: { amount: "0" } }), /greater than 0/);
+  assert.throws(() => delegatesPolicy({ MOR: { amount: "1000000000000" } }), /uint96/);
+  assert.throws(() => delegatesPolicy({ [USDC]: { amount: "1", decimals: 6.5 } }), /decimals must be an integer/);
+  assert.throws(() => delegatesPolicy({ MOR: { amount: "1", resetMinutes: 0 } }), /resetMinutes/);
+});
+
+test("rejects a policy for another chain", () => {
+  assert.throws(() => parsePolicy({ chain: "ethereum" }, base), /is for chain "ethereum"/);
+});
+
+test("refuses the template's zero-address placeholders", () => {
+  assert.throws(
+    () => loadPolicy(new URL("../templates/treasury.json", import.meta.url).pathname, base),
+    (e) => e instanceof TreasuryError && /zero address/.test(e.message) && /templates\/treasury.json/.test(e.hints[0])
+  );
+});
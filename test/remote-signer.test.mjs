@@ -0,0 +1,98 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { parseTransaction, recoverMessageAddress, recoverTransactionAddress, recoverTypedDataAddress } from "viem";
+import { loadRemoteSignerAccount } from "../lib/remote-signer.mjs";
+import { TreasuryError } from "../lib/errors.mjs";
+import { delegateTypedData } from "../lib/tx-service.mjs";
+import { startStandInSigner } from "./helpers/stand-in-signer.mjs";
+
+const AGENT_KEY = `0x${"11".repeat(32)}`;
+const OTHER_KEY = `0x${"22".repeat(32)}`;
+const RECIPIENT = "0x3333333333333333333333333333333333333333";
+
+let signer;
+before(async () => { signer = await startStandInSigner({ privateKey: AGENT_KEY }); });
+after(() => signer.close());
+
+test("takes the address from eth_accounts when none is configured", async () => {
+  const account = await loadRemoteSignerAccount({ url: signer.url });
+  assert.equal(account.address, signer.address);
+});
+
+test("checksums a configured address without asking the signer", async () => {
+  const requestCount = signer.requests.length;
+  const account = await loadRemoteSignerAccount({ url: signer.url, address: signer.address.toLowerCase() });
+  assert.equal(account.address, signer.address);
+  assert.equal(signer.requests.length, requestCount);
+});
+
+test("requires a signer URL", async () => {
+  await assert.rejects(loadRemoteSignerAccount({}), TreasuryError);
+});
+
+test("reports an unreachable signer", async () => {
+  await assert.rejects(
+    loadRemoteSignerAccount({ url: "http://127.0.0.1:9" }),
+    (e) => e instanceof TreasuryError && /unreachable/.test(e.message)
+  );
+});
+
+test("signMessage goes through eth_sign", async () => {
+  const account = await loadRemoteSignerAccount({ url: signer.url });
+  const signature = await account.signMessage({ message: "hello" });
+  assert.equal(await recoverMessageAddress({ message: "hello", signature }), signer.address);
+  assert.equal(signer.requests.at(-1).method, "eth_sign");
+});
+
+test("signMessage rejects a signature from another key", async () => {
+  const wrong = await startStandInSigner({ privateKey: AGENT_KEY, signWith: OTHER_KEY });
+  try {
+    const account = await loadRemoteSignerAccount({ url: wrong.url });
+    await assert.rejects(
+      account.signMessage({ message: "hello" }),
+      (e) => e instanceof TreasuryError && /expected/.test(e.message)
+    );
+  } finally {
+    await wrong.close();
+  }
+});
+
+test("signTypedData goes through eth_signTypedData_v4", async () => {
+  const account = await loadRemoteSignerAccount({ url: signer.url });
+  const typedData = delegateTypedData(8453, RECIPIENT);
+  const signature = await account.signTypedData(typedData);
+  assert.equal(await recoverTypedDataAddress({ ...typedData, signature }), signer.address);
+  assert.equal(signer.requests.at(-1).method, "eth_signTypedData_v4");
+});
+
+test("signTypedData rejects a signature from another key", async () => {
+  const wrong = await startStandInSigner({ privateKey: AGENT_KEY, signWith: OTHER_KEY });
+  try {
+    const account = await loadRemoteSignerAccount({ url: wrong.url });
+    await assert.rejects(
+      account.signTypedData(delegateTypedData(8453, RECIPIENT)),
+      (e) => e instanceof TreasuryError && /typed-data signature from .* expected/.test(e.message)
+    );
+  } finally {
+    await wrong.close();
+  }
+});
+
+test("signTransaction returns the raw transaction from a { raw, tx } answer", async () => {
+  const account = await loadRemoteSignerAccount({ url: signer.url });
+  const raw = await account.signTransaction({
+    type: "eip1559",
+    chainId: 8453,
+    nonce: 7,
+    to: RECIPIENT,
+    value: 1000n,
+    gas: 21000n,
+    maxFeePerGas: 2n,
+    maxPriorityFeePerGas: 1n,
+  });
+  const tx = parseTransaction(raw);
+  assert.equal(tx.chainId, 8453);
+  assert.equal(tx.nonce, 7);
+  assert.equal(tx.value, 1000n);
+  assert.equal(await recoverTransactionAddress({ serializedTransaction: raw }), signer.address);
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { privateKeyToAccount } from "viem/accounts";
+import { computeSafeTxHash, safeDomainSeparator } from "../lib/safe-tx.mjs";
+import {
+  createSafeTxFile,
+  readSafeTxFile,
+  writeSafeTxFile,
+  signSafeTxFile,
+  mergeSafeTxFiles,
+} from "../lib/safe-tx-file.mjs";
+import { recoverSignature } from "../lib/signatures.mjs";
+import { loadRemoteSignerAccount } from "../lib/remote-signer.mjs";
+import { TreasuryError } from "../lib/errors.mjs";
+import { startStandInSigner } from "./helpers/stand-in-signer.mjs";
+
+const AGENT_KEY = `0x${"11".repeat(32)}`;
+const OWNER_KEY = `0x${"22".repeat(32)}`;
+const SAFE = "0x9999999999999999999999999999999999999999";
+const CHAIN_ID = 8453;
+const TX_DATA = {
+  to: "0x3333333333333333333333333333333333333333",
+  value: 10n,
+  data: "0x",
+  operation: 0,
+  nonce: 2n,
+};
+
+function newFile() {
+  const safeTxHash = computeSafeTxHash(safeDomainSeparator(CHAIN_ID, SAFE), TX_DATA);
+  return createSafeTxFile({ chainId: CHAIN_ID, safeAddress: SAFE, txData: TX_DATA, safeTxHash, summary: ["Send 10 wei"] });
+}
+
+function tmpPath(name) {
+  return join(mkdtempSync(join(tmpdir(), "safe-tx-file-")), name);
+}
+
+test("round-trips through write and read", () => {
+  const file = newFile();
+  const path = tmpPath("tx.json");
+  writeSafeTxFile(path, file);
+  assert.deepEqual(readSafeTxFile(path), file);
+});
+
+test("rejects a file whose fields do not produce its safeTxHash", () => {
+  const path = tmpPath("tx.json");
+  writeSafeTxFile(path, newFile());
+  const json = JSON.parse(readFileSync(path, "utf-8"));
+  json.tx.to = "0x4444444444444444444444444444444444444444";
+  writeFileSync(path, JSON.stringify(json));
+  assert.throws(
+    () => readSafeTxFile(path),
+    (e) => e instanceof TreasuryError && /does not match/.test(e.message)
+  );
+});
+
+test("rejects unsupported versions", () => {
+  const path = tmpPath("tx.json");
+  writeSafeTxFile(path, newFile());
+  const json = JSON.parse(readFileSync(path, "utf-8"));
+  json.version = 2;
+  writeFileSync(path, JSON.stringify(json));
+  assert.throws(() => readSafeTxFile(path), /unsupported version 2/);
+});
+
+test("signs with the stand-in signer and a local key, then merges the copies", async () => {
+  const signer = await startStandInSigner({ privateKey: AGENT_KEY });
+  try {
+    const agentCopy = newFile();
+    const ownerCopy = newFile();
+    const agentEntry = await signSafeTxFile(agentCopy, await loadRemoteSignerAccount({ url: signer.url }));
+    const ownerEntry = await signSafeTxFile(ownerCopy, privateKeyToAccount(OWNER_KEY), "eth_sign");
+    assert.equal(agentEntry.type, "eip712");
+    assert.equal(ownerEntry.type, "eth_sign");
+
+    // Signatures survive a write/read of the signed copy
+    const path = tmpPath("signed.json");
+    writeSafeTxFile(path, agentCopy);
+    const merged = mergeSafeTxFiles([readSafeTxFile(path), ownerCopy]);
+    assert.deepEqual(merged.signatures.map((s) => s.signer).sort(), [signer.address, ownerEntry.signer].sort());
+
+    const context = { safeAddress: SAFE, safeTxHash: merged.safeTxHash, txHashData: "0x" };
+    for (const { signer: expected, signature } of merged.signatures) {
+      assert.equal((await recoverSignature(null, context, signature)).signer, expected);
+    }
+  } finally {
+    await signer.close();
+  }
+});
+
+test("signing again replaces the signer's earlier signature", async () => {
+  const file = newFile();
+  const account = privateKeyToAccount(OWNER_KEY);
+  await signSafeTxFile(file, account, "eth_sign");
+  await signSafeTxFile(file, account);
+  assert.equal(file.signatures.length, 1);
+  assert.equal(file.signatures[0].type, "eip712");
+});
+
+test("refuses to merge different transactions", () => {
+  const other = createSafeTxFile({
+    chainId: CHAIN_ID,
+    safeAddress: SAFE,
+    txData: { ...TX_DATA, nonce: 3n },
+    safeTxHash: computeSafeTxHash(safeDomainSeparator(CHAIN_ID, SAFE), { ...TX_DATA, nonce: 3n }),
+  });
+  assert.throws(() => mergeSafeTxFiles([newFile(), other]), /different transactions/);
+  assert.throws(() => mergeSafeTxFiles([]), TreasuryError);
+});
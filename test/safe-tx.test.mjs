@@ -0,0 +1,121 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { hashTypedData, recoverAddress, recoverMessageAddress, hexToNumber, slice, concat, numberToHex, zeroAddress } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import {
+  SAFE_TX_TYPES,
+  computeSafeTxHash,
+  safeDomainSeparator,
+  signSafeTx,
+  signSafeTxHash,
+} from "../lib/safe-tx.mjs";
+import { loadRemoteSignerAccount } from "../lib/remote-signer.mjs";
+import { startStandInSigner } from "./helpers/stand-in-signer.mjs";
+
+const AGENT_KEY = `0x${"11".repeat(32)}`;
+const SAFE = "0x9999999999999999999999999999999999999999";
+const CHAIN_ID = 8453;
+const TX_DATA = {
+  to: "0x3333333333333333333333333333333333333333",
+  value: 5n,
+  data: "0xdeadbeef",
+  operation: 0,
+  nonce: 4n,
+};
+
+const domainSeparator = safeDomainSeparator(CHAIN_ID, SAFE);
+const safeTxHash = computeSafeTxHash(domainSeparator, TX_DATA);
+
+function typedDataHash(txData) {
+  return hashTypedData({
+    domain: { chainId: CHAIN_ID, verifyingContract: SAFE },
+    types: SAFE_TX_TYPES,
+    primaryType: "SafeTx",
+    message: {
+      safeTxGas: 0n,
+      baseGas: 0n,
+      gasPrice: 0n,
+      gasToken: zeroAddress,
+      refundReceiver: zeroAddress,
+      ...txData,
+    },
+  });
+}
+
+let signer;
+before(async () => { signer = await startStandInSigner({ privateKey: AGENT_KEY }); });
+after(() => signer.close());
+
+test("computeSafeTxHash matches the SafeTx typed-data hash", () => {
+  assert.equal(safeTxHash, typedDataHash(TX_DATA));
+  assert.notEqual(computeSafeTxHash(domainSeparator, { ...TX_DATA, nonce: 5n }), safeTxHash);
+  assert.notEqual(computeSafeTxHash(safeDomainSeparator(1, SAFE), TX_DATA), safeTxHash);
+});
+
+test("computeSafeTxHash includes the refund fields", () => {
+  const refund = { ...TX_DATA, gasPrice: 1n, refundReceiver: "0x4444444444444444444444444444444444444444" };
+  assert.equal(computeSafeTxHash(domainSeparator, refund), typedDataHash(refund));
+  assert.notEqual(computeSafeTxHash(domainSeparator, refund), safeTxHash);
+});
+
+test("signSafeTxHash produces an eth_sign signature with v + 4", async () => {
+  const account = privateKeyToAccount(AGENT_KEY);
+  const signature = await signSafeTxHash(account, safeTxHash);
+  const v = hexToNumber(slice(signature, 64, 65));
+  assert.ok(v === 31 || v === 32);
+  const recovered = await recoverMessageAddress({
+    message: { raw: safeTxHash },
+    signature: concat([slice(signature, 0, 64), numberToHex(v - 4, { size: 1 })]),
+  });
+  assert.equal(recovered, account.address);
+});
+
+test("signSafeTx signs typed data through the remote signer", async () => {
+  const account = await loadRemoteSignerAccount({ url: signer.url });
+  const { signature, type } = await signSafeTx(account, { chainId: CHAIN_ID, safeAddress: SAFE, txData: TX_DATA, safeTxHash });
+  assert.equal(type, "eip712");
+  assert.equal(signer.requests.at(-1).method, "eth_signTypedData_v4");
+  assert.equal(await recoverAddress({ hash: safeTxHash, signature }), signer.address);
+});
+
+test("signSafeTx uses eth_sign when asked to", async () => {
+  const account = await loadRemoteSignerAccount({ url: signer.url });
+  const { signature, type } = await signSafeTx(
+    account,
+    { chainId: CHAIN_ID, safeAddress: SAFE, txData: TX_DATA, safeTxHash },
+    "eth_sign"
+  );
+  assert.equal(type, "eth_sign");
+  assert.equal(signer.requests.at(-1).method, "eth_sign");
+  assert.ok([31, 32].includes(hexToNumber(slice(signature, 64, 65))));
+});
+
+test("signSafeTx falls back to eth_sign when the signer has no typed-data support", async () => {
+  const plain = await startStandInSigner({ privateKey: AGENT_KEY, typedData: false });
+  try {
+    const account = await loadRemoteSignerAccount({ url: plain.url });
+    const { signature, type } = await signSafeTx(account, { chainId: CHAIN_ID, safeAddress: SAFE, txData: TX_DATA, safeTxHash });
+    assert.equal(type, "eth_sign");
+    assert.deepEqual(plain.requests.map((r) => r.method), ["eth_accounts", "eth_signTypedData_v4", "eth_sign"]);
+    assert.ok([31, 32].includes(hexToNumber(slice(signature, 64, 65))));
+  } finally {
+    await plain.close();
+  }
+});
+
+test("signSafeTx rejects typed data that does not hash to the safeTxHash", async () => {
+  const account = await loadRemoteSignerAccount({ url: signer.url });
+  const otherHash = computeSafeTxHash(domainSeparator, { ...TX_DATA, nonce: 5n });
+  await assert.rejects(
+    signSafeTx(account, { chainId: CHAIN_ID, safeAddress: SAFE, txData: TX_DATA, safeTxHash: otherHash }),
+    /domain or fields differ/
+  );
+});
+
+test("signSafeTx rejects unknown signature types", async () => {
+  const account = privateKeyToAccount(AGENT_KEY);
+  await assert.rejects(
+    signSafeTx(account, { chainId: CHAIN_ID, safeAddress: SAFE, txData: TX_DATA, safeTxHash }, "personal"),
+    /Unknown signature type/
+  );
+});
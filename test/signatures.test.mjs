@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { concat, hexToBigInt, numberToHex, pad, size, slice } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { computeSafeTxHash, encodeSafeTxData, safeDomainSeparator, signSafeTx } from "../lib/safe-tx.mjs";
+import { recoverSignature, verifyConfirmations, packSignatures } from "../lib/signatures.mjs";
+import { loadRemoteSignerAccount } from "../lib/remote-signer.mjs";
+import { startStandInSigner } from "./helpers/stand-in-signer.mjs";
+
+const AGENT_KEY = `0x${"11".repeat(32)}`;
+const OWNER_KEY = `0x${"22".repeat(32)}`;
+const SAFE = "0x9999999999999999999999999999999999999999";
+const CONTRACT_OWNER = "0x0000000000000000000000000000000000000abc";
+const CHAIN_ID = 8453;
+const TX_DATA = {
+  to: "0x3333333333333333333333333333333333333333",
+  value: 0n,
+  data: "0x",
+  operation: 0,
+  nonce: 1n,
+};
+
+const domainSeparator = safeDomainSeparator(CHAIN_ID, SAFE);
+const safeTxHash = computeSafeTxHash(domainSeparator, TX_DATA);
+const txHashData = encodeSafeTxData(domainSeparator, TX_DATA);
+const context = { safeAddress: SAFE, safeTxHash, txHashData };
+const tx = { chainId: CHAIN_ID, safeAddress: SAFE, txData: TX_DATA, safeTxHash };
+
+/** Public client stand-in answering approvedHashes and isValidSignature. */
+function stubClient({ approved = 0n, magic = "0x20c13b0b" } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async readContract(request) {
+      calls.push(request);
+      return request.functionName === "approvedHashes" ? approved : magic;
+    },
+  };
+}
+
+function approvedHashSignature(owner) {
+  return concat([pad(owner), pad("0x"), "0x01"]);
+}
+
+function contractSignature(owner, data) {
+  return concat([pad(owner), numberToHex(65, { size: 32 }), "0x00", numberToHex(size(data), { size: 32 }), data]);
+}
+
+test("recovers the signer of a typed-data signature from the stand-in signer", async () => {
+  const signer = await startStandInSigner({ privateKey: AGENT_KEY });
+  try {
+    const { signature } = await signSafeTx(await loadRemoteSignerAccount({ url: signer.url }), tx);
+    assert.deepEqual(await recoverSignature(stubClient(), context, signature), {
+      type: "eip712",
+      signer: signer.address,
+      valid: true,
+    });
+  } finally {
+    await signer.close();
+  }
+});
+
+test("recovers the signer of an eth_sign signature", async () => {
+  const account = privateKeyToAccount(OWNER_KEY);
+  const { signature } = await signSafeTx(account, tx, "eth_sign");
+  assert.deepEqual(await recoverSignature(stubClient(), context, signature), {
+    type: "eth_sign",
+    signer: account.address,
+    valid: true,
+  });
+});
+
+test("checks approved-hash signatures on-chain", async () => {
+  const owner = privateKeyToAccount(OWNER_KEY).address;
+  const signature = approvedHashSignature(owner);
+
+  const client = stubClient({ approved: 1n });
+  const approved = await recoverSignature(client, context, signature);
+  assert.equal(approved.type, "approved_hash");
+  assert.equal(approved.signer, owner);
+  assert.equal(approved.valid, true);
+  assert.deepEqual(client.calls[0].args, [owner, safeTxHash]);
+
+  const pending = await recoverSignature(stubClient({ approved: 0n }), context, signature);
+  assert.equal(pending.valid, false);
+  assert.match(pending.error, /not approved/);
+});
+
+test("checks contract signatures with isValidSignature", async () => {
+  const signature = contractSignature(CONTRACT_OWNER, "0xcafe");
+
+  const client = stubClient();
+  const valid = await recoverSignature(client, context, signature);
+  assert.equal(valid.type, "contract");
+  assert.equal(valid.valid, true);
+  assert.equal(client.calls[0].address.toLowerCase(), CONTRACT_OWNER);
+  assert.deepEqual(client.calls[0].args, [txHashData, "0xcafe"]);
+
+  const rejected = await recoverSignature(stubClient({ magic: "0xffffffff" }), context, signature);
+  assert.equal(rejected.valid, false);
+
+  const truncated = await recoverSignature(stubClient(), context, slice(signature, 0, 65 + 32));
+  assert.equal(truncated.valid, false);
+  assert.match(truncated.error, /truncated/);
+});
+
+test("rejects short signatures and unsupported v values", async () => {
+  assert.equal((await recoverSignature(stubClient(), context, "0x1234")).type, "unknown");
+  const v5 = concat([pad("0x01"), pad("0x01"), "0x05"]);
+  assert.match((await recoverSignature(stubClient(), context, v5)).error, /v=5/);
+});
+
+test("verifyConfirmations flags non-owners and misreported owners", async () => {
+  const agent = privateKeyToAccount(AGENT_KEY);
+  const owner = privateKeyToAccount(OWNER_KEY);
+  const { signature: agentSignature } = await signSafeTx(agent, tx);
+  const { signature: ownerSignature } = await signSafeTx(owner, tx);
+
+  const results = await verifyConfirmations(stubClient(), { ...context, owners: [agent.address] }, [
+    { owner: agent.address, signature: agentSignature },
+    { owner: agent.address, signature: ownerSignature },
+    { owner: owner.address, signature: ownerSignature },
+  ]);
+
+  assert.equal(results[0].problem, undefined);
+  assert.match(results[1].problem, /not .* as reported/);
+  assert.match(results[2].problem, /not a current owner/);
+});
+
+test("packSignatures sorts by signer and moves contract data after the static parts", async () => {
+  const agent = privateKeyToAccount(AGENT_KEY);   // 0x19E7...
+  const owner = privateKeyToAccount(OWNER_KEY);   // 0x1563...
+  const { signature: agentSignature } = await signSafeTx(agent, tx);
+  const { signature: ownerSignature } = await signSafeTx(owner, tx);
+  const contract = contractSignature(CONTRACT_OWNER, "0xcafe");
+
+  const packed = packSignatures([
+    { signer: agent.address, signature: agentSignature },
+    { signer: owner.address, signature: ownerSignature },
+    { signer: CONTRACT_OWNER, signature: contract },
+  ]);
+
+  assert.equal(size(packed), 3 * 65 + 32 + 2);
+  // Ascending signer order: contract owner (0x0...abc), owner (0x1563...), agent (0x19E7...)
+  assert.equal(slice(packed, 65, 130), ownerSignature);
+  assert.equal(slice(packed, 130, 195), agentSignature);
+  // The contract signature's offset points past all three static parts
+  assert.equal(hexToBigInt(slice(packed, 32, 64)), 195n);
+
+  // ...and the first part still resolves to its data, as checkSignatures reads it
+  const client = stubClient();
+  const recovered = await recoverSignature(client, context, packed);
+  assert.equal(recovered.valid, true);
+  assert.deepEqual(client.calls[0].args, [txHashData, "0xcafe"]);
+});
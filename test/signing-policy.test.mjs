@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { encodeFunctionData, maxUint256, parseEther, parseUnits, zeroAddress } from "viem";
+import { checkSigningPolicy, loadSigningPolicy, DEFAULT_BLOCKED_METHODS } from "../lib/signing-policy.mjs";
+import { decodeTransaction } from "../lib/decode.mjs";
+import { encodeMultiSend } from "../lib/multisend.mjs";
+import { SAFE_V141 } from "../lib/chains.mjs";
+import { ALLOWANCE_MODULE_ABI, ERC20_ABI, SAFE_ABI } from "../lib/abis.mjs";
+import { TreasuryError } from "../lib/errors.mjs";
+
+const SAFE = "0x9999999999999999999999999999999999999999";
+const MOR = "0x7431aDa8a591C955a994a21710752EF9b882b8e3";
+const ALLOWANCE_MODULE = "0xAA46724893dedD72658219405185Fb0Fc91e091C";
+const PAYEE = "0x1111111111111111111111111111111111111111";
+const STRANGER = "0x2222222222222222222222222222222222222222";
+
+const context = {
+  safeAddress: SAFE,
+  allowanceModule: ALLOWANCE_MODULE,
+  multiSend: [SAFE_V141.multiSend, SAFE_V141.multiSendCallOnly],
+  tokens: {
+    MOR: { address: MOR, decimals: 18 },
+    ETH: { address: zeroAddress, decimals: 18 },
+  },
+};
+
+const resolveToken = async () => ({ label: "MOR", decimals: 18 });
+
+function decode(tx) {
+  return decodeTransaction({ value: 0n, data: "0x", operation: 0, ...tx }, { resolveToken });
+}
+
+function erc20(functionName, args) {
+  return decode({ to: MOR, data: encodeFunctionData({ abi: ERC20_ABI, functionName, args }) });
+}
+
+function safeCall(functionName, args) {
+  return decode({ to: SAFE, data: encodeFunctionData({ abi: SAFE_ABI, functionName, args }) });
+}
+
+function allowanceModuleCall(functionName, args) {
+  return decode({ to: ALLOWANCE_MODULE, data: encodeFunctionData({ abi: ALLOWANCE_MODULE_ABI, functionName, args }) });
+}
+
+async function check(decoded, policy = {}, tx = {}) {
+  return checkSigningPolicy(tx, await decoded, policy, context);
+}
+
+test("passes a plain transfer under the default rules", async () => {
+  assert.deepEqual(await check(erc20("transfer", [PAYEE, parseEther("1")])), []);
+});
+
+test("blocks owner, threshold and AllowanceModule changes by default", async () => {
+  for (const decoded of [
+    safeCall("addOwnerWithThreshold", [STRANGER, 1n]),
+    safeCall("removeOwner", [PAYEE, STRANGER, 1n]),
+    safeCall("swapOwner", [PAYEE, STRANGER, PAYEE]),
+    safeCall("changeThreshold", [1n]),
+    safeCall("setGuard", [STRANGER]),
+    allowanceModuleCall("addDelegate", [STRANGER]),
+    allowanceModuleCall("setAllowance", [STRANGER, MOR, parseEther("1"), 1440, 0]),
+  ]) {
+    const violations = await check(decoded);
+    assert.equal(violations.length, 1, JSON.stringify(violations));
+    assert.match(violations[0], /is blocked by the signing policy/);
+  }
+});
+
+test("blocks resetAllowance, which frees a full new allowance at once", async () => {
+  const violations = await check(allowanceModuleCall("resetAllowance", [PAYEE, MOR]));
+  assert.deepEqual(violations, ["AllowanceModule.resetAllowance is blocked by the signing policy."]);
+});
+
+test("blockedMethods replaces the default list", async () => {
+  assert.deepEqual(await check(safeCall("changeThreshold", [1n]), { blockedMethods: [] }), []);
+  assert.ok(DEFAULT_BLOCKED_METHODS.includes("changeThreshold"));
+});
+
+test("enableModule is limited to the AllowanceModule and allowedModules", async () => {
+  assert.deepEqual(await check(safeCall("enableModule", [ALLOWANCE_MODULE])), []);
+  assert.match((await check(safeCall("enableModule", [STRANGER])))[0], /not an allowed module/);
+  assert.deepEqual(await check(safeCall("enableModule", [STRANGER]), { allowedModules: [STRANGER] }), []);
+});
+
+test("limits ERC-20 transfers and approvals per token", async () => {
+  const policy = { maxTransfer: { MOR: "500" } };
+  assert.deepEqual(await check(erc20("transfer", [PAYEE, parseUnits("500", 18)]), policy), []);
+  assert.match((await check(erc20("transfer", [PAYEE, parseUnits("501", 18)]), policy))[0], /more MOR/);
+  assert.match((await check(erc20("approve", [PAYEE, maxUint256]), policy))[0], /more MOR/);
+});
+
+test("adds up transfers and approvals across a MultiSend batch", async () => {
+  const transfer = encodeFunctionData({ abi: ERC20_ABI, functionName: "transfer", args: [PAYEE, parseUnits("300", 18)] });
+  const approve = encodeFunctionData({ abi: ERC20_ABI, functionName: "approve", args: [PAYEE, parseUnits("300", 18)] });
+  const batch = decode({
+    to: SAFE_V141.multiSendCallOnly,
+    data: encodeMultiSend([{ to: MOR, data: transfer }, { to: MOR, data: approve }]),
+    operation: 1,
+  });
+  const violations = await check(batch, { maxTransfer: { MOR: "500" } });
+  assert.equal(violations.length, 1);
+  assert.match(violations[0], /more MOR/);
+});
+
+test("checks transfer recipients and approve spenders against allowedRecipients", async () => {
+  const policy = { allowedRecipients: [PAYEE] };
+  assert.deepEqual(await check(erc20("transfer", [PAYEE, 1n]), policy), []);
+  assert.deepEqual(await check(erc20("transfer", [SAFE, 1n]), policy), []);
+  assert.match((await check(erc20("transfer", [STRANGER, 1n]), policy))[0], /not an allowed recipient/);
+  assert.match((await check(erc20("approve", [STRANGER, 1n]), policy))[0], /Approves .* not an allowed recipient/);
+  assert.match((await check(decode({ to: STRANGER, value: 1n }), policy))[0], /Sends ETH/);
+});
+
+test("limits ETH per transaction with maxEth or maxTransfer.ETH", async () => {
+  const send = decode({ to: PAYEE, value: parseEther("2") });
+  assert.match((await check(send, { maxEth: "1" }))[0], /more ETH/);
+  assert.match((await check(send, { maxTransfer: { ETH: "1" } }))[0], /more ETH/);
+  assert.deepEqual(await check(send, { maxEth: "2" }), []);
+});
+
+test("reports a maxTransfer token the caller could not resolve", async () => {
+  const violations = await check(erc20("transfer", [PAYEE, 1n]), { maxTransfer: { FOO: "1" } });
+  assert.deepEqual(violations, ['Signing policy limits unknown token "FOO" (not MOR, ETH or an ERC-20 address on this chain).']);
+});
+
+test("rejects gas refunds unless allowRefunds is set", async () => {
+  const send = erc20("transfer", [PAYEE, 1n]);
+  const refund = { gasPrice: "1", gasToken: zeroAddress, refundReceiver: STRANGER };
+  assert.match((await check(send, {}, refund))[0], /Gas refund/);
+  assert.deepEqual(await check(send, { allowRefunds: true }, refund), []);
+});
+
+test("rejects delegatecalls to anything but MultiSend", async () => {
+  const violations = await check(decode({ to: STRANGER, operation: 1 }));
+  assert.match(violations[0], /Delegatecall to .* not MultiSend/);
+});
+
+test("rejects unrecognised calls unless allowUnknownCalls is set", async () => {
+  const unknown = decode({ to: STRANGER, data: "0x12345678" });
+  assert.match((await check(unknown))[0], /Unrecognised call 0x12345678/);
+  assert.deepEqual(await check(unknown, { allowUnknownCalls: true }), []);
+});
+
+test("loadSigningPolicy reads the signing section of treasury.json", () => {
+  const dir = mkdtempSync(join(tmpdir(), "signing-policy-"));
+  assert.deepEqual(loadSigningPolicy(join(dir, "missing.json")), {});
+
+  const path = join(dir, "treasury.json");
+  writeFileSync(path, JSON.stringify({ signing: { maxEth: "1" } }));
+  assert.deepEqual(loadSigningPolicy(path), { maxEth: "1" });
+
+  writeFileSync(path, JSON.stringify({ signing: [] }));
+  assert.throws(() => loadSigningPolicy(path), TreasuryError);
+});